@@ -0,0 +1,126 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const zstreams = require('zstreams');
+const MongoError = require('./mongo-error');
+
+/**
+ * Object stream of change events on a model, as returned by `MongoModel#watch()`.  Raw change stream
+ * documents from mongo are transformed into objects with these properties:
+ *
+ * - operationType - One of 'insert', 'update', 'replace' or 'delete'.
+ * - document - The changed document as a MongoDocument, if mongo supplied it.  Deletes never have this.
+ * - documentKey - Object containing the `_id` (and shard key, if any) of the changed document.
+ * - updateDescription - For updates, an object with `updatedFields` and `removedFields`.  Internal map and
+ *   geohash index fields are left out.
+ * - resumeToken - Token which can be passed as the `resumeAfter` option to `MongoModel#watch()` to resume
+ *   the stream after this event.
+ * - clusterTime - Timestamp of the operation.
+ *
+ * @class ChangeEventStream
+ * @constructor
+ * @param {MongoModel} model
+ * @param {mongodb.ChangeStream} [changeStream] - Driver change stream; may be supplied later
+ *   with `setChangeStream()`.
+ */
+class ChangeEventStream extends zstreams.Transform {
+
+	constructor(model, changeStream) {
+		super({ objectMode: true });
+
+		this._changeEventStream = {
+			model,
+			resumeToken: null,
+			closed: false
+		};
+
+		if (changeStream) {
+			this.setChangeStream(changeStream);
+		}
+	}
+
+	setChangeStream(changeStream) {
+		if (this._changeEventStream.changeStream) {
+			throw new Error('Already have a change stream');
+		}
+		this._changeEventStream.changeStream = changeStream;
+		if (this._changeEventStream.closed) {
+			changeStream.close();
+			return;
+		}
+		changeStream.on('error', (err) => this.emit('error', MongoError.fromMongoError(err)));
+		// Pipe through the change stream itself rather than its cursor, so the driver can re-pipe
+		// after transparently resuming on a new cursor
+		changeStream.pipe(this);
+	}
+
+	/**
+	 * Returns the resume token of the last event emitted from this stream.  Persist this to pick up
+	 * where the stream left off after a restart.
+	 *
+	 * @method getResumeToken
+	 * @return {Object|null}
+	 */
+	getResumeToken() {
+		let { resumeToken, changeStream } = this._changeEventStream;
+		if (resumeToken) return resumeToken;
+		return (changeStream && changeStream.resumeToken) || null;
+	}
+
+	/**
+	 * Stops watching for changes and ends the stream.
+	 *
+	 * @method close
+	 * @return {Promise} - Resolves when the underlying change stream is closed.
+	 */
+	close() {
+		let { changeStream, closed } = this._changeEventStream;
+		this._changeEventStream.closed = true;
+		if (closed || !changeStream) {
+			this.end();
+			return Promise.resolve();
+		}
+		return changeStream.close()
+			.catch((err) => {
+				throw MongoError.fromMongoError(err);
+			})
+			.then(() => {
+				this.end();
+			});
+	}
+
+	_transform(change, encoding, cb) {
+		let { model } = this._changeEventStream;
+		let event;
+		try {
+			event = {
+				operationType: change.operationType,
+				documentKey: change.documentKey,
+				resumeToken: change._id,
+				clusterTime: change.clusterTime
+			};
+			if (change.fullDocument) {
+				event.document = model._createExisting(change.fullDocument);
+			}
+			if (change.updateDescription) {
+				let isInternalField = (field) => /^_(mapidx|geoidx)_/.test(field);
+				event.updateDescription = {
+					updatedFields: _.omitBy(change.updateDescription.updatedFields, (value, field) => {
+						return isInternalField(field);
+					}),
+					removedFields: _.reject(change.updateDescription.removedFields, isInternalField)
+				};
+			}
+		} catch (ex) {
+			return cb(ex);
+		}
+		this._changeEventStream.resumeToken = event.resumeToken;
+		this.push(event);
+		cb();
+	}
+
+}
+
+module.exports = ChangeEventStream;
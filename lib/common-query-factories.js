@@ -1,10 +1,42 @@
+const _ = require('lodash');
+const XError = require('xerror');
 const commonQuery = require('common-query');
 
-exports.queryFactory = commonQuery.defaultQueryFactory;
+/**
+ * Query operator for mongo's `$text` full-text search, like `{ $text: { $search: 'dog -cat' } }` .  The search
+ * runs against the collection's text index, so it can only be evaluated by the database.
+ *
+ * @class QueryOperatorText
+ * @constructor
+ * @param {String} [name='$text']
+ */
+class QueryOperatorText extends commonQuery.QueryOperator {
+
+	constructor(name) {
+		super(name || '$text');
+	}
+
+	traverse() {}
+
+	validate(operatorValue, operator) {
+		if (!_.isPlainObject(operatorValue) || !_.isString(operatorValue.$search)) {
+			throw new commonQuery.QueryValidationError(`Argument to ${operator} must contain a $search string`);
+		}
+	}
+
+	matches() {
+		throw new XError(XError.UNSUPPORTED_OPERATION, '$text queries can only be evaluated by the database');
+	}
+
+}
+
+exports.QueryOperatorText = QueryOperatorText;
+
+exports.queryFactory = new commonQuery.QueryFactory();
+exports.queryFactory.registerQueryOperator('$text', new QueryOperatorText());
 
 exports.updateFactory = new commonQuery.UpdateFactory();
 let setOnInsert = new commonQuery.coreUpdateOperators.UpdateOperatorSet('$setOnInsert');
 exports.updateFactory.registerUpdateOperator('$setOnInsert', setOnInsert);
 
 exports.aggregateFactory = commonQuery.defaultAggregateFactory;
-
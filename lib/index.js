@@ -3,6 +3,7 @@
 // http://www.apache.org/licenses/LICENSE-2.0
 
 const CursorResultStream = require('./cursor-result-stream');
+const ChangeEventStream = require('./change-event-stream');
 const MongoDb = require('./mongo-db');
 const MongoModel = require('./mongo-model');
 const MongoDocument = require('./mongo-document');
@@ -33,6 +34,7 @@ exports.enableRevDebugging = function() {
 
 // Export the various useful classes
 exports.CursorResultStream = CursorResultStream;
+exports.ChangeEventStream = ChangeEventStream;
 exports.MongoDb = MongoDb;
 exports.MongoModel = MongoModel;
 exports.MongoDocument = MongoDocument;
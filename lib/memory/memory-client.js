@@ -0,0 +1,94 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const MemoryDb = require('./memory-db');
+
+// Data stores for each in-memory database, shared by all clients in the process like a server would be
+const databaseStores = {};
+
+/**
+ * In-memory stand-in for a driver ClientSession.  Transactions snapshot the database when they start,
+ * and roll back to the snapshot if the transaction function rejects.  There is no isolation from
+ * operations running outside the transaction at the same time.
+ *
+ * @class MemorySession
+ * @constructor
+ * @param {MemoryClient} client
+ */
+class MemorySession {
+
+	constructor(client) {
+		this.client = client;
+		this._inTransaction = false;
+	}
+
+	inTransaction() {
+		return this._inTransaction;
+	}
+
+	withTransaction(fn) {
+		let db = this.client.db();
+		let snapshot = db._snapshot();
+		this._inTransaction = true;
+		return Promise.resolve()
+			.then(() => fn(this))
+			.then((result) => {
+				this._inTransaction = false;
+				return result;
+			}, (err) => {
+				this._inTransaction = false;
+				db._restore(snapshot);
+				throw err;
+			});
+	}
+
+	endSession() {}
+
+}
+
+/**
+ * In-memory stand-in for the driver's MongoClient, used by `MongoDb#connect()` for `memory://` URIs.  Only the
+ * database name in the URI is used.
+ *
+ * @class MemoryClient
+ * @constructor
+ * @param {String} databaseName - Default database name
+ */
+class MemoryClient {
+
+	constructor(databaseName) {
+		this.databaseName = databaseName;
+	}
+
+	/**
+	 * Creates a client for the given `memory://` URI.
+	 *
+	 * @method connect
+	 * @static
+	 * @param {String} uri - URI such as `memory://localhost/mydb`
+	 * @return {Promise{MemoryClient}}
+	 */
+	static connect(uri) {
+		let match = /^memory:\/\/[^/]*\/?([^?]*)/.exec(uri);
+		let databaseName = (match && match[1]) || 'test';
+		return Promise.resolve(new MemoryClient(databaseName));
+	}
+
+	db(databaseName = this.databaseName) {
+		if (!databaseStores[databaseName]) databaseStores[databaseName] = {};
+		return new MemoryDb(databaseName, databaseStores[databaseName]);
+	}
+
+	startSession() {
+		return new MemorySession(this);
+	}
+
+	close(cb) {
+		if (cb) return setImmediate(cb);
+		return Promise.resolve();
+	}
+
+}
+
+module.exports = MemoryClient;
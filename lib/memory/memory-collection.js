@@ -0,0 +1,583 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const { ObjectID, MongoError, BulkWriteError } = require('mongodb');
+const { queryFactory, updateFactory } = require('../common-query-factories');
+const MemoryCursor = require('./memory-cursor');
+const pipelineUtils = require('./pipeline');
+const values = require('./values');
+const textSearch = require('./text-search');
+
+// Index options that are stored in the index description, like mongo does
+const storedIndexOptions = [
+	'unique',
+	'sparse',
+	'background',
+	'expireAfterSeconds',
+	'partialFilterExpression',
+	'collation',
+	'weights',
+	'default_language',
+	'language_override',
+	'textIndexVersion'
+];
+
+/**
+ * Creates an object shaped like the driver's BulkWriteResult, which isn't exported by the driver.
+ *
+ * @method createBulkWriteResult
+ * @private
+ * @param {Object} bulkResult - Raw bulk result, with `nInserted` , `nMatched` , `nModified` , `nRemoved` ,
+ *   `insertedIds` , `upserted` and `writeErrors`
+ * @return {Object}
+ */
+function createBulkWriteResult(bulkResult) {
+	return {
+		result: bulkResult,
+		ok: bulkResult.ok,
+		nInserted: bulkResult.nInserted,
+		nUpserted: bulkResult.upserted.length,
+		nMatched: bulkResult.nMatched,
+		nModified: bulkResult.nModified,
+		nRemoved: bulkResult.nRemoved,
+		insertedCount: bulkResult.nInserted,
+		matchedCount: bulkResult.nMatched,
+		modifiedCount: bulkResult.nModified,
+		deletedCount: bulkResult.nRemoved,
+		upsertedCount: bulkResult.upserted.length,
+		insertedIds: _.fromPairs(bulkResult.insertedIds.map(({ index, _id }) => [ index, _id ])),
+		upsertedIds: _.fromPairs(bulkResult.upserted.map(({ index, _id }) => [ index, _id ])),
+		getInsertedIds: () => bulkResult.insertedIds,
+		getUpsertedIds: () => bulkResult.upserted,
+		getWriteErrors: () => bulkResult.writeErrors,
+		hasWriteErrors: () => bulkResult.writeErrors.length > 0
+	};
+}
+
+// Throws a BulkWriteError like the driver's if a bulk operation had write errors
+function checkBulkWriteErrors(bulkResult) {
+	let { writeErrors } = bulkResult;
+	if (!writeErrors.length) return;
+	throw new BulkWriteError(new MongoError({
+		message: writeErrors[0].errmsg,
+		code: writeErrors[0].code,
+		writeErrors
+	}), createBulkWriteResult(bulkResult));
+}
+
+/**
+ * In-memory stand-in for a mongo driver Collection.  It implements the subset of the driver's promise API
+ * that MongoModel and MongoDocument use, evaluating queries and updates with common-query.  Results and
+ * errors are shaped like the driver's, so the model code runs unchanged on top of it.
+ *
+ * @class MemoryCollection
+ * @constructor
+ * @param {String} databaseName
+ * @param {String} collectionName
+ */
+class MemoryCollection {
+
+	constructor(databaseName, collectionName) {
+		this.dbName = databaseName;
+		this.collectionName = collectionName;
+		this.namespace = `${databaseName}.${collectionName}`;
+		this._docs = [];
+		this._indexes = [ { v: 2, key: { _id: 1 }, name: '_id_', ns: this.namespace } ];
+	}
+
+	/**
+	 * Runs a synchronous operation asynchronously, like a round trip to the server would be.
+	 *
+	 * @method _run
+	 * @private
+	 * @param {Function} fn
+	 * @return {Promise}
+	 */
+	_run(fn) {
+		return Promise.resolve().then(fn);
+	}
+
+	/**
+	 * Throws a duplicate key error if the document would violate a unique index.
+	 *
+	 * @method _checkUnique
+	 * @private
+	 * @param {Object} doc - New version of the document
+	 * @param {Object} [existingDoc] - Stored document being replaced by `doc`, which is ignored
+	 */
+	_checkUnique(doc, existingDoc) {
+		for (let index of this._indexes) {
+			if (!index.unique && index.name !== '_id_') continue;
+			let fields = Object.keys(index.key);
+			let key = fields.map((field) => objtools.getPath(doc, field));
+			if (index.sparse && _.every(key, _.isUndefined)) continue;
+			if (index.partialFilterExpression && !values.createMatcher(index.partialFilterExpression)(doc)) continue;
+			for (let otherDoc of this._docs) {
+				if (otherDoc === existingDoc) continue;
+				let otherKey = fields.map((field) => objtools.getPath(otherDoc, field));
+				if (values.equals(key, otherKey)) {
+					let keyString = fields.map((field, i) => `${field}: ${JSON.stringify(key[i])}`).join(', ');
+					let err = new MongoError(
+						`E11000 duplicate key error collection: ${this.namespace} index: ${index.name} ` +
+						`dup key: { ${keyString} }`
+					);
+					err.code = 11000;
+					throw err;
+				}
+			}
+		}
+	}
+
+	_insert(doc) {
+		if (doc._id === undefined) doc._id = new ObjectID();
+		let storedDoc = objtools.deepCopy(doc);
+		this._checkUnique(storedDoc);
+		this._docs.push(storedDoc);
+	}
+
+	/**
+	 * Returns a new version of a document with an update applied.
+	 *
+	 * @method _applyUpdate
+	 * @private
+	 * @param {Object} doc - Stored document
+	 * @param {Object} update - Mongo update expression or replacement document
+	 * @param {Boolean} isInsert - Whether this is an upsert inserting a new document
+	 * @return {Object}
+	 */
+	_applyUpdate(doc, update, isInsert) {
+		let isReplacement = _.isEmpty(update) || Object.keys(update)[0][0] !== '$';
+		let newDoc;
+		if (isReplacement) {
+			newDoc = objtools.deepCopy(update);
+			if (doc._id !== undefined) newDoc._id = doc._id;
+		} else {
+			newDoc = objtools.deepCopy(doc);
+			let updateData = _.omit(update, '$setOnInsert');
+			// common-query has no $setOnInsert, so apply it as part of $set
+			if (isInsert && update.$setOnInsert) {
+				updateData.$set = _.assign({}, update.$setOnInsert, update.$set);
+			}
+			if (!_.isEmpty(updateData)) {
+				updateFactory.createUpdate(objtools.deepCopy(updateData), { skipValidate: true }).apply(newDoc);
+			}
+		}
+		if (doc._id !== undefined && !values.equals(newDoc._id, doc._id)) {
+			let err = new MongoError(
+				'Performing an update on the path \'_id\' would modify the immutable field \'_id\''
+			);
+			err.code = 66;
+			throw err;
+		}
+		return newDoc;
+	}
+
+	/**
+	 * Builds the starting point of an upserted document from the exact matches in its query.
+	 *
+	 * @method _getUpsertBase
+	 * @private
+	 * @param {Object} filter
+	 * @return {Object}
+	 */
+	_getUpsertBase(filter) {
+		let base = {};
+		let exactMatches;
+		try {
+			exactMatches = queryFactory.createQuery(_.omit(filter, '$comment'), { skipValidate: true })
+				.getExactMatches().exactFieldMatches;
+		} catch (err) {
+			exactMatches = {};
+		}
+		for (let field in exactMatches) {
+			objtools.setPath(base, field, objtools.deepCopy(exactMatches[field]));
+		}
+		return base;
+	}
+
+	/**
+	 * Returns the field queried with $near at the top level of a query (or inside a top-level $and), if any.
+	 *
+	 * @method _getNearField
+	 * @private
+	 * @param {Object} filter
+	 * @return {String|null}
+	 */
+	_getNearField(filter) {
+		for (let key in filter) {
+			if (key === '$and') {
+				for (let subfilter of filter[key]) {
+					let field = this._getNearField(subfilter);
+					if (field) return field;
+				}
+			} else if (key[0] !== '$' && _.isPlainObject(filter[key]) && filter[key].$near) {
+				return key;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Finds the documents matching a query.
+	 *
+	 * @method _findMatching
+	 * @private
+	 * @param {Object} filter - Mongo query
+	 * @param {Object} [options={}]
+	 *   @param {Object} [options.sort] - Mongo sort spec
+	 * @param {Map} [textScores] - If given and the query uses $text, this is filled with each document's score
+	 * @return {Object[]} - The stored documents
+	 */
+	_findMatching(filter, options = {}, textScores = new Map()) {
+		if (filter.$text) {
+			let textIndex = _.find(this._indexes, (index) => index.key._fts === 'text');
+			if (!textIndex) {
+				let err = new MongoError('text index required for $text query');
+				err.code = 27;
+				throw err;
+			}
+			let search = textSearch.parseSearch(filter.$text.$search);
+			let matches = values.createMatcher(_.omit(filter, '$text'));
+			let docs = this._docs.filter((doc) => {
+				let score = textSearch.score(doc, textIndex, search);
+				if (!score || !matches(doc)) return false;
+				textScores.set(doc, score);
+				return true;
+			});
+			if (!_.isEmpty(options.sort)) docs.sort(values.createSortFn(options.sort));
+			return docs;
+		}
+
+		let nearField = this._getNearField(filter);
+		if (nearField) {
+			// Like mongo, require a geo index and return the closest documents first
+			let hasGeoIndex = _.some(this._indexes, (index) => {
+				return index.key[nearField] === '2dsphere' || index.key[nearField] === '2d';
+			});
+			if (!hasGeoIndex) {
+				let err = new MongoError('error processing query: planner returned error :: caused by :: ' +
+					'unable to find index for $geoNear query');
+				err.code = 291;
+				throw err;
+			}
+			let queryData = values.toMatchable(_.omit(filter, '$comment'));
+			let query = queryFactory.createQuery(queryData, { skipValidate: true });
+			let distances = new Map();
+			let docs = this._docs.filter((doc) => {
+				if (!query.matches(values.toMatchable(doc))) return false;
+				distances.set(doc, query.getMatchProperty('distance'));
+				return true;
+			});
+			docs.sort((a, b) => distances.get(a) - distances.get(b));
+			return docs;
+		}
+
+		let matches = values.createMatcher(filter);
+		let docs = this._docs.filter(matches);
+		if (!_.isEmpty(options.sort)) docs.sort(values.createSortFn(options.sort));
+		return docs;
+	}
+
+	_update(filter, update, options, multi) {
+		let targets = this._findMatching(filter, options);
+		if (!multi) targets = targets.slice(0, 1);
+
+		let result = { ok: 1, n: targets.length, nModified: 0 };
+		for (let doc of targets) {
+			let newDoc = this._applyUpdate(doc, update, false);
+			if (values.equals(newDoc, doc)) continue;
+			this._checkUnique(newDoc, doc);
+			this._docs[this._docs.indexOf(doc)] = newDoc;
+			result.nModified++;
+		}
+
+		if (!targets.length && options.upsert) {
+			let newDoc = this._applyUpdate(this._getUpsertBase(filter), update, true);
+			this._insert(newDoc);
+			result.n = 1;
+			result.upserted = [ { index: 0, _id: newDoc._id } ];
+		}
+
+		return {
+			result,
+			matchedCount: result.upserted ? 0 : result.n,
+			modifiedCount: result.nModified,
+			upsertedCount: result.upserted ? 1 : 0,
+			upsertedId: result.upserted ? result.upserted[0] : null
+		};
+	}
+
+	_delete(filter, multi) {
+		let targets = this._findMatching(filter);
+		if (!multi) targets = targets.slice(0, 1);
+		this._docs = _.difference(this._docs, targets);
+		return { result: { ok: 1, n: targets.length }, deletedCount: targets.length };
+	}
+
+	find(filter = {}, options = {}) {
+		return new MemoryCursor(() => {
+			let textScores = new Map();
+			let docs = this._findMatching(filter, {}, textScores);
+			if (!textScores.size) return docs;
+			return docs.map((doc) => values.withTextScore(doc, textScores.get(doc)));
+		}, options, () => this._docs.length);
+	}
+
+	findOne(filter = {}, options = {}) {
+		return this.find(filter, options).limit(1).toArray()
+			.then((docs) => docs[0] || null);
+	}
+
+	countDocuments(filter = {}) {
+		return this._run(() => this._findMatching(filter).length);
+	}
+
+	insertOne(doc) {
+		return this._run(() => {
+			this._insert(doc);
+			return { result: { ok: 1, n: 1 }, ops: [ doc ], insertedCount: 1, insertedId: doc._id };
+		});
+	}
+
+	insertMany(docs, options = {}) {
+		return this._run(() => {
+			let ordered = options.ordered !== false;
+			let writeErrors = [];
+			let insertedIds = {};
+			let nInserted = 0;
+			for (let [ index, doc ] of docs.entries()) {
+				try {
+					this._insert(doc);
+					insertedIds[index] = doc._id;
+					nInserted++;
+				} catch (err) {
+					writeErrors.push({ index, code: err.code, errmsg: err.message, op: doc });
+					if (ordered) break;
+				}
+			}
+			checkBulkWriteErrors({
+				ok: 1,
+				nInserted,
+				nMatched: 0,
+				nModified: 0,
+				nRemoved: 0,
+				insertedIds: _.map(docs, (doc, index) => ({ index, _id: doc._id })),
+				upserted: [],
+				writeErrors
+			});
+			return {
+				result: { ok: 1, n: nInserted },
+				ops: docs,
+				insertedCount: nInserted,
+				insertedIds
+			};
+		});
+	}
+
+	bulkWrite(operations, options = {}) {
+		return this._run(() => {
+			let ordered = options.ordered !== false;
+			let bulkResult = {
+				ok: 1,
+				nInserted: 0,
+				nMatched: 0,
+				nModified: 0,
+				nRemoved: 0,
+				insertedIds: [],
+				upserted: [],
+				writeErrors: []
+			};
+			for (let [ index, operation ] of operations.entries()) {
+				let type = _.keys(operation)[0];
+				let args = operation[type];
+				try {
+					if (type === 'insertOne') {
+						this._insert(args.document);
+						bulkResult.insertedIds.push({ index, _id: args.document._id });
+						bulkResult.nInserted++;
+					} else if (type === 'deleteOne' || type === 'deleteMany') {
+						bulkResult.nRemoved += this._delete(args.filter, type === 'deleteMany').deletedCount;
+					} else if (type === 'updateOne' || type === 'updateMany' || type === 'replaceOne') {
+						let update = (type === 'replaceOne') ? args.replacement : args.update;
+						let result = this._update(args.filter, update, { upsert: args.upsert }, type === 'updateMany');
+						bulkResult.nMatched += result.matchedCount;
+						bulkResult.nModified += result.modifiedCount;
+						if (result.upsertedId) bulkResult.upserted.push({ index, _id: result.upsertedId._id });
+					} else {
+						throw new XError(XError.UNSUPPORTED_OPERATION, `Unsupported bulk operation: ${type}`);
+					}
+				} catch (err) {
+					bulkResult.writeErrors.push({ index, code: err.code, errmsg: err.message, op: operation });
+					if (ordered) break;
+				}
+			}
+			checkBulkWriteErrors(bulkResult);
+			return createBulkWriteResult(bulkResult);
+		});
+	}
+
+	updateOne(filter, update, options = {}) {
+		return this._run(() => this._update(filter, update, options, false));
+	}
+
+	updateMany(filter, update, options = {}) {
+		return this._run(() => this._update(filter, update, options, true));
+	}
+
+	replaceOne(filter, doc, options = {}) {
+		return this._run(() => this._update(filter, doc, options, false));
+	}
+
+	findOneAndUpdate(filter, update, options = {}) {
+		return this._run(() => {
+			let doc = this._findMatching(filter, options)[0];
+			let returnNew = options.returnOriginal === false;
+			let value = null;
+			let lastErrorObject;
+			if (doc) {
+				let newDoc = this._applyUpdate(doc, update, false);
+				if (!values.equals(newDoc, doc)) {
+					this._checkUnique(newDoc, doc);
+					this._docs[this._docs.indexOf(doc)] = newDoc;
+				}
+				value = returnNew ? newDoc : doc;
+				lastErrorObject = { n: 1, updatedExisting: true };
+			} else if (options.upsert) {
+				let newDoc = this._applyUpdate(this._getUpsertBase(filter), update, true);
+				this._insert(newDoc);
+				if (returnNew) value = newDoc;
+				lastErrorObject = { n: 1, updatedExisting: false, upserted: newDoc._id };
+			} else {
+				lastErrorObject = { n: 0, updatedExisting: false };
+			}
+			return { value: value && values.project(value, options.projection), lastErrorObject, ok: 1 };
+		});
+	}
+
+	findOneAndDelete(filter, options = {}) {
+		return this._run(() => {
+			let doc = this._findMatching(filter, options)[0];
+			if (doc) this._docs = _.without(this._docs, doc);
+			return {
+				value: doc ? values.project(doc, options.projection) : null,
+				lastErrorObject: { n: doc ? 1 : 0 },
+				ok: 1
+			};
+		});
+	}
+
+	deleteOne(filter) {
+		return this._run(() => this._delete(filter, false));
+	}
+
+	deleteMany(filter) {
+		return this._run(() => this._delete(filter, true));
+	}
+
+	removeOne(filter) {
+		return this.deleteOne(filter);
+	}
+
+	aggregate(pipeline) {
+		return new MemoryCursor(() => pipelineUtils.run(this._docs, pipeline), {}, () => this._docs.length);
+	}
+
+	createIndex(spec, options = {}) {
+		return this._run(() => {
+			let name = options.name || _.map(spec, (value, field) => `${field}_${value}`).join('_');
+			let index = _.assign(
+				{ v: 2, key: objtools.deepCopy(spec), name, ns: this.namespace },
+				objtools.deepCopy(_.pick(options, storedIndexOptions))
+			);
+			if (textSearch.isTextIndexSpec(spec)) {
+				_.assign(index, textSearch.createTextIndex(spec, options));
+				let otherTextIndex = _.find(this._indexes, (other) => other.key._fts === 'text' && other.name !== name);
+				if (otherTextIndex) {
+					let err = new MongoError('only one text index per collection allowed, found existing text ' +
+						`index "${otherTextIndex.name}"`);
+					err.code = 85;
+					throw err;
+				}
+			}
+			let existing = _.find(this._indexes, (existingIndex) => existingIndex.name === name);
+			if (existing) {
+				if (!values.equals(existing.key, index.key)) {
+					let err = new MongoError(`Index with name: ${name} already exists with different key`);
+					err.code = 86;
+					throw err;
+				}
+				if (!values.equals(_.omit(existing, 'background'), _.omit(index, 'background'))) {
+					let err = new MongoError(`Index with name: ${name} already exists with different options`);
+					err.code = 85;
+					throw err;
+				}
+				return name;
+			}
+			if (index.unique) {
+				// Make sure the existing documents don't violate the new index
+				let docs = this._docs;
+				this._docs = [];
+				this._indexes.push(index);
+				try {
+					for (let doc of docs) {
+						this._checkUnique(doc);
+						this._docs.push(doc);
+					}
+				} catch (err) {
+					this._docs = docs;
+					this._indexes.pop();
+					throw err;
+				}
+			} else {
+				this._indexes.push(index);
+			}
+			return name;
+		});
+	}
+
+	indexes() {
+		return this._run(() => objtools.deepCopy(this._indexes));
+	}
+
+	dropIndex(indexNameOrSpec) {
+		return this._run(() => {
+			let index = _.find(this._indexes, (index) => {
+				return index.name === indexNameOrSpec || values.equals(index.key, indexNameOrSpec);
+			});
+			if (!index || index.name === '_id_') {
+				let err = new MongoError(`index not found with name [${JSON.stringify(indexNameOrSpec)}]`);
+				err.code = 27;
+				throw err;
+			}
+			this._indexes = _.without(this._indexes, index);
+			return { ok: 1 };
+		});
+	}
+
+	watch() {
+		throw new XError(XError.UNSUPPORTED_OPERATION, 'Change streams are not supported by the in-memory backend');
+	}
+
+	/**
+	 * Returns a deep copy of the collection contents, used to roll back transactions.
+	 *
+	 * @method _snapshot
+	 * @private
+	 * @return {Object}
+	 */
+	_snapshot() {
+		return objtools.deepCopy({ docs: this._docs, indexes: this._indexes });
+	}
+
+	_restore(snapshot) {
+		this._docs = snapshot.docs;
+		this._indexes = snapshot.indexes;
+	}
+
+}
+
+module.exports = MemoryCollection;
@@ -0,0 +1,140 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const { Readable } = require('stream');
+const values = require('./values');
+
+/**
+ * In-memory stand-in for a mongo driver cursor.  Results are computed the first time the cursor is read,
+ * so the chained `skip()`, `limit()`, `sort()` and `project()` calls work the same as on a driver cursor.
+ * The cursor is also a readable object stream.
+ *
+ * @class MemoryCursor
+ * @constructor
+ * @param {Function} getDocs - Returns the array of matching documents (before sort, skip, limit and projection)
+ * @param {Object} [options] - Initial cursor settings
+ *   @param {Number} [options.skip]
+ *   @param {Number} [options.limit]
+ *   @param {Object} [options.sort] - Mongo sort spec
+ *   @param {Object} [options.projection] - Mongo projection
+ * @param {Function} [getDocsExamined] - Returns the number of documents scanned to find the matching documents
+ */
+class MemoryCursor extends Readable {
+
+	constructor(getDocs, options = {}, getDocsExamined) {
+		super({ objectMode: true });
+		this._getDocs = getDocs;
+		this._getDocsExamined = getDocsExamined || (() => getDocs().length);
+		this._skip = options.skip;
+		this._limit = options.limit;
+		this._sort = options.sort;
+		this._projection = options.projection || options.fields;
+		this._results = null;
+		this._closed = false;
+	}
+
+	skip(skip) {
+		this._skip = skip;
+		return this;
+	}
+
+	limit(limit) {
+		this._limit = limit;
+		return this;
+	}
+
+	sort(sortSpec) {
+		this._sort = sortSpec;
+		return this;
+	}
+
+	project(projection) {
+		this._projection = projection;
+		return this;
+	}
+
+	hint() {
+		return this;
+	}
+
+	maxTimeMS() {
+		return this;
+	}
+
+	addCursorFlag() {
+		return this;
+	}
+
+	/**
+	 * Computes the results this cursor returns.
+	 *
+	 * @method _getResults
+	 * @private
+	 * @return {Object[]}
+	 */
+	_getResults() {
+		if (!this._results) {
+			let docs = this._getDocs().slice();
+			if (!_.isEmpty(this._sort)) docs.sort(values.createSortFn(this._sort));
+			if (_.isNumber(this._skip)) docs = docs.slice(this._skip);
+			// As with mongo, a limit of 0 means no limit
+			if (this._limit) docs = docs.slice(0, Math.abs(this._limit));
+			this._results = docs.map((doc) => values.project(doc, this._projection));
+		}
+		return this._results;
+	}
+
+	toArray() {
+		return Promise.resolve().then(() => this._getResults().slice());
+	}
+
+	count() {
+		return Promise.resolve().then(() => this._getDocs().length);
+	}
+
+	/**
+	 * Explains the query like the mongo explain command.  The in-memory backend does not use indexes, so the
+	 * plan is always a collection scan.
+	 *
+	 * @method explain
+	 * @return {Promise{Object}}
+	 */
+	explain() {
+		return Promise.resolve().then(() => ({
+			queryPlanner: { winningPlan: { stage: 'COLLSCAN' } },
+			executionStats: {
+				nReturned: this._getResults().length,
+				totalKeysExamined: 0,
+				totalDocsExamined: this._getDocsExamined()
+			}
+		}));
+	}
+
+	close() {
+		this._closed = true;
+		this.push(null);
+		return Promise.resolve();
+	}
+
+	_read() {
+		if (this._closed) return;
+		let results;
+		try {
+			results = this._getResults();
+		} catch (err) {
+			this.emit('error', err);
+			return;
+		}
+		this._readIndex = this._readIndex || 0;
+		while (this._readIndex < results.length) {
+			if (!this.push(results[this._readIndex++])) return;
+		}
+		this._closed = true;
+		this.push(null);
+	}
+
+}
+
+module.exports = MemoryCursor;
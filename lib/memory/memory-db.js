@@ -0,0 +1,145 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const EventEmitter = require('events').EventEmitter;
+const XError = require('xerror');
+const { MongoError } = require('mongodb');
+const MemoryCollection = require('./memory-collection');
+
+/**
+ * Calls a node-style callback if one is given, and otherwise returns a promise.
+ *
+ * @method callbackOrPromise
+ * @private
+ * @param {Function} [cb]
+ * @param {Function} fn - Synchronous function producing the result
+ * @return {Promise|undefined}
+ */
+function callbackOrPromise(cb, fn) {
+	let promise = Promise.resolve().then(fn);
+	if (!cb) return promise;
+	promise.then((result) => cb(null, result), (err) => cb(err));
+}
+
+/**
+ * In-memory stand-in for the admin interface of a mongo driver Db.
+ *
+ * @class MemoryAdmin
+ * @constructor
+ */
+class MemoryAdmin {
+
+	serverInfo() {
+		return Promise.resolve({ version: '4.4.0', versionArray: [ 4, 4, 0, 0 ], inMemory: true });
+	}
+
+	replSetGetStatus() {
+		let err = new MongoError('not running with --replSet');
+		err.code = 76;
+		return Promise.reject(err);
+	}
+
+	command(command) {
+		if (command.currentOp) return Promise.resolve({ inprog: [], ok: 1 });
+		if (command.killOp || command.ping) return Promise.resolve({ ok: 1 });
+		return Promise.reject(new XError(
+			XError.UNSUPPORTED_OPERATION,
+			`Command ${Object.keys(command)[0]} is not supported by the in-memory backend`
+		));
+	}
+
+}
+
+/**
+ * In-memory stand-in for a mongo driver Db.  The data lives in a store object shared by every MemoryDb
+ * with the same database name, so it survives closing and reconnecting like it would on a server.
+ *
+ * @class MemoryDb
+ * @constructor
+ * @param {String} databaseName
+ * @param {Object} store - Shared data store for the database
+ */
+class MemoryDb extends EventEmitter {
+
+	constructor(databaseName, store) {
+		super();
+		this.databaseName = databaseName;
+		this._store = store;
+		if (!this._store.collections) this._store.collections = {};
+	}
+
+	collection(name, options = {}, cb) {
+		if (typeof options === 'function') {
+			cb = options;
+			options = {};
+		}
+		let collection = this._store.collections[name];
+		if (!collection && options.strict) {
+			let err = new MongoError(`Collection ${name} does not exist. Currently in strict mode.`);
+			if (cb) return cb(err);
+			throw err;
+		}
+		if (!collection) {
+			collection = this._store.collections[name] = new MemoryCollection(this.databaseName, name);
+		}
+		if (cb) return cb(null, collection);
+		return collection;
+	}
+
+	createCollection(name, options = {}, cb) {
+		if (typeof options === 'function') {
+			cb = options;
+			options = {};
+		}
+		return callbackOrPromise(cb, () => {
+			if (this._store.collections[name]) {
+				if (options.strict) {
+					throw new MongoError(`Collection ${name} already exists. Currently in strict mode.`);
+				}
+			} else {
+				this._store.collections[name] = new MemoryCollection(this.databaseName, name);
+			}
+			return this._store.collections[name];
+		});
+	}
+
+	dropDatabase(cb) {
+		return callbackOrPromise(cb, () => {
+			this._store.collections = {};
+			return true;
+		});
+	}
+
+	admin() {
+		return new MemoryAdmin();
+	}
+
+	/**
+	 * Returns a deep copy of every collection's contents, used to roll back transactions.
+	 *
+	 * @method _snapshot
+	 * @private
+	 * @return {Object}
+	 */
+	_snapshot() {
+		let snapshot = {};
+		for (let name in this._store.collections) {
+			snapshot[name] = this._store.collections[name]._snapshot();
+		}
+		return snapshot;
+	}
+
+	_restore(snapshot) {
+		for (let name in this._store.collections) {
+			if (snapshot[name]) {
+				this._store.collections[name]._restore(snapshot[name]);
+			} else {
+				delete this._store.collections[name];
+			}
+		}
+	}
+
+}
+
+module.exports = MemoryDb;
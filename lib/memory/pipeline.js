@@ -0,0 +1,364 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const values = require('./values');
+
+/**
+ * Evaluator for mongo aggregation pipelines, used by the in-memory backend.  This supports the stages and
+ * expression operators that `utils/aggregates` generates, plus a few common extras.
+ *
+ * @class pipeline
+ * @private
+ * @static
+ */
+
+function unsupported(what) {
+	return new XError(XError.UNSUPPORTED_OPERATION, `${what} is not supported by the in-memory backend`);
+}
+
+function toNumber(value) {
+	if (value instanceof Date) return value.getTime();
+	return value;
+}
+
+function toStr(value) {
+	if (value === null || value === undefined) return '';
+	if (value instanceof Date) return value.toISOString().replace(/\.000Z$/, 'Z');
+	return String(value);
+}
+
+/**
+ * Evaluates an aggregation expression.
+ *
+ * @method evaluate
+ * @static
+ * @param {Mixed} expr - Aggregation expression
+ * @param {Object} vars - Variables in scope, including CURRENT
+ * @return {Mixed}
+ */
+function evaluate(expr, vars) {
+	if (typeof expr === 'string') {
+		if (expr.startsWith('$$')) {
+			let [ varName, ...path ] = expr.slice(2).split('.');
+			if (!(varName in vars)) throw new XError(XError.INVALID_ARGUMENT, `Unknown variable: ${varName}`);
+			return path.length ? objtools.getPath(vars[varName], path.join('.')) : vars[varName];
+		}
+		if (expr[0] === '$') return objtools.getPath(vars.CURRENT, expr.slice(1));
+		return expr;
+	}
+	if (Array.isArray(expr)) return expr.map((subexpr) => evaluate(subexpr, vars));
+	if (!_.isPlainObject(expr)) return expr;
+
+	let keys = Object.keys(expr);
+	if (keys.length !== 1 || keys[0][0] !== '$') {
+		return _.mapValues(expr, (subexpr) => evaluate(subexpr, vars));
+	}
+	let operator = keys[0];
+	let arg = expr[operator];
+	let args = () => (Array.isArray(arg) ? arg : [ arg ]).map((subexpr) => evaluate(subexpr, vars));
+	let date = () => {
+		let value = evaluate(arg, vars);
+		if (!(value instanceof Date)) value = new Date(value);
+		return value;
+	};
+
+	switch (operator) {
+		case '$literal':
+			return arg;
+		case '$cond': {
+			let [ ifExpr, thenExpr, elseExpr ] = Array.isArray(arg) ? arg : [ arg.if, arg.then, arg.else ];
+			return evaluate(evaluate(ifExpr, vars) ? thenExpr : elseExpr, vars);
+		}
+		case '$ifNull': {
+			let [ value, replacement ] = args();
+			return (value === null || value === undefined) ? replacement : value;
+		}
+		case '$let': {
+			let newVars = _.clone(vars);
+			for (let varName in arg.vars) {
+				newVars[varName] = evaluate(arg.vars[varName], vars);
+			}
+			return evaluate(arg.in, newVars);
+		}
+		case '$map': {
+			let input = evaluate(arg.input, vars);
+			if (!Array.isArray(input)) return null;
+			let as = arg.as || 'this';
+			return input.map((item) => evaluate(arg.in, _.assign({}, vars, { [as]: item })));
+		}
+		case '$and':
+			return _.every(args(), Boolean);
+		case '$or':
+			return _.some(args(), Boolean);
+		case '$not':
+			return !args()[0];
+		case '$anyElementTrue':
+			return _.some(args()[0], Boolean);
+		case '$allElementsTrue':
+			return _.every(args()[0], Boolean);
+		case '$eq':
+			return values.compare(...args()) === 0;
+		case '$ne':
+			return values.compare(...args()) !== 0;
+		case '$lt':
+			return values.compare(...args()) < 0;
+		case '$lte':
+			return values.compare(...args()) <= 0;
+		case '$gt':
+			return values.compare(...args()) > 0;
+		case '$gte':
+			return values.compare(...args()) >= 0;
+		case '$cmp':
+			return Math.sign(values.compare(...args()));
+		case '$add': {
+			let operands = args();
+			let sum = _.sum(operands.map(toNumber));
+			return _.some(operands, (operand) => operand instanceof Date) ? new Date(sum) : sum;
+		}
+		case '$subtract': {
+			let [ a, b ] = args();
+			if (a === null || a === undefined || b === null || b === undefined) return null;
+			if (a instanceof Date && !(b instanceof Date)) return new Date(a.getTime() - b);
+			return toNumber(a) - toNumber(b);
+		}
+		case '$multiply':
+			return args().reduce((product, value) => product * value, 1);
+		case '$divide': {
+			let [ a, b ] = args();
+			return a / b;
+		}
+		case '$mod': {
+			let [ a, b ] = args();
+			if (a === null || a === undefined || b === null || b === undefined) return null;
+			return a % b;
+		}
+		case '$substr':
+		case '$substrBytes': {
+			let [ value, start, length ] = args();
+			let str = toStr(value);
+			return (length < 0) ? str.slice(start) : str.substr(start, length);
+		}
+		case '$concat': {
+			let parts = args();
+			if (_.some(parts, (part) => part === null || part === undefined)) return null;
+			return parts.join('');
+		}
+		case '$toString':
+			return toStr(args()[0]);
+		case '$toLower':
+			return toStr(args()[0]).toLowerCase();
+		case '$toUpper':
+			return toStr(args()[0]).toUpperCase();
+		case '$size':
+			return args()[0].length;
+		case '$arrayElemAt': {
+			let [ array, index ] = args();
+			if (!Array.isArray(array)) return undefined;
+			return (index < 0) ? array[array.length + index] : array[index];
+		}
+		case '$year':
+			return date().getUTCFullYear();
+		case '$month':
+			return date().getUTCMonth() + 1;
+		case '$dayOfMonth':
+			return date().getUTCDate();
+		case '$hour':
+			return date().getUTCHours();
+		case '$minute':
+			return date().getUTCMinutes();
+		case '$second':
+			return date().getUTCSeconds();
+		case '$millisecond':
+			return date().getUTCMilliseconds();
+		default:
+			throw unsupported(`Aggregate expression operator ${operator}`);
+	}
+}
+
+/**
+ * Adds a document's value to the state of a $group accumulator.
+ *
+ * @method accumulate
+ * @private
+ * @param {String} operator - Accumulator operator, such as `$sum`
+ * @param {Object} state - Current accumulator state
+ * @param {Mixed} value - Evaluated value for the current document
+ * @return {Object} - New state
+ */
+function accumulate(operator, state, value) {
+	let isNumber = typeof value === 'number';
+	let isMissing = value === null || value === undefined;
+	switch (operator) {
+		case '$sum':
+			return { value: (state ? state.value : 0) + (isNumber ? value : 0) };
+		case '$avg':
+		case '$stdDevPop': {
+			state = state || { numbers: [] };
+			if (isNumber) state.numbers.push(value);
+			return state;
+		}
+		case '$min':
+			if (isMissing) return state;
+			if (!state || values.compare(value, state.value) < 0) return { value };
+			return state;
+		case '$max':
+			if (isMissing) return state;
+			if (!state || values.compare(value, state.value) > 0) return { value };
+			return state;
+		case '$first':
+			return state || { value };
+		case '$last':
+			return { value };
+		case '$push':
+			state = state || { value: [] };
+			if (value !== undefined) state.value.push(value);
+			return state;
+		case '$addToSet':
+			state = state || { value: [] };
+			if (value !== undefined && !_.some(state.value, (item) => values.equals(item, value))) {
+				state.value.push(value);
+			}
+			return state;
+		default:
+			throw unsupported(`Aggregate accumulator ${operator}`);
+	}
+}
+
+function finishAccumulator(operator, state) {
+	if (!state) return (operator === '$sum') ? 0 : null;
+	if (operator === '$avg' || operator === '$stdDevPop') {
+		let { numbers } = state;
+		if (!numbers.length) return null;
+		let mean = _.sum(numbers) / numbers.length;
+		if (operator === '$avg') return mean;
+		return Math.sqrt(_.sum(numbers.map((number) => (number - mean) * (number - mean))) / numbers.length);
+	}
+	return state.value;
+}
+
+function runGroup(docs, groupSpec) {
+	let groups = {};
+	let groupOrder = [];
+	for (let doc of docs) {
+		let vars = { CURRENT: doc, ROOT: doc };
+		let id = evaluate(groupSpec._id, vars);
+		if (id === undefined) id = null;
+		let hash = objtools.objectHash({ id: values.toMatchable(id) });
+		if (!groups[hash]) {
+			groups[hash] = { _id: id, states: {} };
+			groupOrder.push(hash);
+		}
+		let group = groups[hash];
+		for (let field in groupSpec) {
+			if (field === '_id') continue;
+			let [ operator ] = Object.keys(groupSpec[field]);
+			let value = evaluate(groupSpec[field][operator], vars);
+			group.states[field] = accumulate(operator, group.states[field], value);
+		}
+	}
+	return groupOrder.map((hash) => {
+		let group = groups[hash];
+		let result = { _id: group._id };
+		for (let field in groupSpec) {
+			if (field === '_id') continue;
+			let [ operator ] = Object.keys(groupSpec[field]);
+			result[field] = finishAccumulator(operator, group.states[field]);
+		}
+		return result;
+	});
+}
+
+/**
+ * Runs an aggregation pipeline over an array of documents.
+ *
+ * @method run
+ * @static
+ * @param {Object[]} docs - Input documents
+ * @param {Object[]} pipeline - Mongo aggregation pipeline
+ * @return {Object[]} - Output documents
+ */
+function run(docs, pipeline) {
+	for (let stage of pipeline) {
+		let [ stageName ] = Object.keys(stage);
+		let spec = stage[stageName];
+		switch (stageName) {
+			case '$match': {
+				let matches = values.createMatcher(spec);
+				docs = docs.filter(matches);
+				break;
+			}
+			case '$limit':
+				docs = docs.slice(0, spec);
+				break;
+			case '$skip':
+				docs = docs.slice(spec);
+				break;
+			case '$sort':
+				docs = docs.slice().sort(values.createSortFn(spec));
+				break;
+			case '$project':
+				docs = docs.map((doc) => {
+					let computed = _.pickBy(spec, (value) => !_.isBoolean(value) && !_.isNumber(value));
+					let result = values.project(doc, _.omitBy(spec, (value, field) => field in computed));
+					for (let field in computed) {
+						objtools.setPath(result, field, evaluate(computed[field], { CURRENT: doc, ROOT: doc }));
+					}
+					return result;
+				});
+				break;
+			case '$addFields':
+			case '$set':
+				docs = docs.map((doc) => {
+					let result = objtools.deepCopy(doc);
+					for (let field in spec) {
+						objtools.setPath(result, field, evaluate(spec[field], { CURRENT: doc, ROOT: doc }));
+					}
+					return result;
+				});
+				break;
+			case '$unwind': {
+				let path = (typeof spec === 'string') ? spec : spec.path;
+				path = path.slice(1);
+				let unwound = [];
+				for (let doc of docs) {
+					let array = objtools.getPath(doc, path);
+					if (!Array.isArray(array)) {
+						if (array !== null && array !== undefined) unwound.push(doc);
+						continue;
+					}
+					for (let item of array) {
+						let newDoc = objtools.deepCopy(doc);
+						objtools.setPath(newDoc, path, item);
+						unwound.push(newDoc);
+					}
+				}
+				docs = unwound;
+				break;
+			}
+			case '$group':
+				docs = runGroup(docs, spec);
+				break;
+			case '$count':
+				docs = [ { [spec]: docs.length } ];
+				break;
+			case '$facet': {
+				let result = {};
+				for (let name in spec) {
+					result[name] = run(docs, spec[name]);
+				}
+				docs = [ result ];
+				break;
+			}
+			default:
+				throw unsupported(`Aggregate stage ${stageName}`);
+		}
+	}
+	return docs;
+}
+
+exports.evaluate = evaluate;
+exports.run = run;
@@ -0,0 +1,135 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const objtools = require('objtools');
+
+/**
+ * Text index and `$text` search support for the in-memory backend.  Index descriptions are shaped like mongo's,
+ * and scores follow mongo's formula, but words are only lowercased: there is no stemming and there are no stop
+ * words, so results can differ from mongo's for the same search.
+ *
+ * @class textSearch
+ * @private
+ * @static
+ */
+
+// Like mongo, words are split at delimiters: whitespace, and ASCII, Latin-1 and general punctuation and symbols
+const delimiterRegex = /[\s!-/:-@[-`{-~\u00a1-\u00bf\u00d7\u00f7\u2000-\u206f\u3000-\u303f]+/;
+
+function tokenize(str) {
+	return str.toLowerCase().split(delimiterRegex).filter(Boolean);
+}
+
+// Returns all strings in a value, descending into arrays and (for wildcard indexes) objects
+function getStrings(value) {
+	if (_.isString(value)) return [ value ];
+	if (Array.isArray(value)) return _.flatMap(value, getStrings);
+	if (_.isPlainObject(value)) return _.flatMap(_.values(value), getStrings);
+	return [];
+}
+
+/**
+ * Returns whether an index spec contains text fields.
+ *
+ * @method isTextIndexSpec
+ * @static
+ * @param {Object} spec - Index spec, like `{ title: 'text', body: 'text' }`
+ * @return {Boolean}
+ */
+exports.isTextIndexSpec = function(spec) {
+	return _.includes(_.values(spec), 'text');
+};
+
+/**
+ * Builds the description of a text index, like mongo's: the text fields are replaced in the key by `_fts` and
+ * `_ftsx`, and are listed in `weights` instead.
+ *
+ * @method createTextIndex
+ * @static
+ * @param {Object} spec - Index spec, like `{ title: 'text', body: 'text' }`
+ * @param {Object} options - Index options
+ * @return {Object} - Index key and text index options
+ */
+exports.createTextIndex = function(spec, options = {}) {
+	let key = {};
+	let weights = {};
+	for (let field in spec) {
+		if (spec[field] === 'text') {
+			if (!key._fts) {
+				key._fts = 'text';
+				key._ftsx = 1;
+			}
+			weights[field] = 1;
+		} else {
+			key[field] = spec[field];
+		}
+	}
+	return {
+		key,
+		weights: _.assign(weights, options.weights),
+		default_language: options.default_language || 'english', // eslint-disable-line camelcase
+		language_override: options.language_override || 'language', // eslint-disable-line camelcase
+		textIndexVersion: 3
+	};
+};
+
+/**
+ * Parses a `$search` string into terms, negated terms and phrases.
+ *
+ * @method parseSearch
+ * @static
+ * @param {String} search
+ * @return {Object} - `{ terms, negatedTerms, phrases }`
+ */
+exports.parseSearch = function(search) {
+	let phrases = [];
+	let rest = search.replace(/"([^"]*)"/g, (match, phrase) => {
+		phrases.push(phrase.toLowerCase());
+		return ` ${phrase} `;
+	});
+	let terms = [];
+	let negatedTerms = [];
+	for (let word of rest.split(/\s+/)) {
+		if (word[0] === '-') {
+			negatedTerms.push(...tokenize(word.slice(1)));
+		} else {
+			terms.push(...tokenize(word));
+		}
+	}
+	return { terms: _.uniq(terms), negatedTerms, phrases };
+};
+
+/**
+ * Scores a document against a parsed search using a text index.
+ *
+ * @method score
+ * @static
+ * @param {Object} doc
+ * @param {Object} index - Text index description
+ * @param {Object} search - Parsed search from `parseSearch()`
+ * @return {Number} - The text score, or 0 if the document does not match
+ */
+exports.score = function(doc, index, search) {
+	let fieldStrings = {};
+	for (let field in index.weights) {
+		fieldStrings[field] = getStrings((field === '$**') ? doc : objtools.getPath(doc, field));
+	}
+	let allText = _.flatten(_.values(fieldStrings)).join(' ').toLowerCase();
+	let allTokens = tokenize(allText);
+	if (_.some(search.negatedTerms, (term) => _.includes(allTokens, term))) return 0;
+	if (!_.every(search.phrases, (phrase) => _.includes(allText, phrase))) return 0;
+
+	let score = 0;
+	for (let field in fieldStrings) {
+		for (let str of fieldStrings[field]) {
+			let tokens = tokenize(str);
+			for (let term of search.terms) {
+				let count = _.filter(tokens, (token) => token === term).length;
+				if (count) score += index.weights[field] * count * (0.5 * count / tokens.length + 0.5);
+			}
+		}
+	}
+	return score;
+};
@@ -0,0 +1,235 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const objtools = require('objtools');
+const { ObjectID } = require('mongodb');
+const { queryFactory } = require('../common-query-factories');
+
+/**
+ * Value helpers shared by the in-memory backend: comparison in mongo sort order, and
+ * conversion of stored values into a form common-query can match against.
+ *
+ * @class values
+ * @private
+ * @static
+ */
+
+// Rank of each type in mongo's cross-type comparison order
+const typeOrder = {
+	null: 1,
+	number: 2,
+	string: 3,
+	object: 4,
+	array: 5,
+	buffer: 6,
+	objectId: 7,
+	boolean: 8,
+	date: 9,
+	regexp: 10
+};
+
+function getTypeName(value) {
+	if (value === null || value === undefined) return 'null';
+	if (typeof value === 'number') return 'number';
+	if (typeof value === 'string') return 'string';
+	if (typeof value === 'boolean') return 'boolean';
+	if (value instanceof Date) return 'date';
+	if (value instanceof RegExp) return 'regexp';
+	if (value instanceof ObjectID) return 'objectId';
+	if (Buffer.isBuffer(value)) return 'buffer';
+	if (Array.isArray(value)) return 'array';
+	return 'object';
+}
+
+/**
+ * Compares two values the way mongo orders them when sorting.
+ *
+ * @method compare
+ * @static
+ * @param {Mixed} a
+ * @param {Mixed} b
+ * @return {Number} - Negative, zero or positive
+ */
+exports.compare = function(a, b) {
+	let typeA = getTypeName(a);
+	let typeB = getTypeName(b);
+	if (typeA !== typeB) return typeOrder[typeA] - typeOrder[typeB];
+
+	switch (typeA) {
+		case 'null':
+			return 0;
+		case 'number':
+		case 'string':
+		case 'boolean':
+			if (a < b) return -1;
+			if (a > b) return 1;
+			return 0;
+		case 'date':
+			return a.getTime() - b.getTime();
+		case 'objectId':
+			return exports.compare(a.toHexString(), b.toHexString());
+		case 'buffer':
+			return Buffer.compare(a, b);
+		case 'array':
+			for (let i = 0; i < a.length && i < b.length; i++) {
+				let result = exports.compare(a[i], b[i]);
+				if (result !== 0) return result;
+			}
+			return a.length - b.length;
+		default:
+			return exports.compare(JSON.stringify(a), JSON.stringify(b));
+	}
+};
+
+/**
+ * Returns a copy of the value with ObjectIDs replaced by strings, which common-query can
+ * compare.  This is applied to both stored documents and queries before matching.
+ *
+ * @method toMatchable
+ * @static
+ * @param {Mixed} value
+ * @return {Mixed}
+ */
+exports.toMatchable = function(value) {
+	if (value instanceof ObjectID) return `ObjectId(${value.toHexString()})`;
+	if (Array.isArray(value)) return value.map(exports.toMatchable);
+	if (_.isPlainObject(value)) return _.mapValues(value, exports.toMatchable);
+	return value;
+};
+
+// The driver serializes undefined values in queries as null
+function undefinedToNull(value) {
+	if (value === undefined) return null;
+	if (Array.isArray(value)) return value.map(undefinedToNull);
+	if (_.isPlainObject(value)) return _.mapValues(value, undefinedToNull);
+	return value;
+}
+
+// In mongo, null inequality excludes missing fields as well as null values
+function addNullInequalityExists(value) {
+	if (Array.isArray(value)) return value.map(addNullInequalityExists);
+	if (!_.isPlainObject(value)) return value;
+	value = _.mapValues(value, addNullInequalityExists);
+	if (value.$ne === null && value.$exists === undefined) value.$exists = true;
+	return value;
+}
+
+/**
+ * Creates a function that checks whether a stored document matches a mongo query.
+ *
+ * @method createMatcher
+ * @static
+ * @param {Object} [filter={}] - Mongo query
+ * @return {Function} - Takes a document and returns a boolean
+ */
+exports.createMatcher = function(filter = {}) {
+	let queryData = addNullInequalityExists(undefinedToNull(exports.toMatchable(_.omit(filter, '$comment'))));
+	let query = queryFactory.createQuery(queryData, { skipValidate: true });
+	return (doc) => query.matches(exports.toMatchable(doc));
+};
+
+/**
+ * Returns whether two values are equal, treating ObjectIDs with the same value as equal.
+ *
+ * @method equals
+ * @static
+ * @param {Mixed} a
+ * @param {Mixed} b
+ * @return {Boolean}
+ */
+exports.equals = function(a, b) {
+	return objtools.deepEquals(exports.toMatchable(a), exports.toMatchable(b));
+};
+
+/**
+ * Symbol holding the text score on documents matched by a $text query, used by `$meta` sorts and projections.
+ *
+ * @property textScore
+ * @static
+ * @type Symbol
+ */
+exports.textScore = Symbol('textScore');
+
+function isTextScoreMeta(value) {
+	return _.isPlainObject(value) && value.$meta === 'textScore';
+}
+
+/**
+ * Returns a shallow copy of a stored document with its text score attached.
+ *
+ * @method withTextScore
+ * @static
+ * @param {Object} doc
+ * @param {Number} score
+ * @return {Object}
+ */
+exports.withTextScore = function(doc, score) {
+	return _.assign({ [exports.textScore]: score }, doc);
+};
+
+/**
+ * Creates a sort comparison function from a mongo sort spec such as `{ foo: 1, bar: -1 }`.
+ *
+ * @method createSortFn
+ * @static
+ * @param {Object} sortSpec
+ * @return {Function}
+ */
+exports.createSortFn = function(sortSpec) {
+	return (a, b) => {
+		for (let field in sortSpec) {
+			if (isTextScoreMeta(sortSpec[field])) {
+				// Text scores always sort highest first
+				let result = (b[exports.textScore] || 0) - (a[exports.textScore] || 0);
+				if (result !== 0) return result;
+				continue;
+			}
+			let result = exports.compare(objtools.getPath(a, field), objtools.getPath(b, field));
+			if (result !== 0) return (sortSpec[field] < 0) ? -result : result;
+		}
+		return 0;
+	};
+};
+
+/**
+ * Applies a mongo projection to a document, returning a new document.  Handles both inclusion
+ * (`{ foo: true }`) and exclusion (`{ foo: 0 }`) projections, and `{ score: { $meta: 'textScore' } }` .
+ *
+ * @method project
+ * @static
+ * @param {Object} doc
+ * @param {Object} [projection]
+ * @return {Object}
+ */
+exports.project = function(doc, projection) {
+	let metaFields = _.keys(_.pickBy(projection, isTextScoreMeta));
+	if (metaFields.length) {
+		let result = exports.project(doc, _.omit(projection, metaFields));
+		for (let field of metaFields) {
+			if (doc[exports.textScore] !== undefined) result[field] = doc[exports.textScore];
+		}
+		return result;
+	}
+	if (_.isEmpty(projection)) return objtools.deepCopy(doc);
+	let isInclusion = _.some(projection, (value, field) => field !== '_id' && value);
+	let result;
+	if (isInclusion) {
+		result = {};
+		for (let field in projection) {
+			if (!projection[field] || field === '_id') continue;
+			let value = objtools.getPath(doc, field);
+			if (value !== undefined) objtools.setPath(result, field, objtools.deepCopy(value));
+		}
+		if (projection._id !== false && projection._id !== 0 && doc._id !== undefined) {
+			result = objtools.merge({ _id: doc._id }, result);
+		}
+	} else {
+		result = objtools.deepCopy(doc);
+		for (let field in projection) {
+			if (!projection[field]) objtools.deletePath(result, field);
+		}
+	}
+	return result;
+};
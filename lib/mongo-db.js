@@ -3,14 +3,40 @@
 // http://www.apache.org/licenses/LICENSE-2.0
 
 const _ = require('lodash');
+const { AsyncLocalStorage } = require('async_hooks');
 const mongodb = require('mongodb');
 const EventEmitter = require('events').EventEmitter;
 const pasync = require('pasync');
 const XError = require('xerror');
 const MongoError = require('./mongo-error');
 const MongoModel = require('./mongo-model');
+const MemoryClient = require('./memory/memory-client');
 const opUtils = require('./utils/ops');
 
+// Server types that accept writes, from the driver's topology descriptions
+const WRITABLE_SERVER_TYPES = [ 'Standalone', 'Mongos', 'RSPrimary' ];
+
+/**
+ * Computes the connection state reported by `MongoDb#getState()` from a driver topology description.
+ *
+ * @method getTopologyState
+ * @private
+ * @param {Object} description - TopologyDescription from the driver
+ * @return {Object}
+ */
+function getTopologyState(description) {
+	let servers = Array.from(description.servers.values());
+	let primary = servers.some((server) => WRITABLE_SERVER_TYPES.includes(server.type));
+	let secondaries = servers.filter((server) => server.type === 'RSSecondary').length;
+	let state = 'disconnected';
+	if (primary) {
+		state = 'connected';
+	} else if (secondaries) {
+		state = 'degraded';
+	}
+	return { state, primary, secondaries };
+}
+
 /**
  * Class representing a connection to a MongoDB database.
  *
@@ -22,8 +48,15 @@ const opUtils = require('./utils/ops');
  * This class also emits the following events:
  *
  * - connect(db) - Emitted when the database connects or reconnects.
- * - disconnect(reason) - Emitted when the database disconnects for some reason.
+ * - disconnect(reason) - Emitted when the database disconnects for some reason, including when no member of the
+ *   replica set can be reached anymore.
+ * - topologyChange(state, previousState) - Emitted when the connection state returned by `getState()` changes,
+ *   such as when the primary steps down or a secondary goes down.
  * - error(err) - Emitted when some asynchronous error occurs.
+ * - indexPlan(plan, model) - Emitted when a model initializes with `autoCreateIndex` set to `'dryRun'` .
+ *   The plan is in the format returned by `MongoModel#planIndexChanges()` .
+ * - indexRebuild(rebuild, model) - Emitted when an index is dropped and recreated because its options differ
+ *   from the schema.  The rebuild is in the format of the `rebuild` entries of `MongoModel#planIndexChanges()` .
  *
  * @class MongoDb
  * @constructor
@@ -42,6 +75,23 @@ class MongoDb extends EventEmitter {
 		});
 		this.options = options;
 		this.modelRegistry = {};  // Mapping object for models registered to this db
+		// Set on child databases returned by useDb(), which use the connection of this parent database
+		this.parent = null;
+		this.databaseName = null;
+		this._childDbs = {};
+		this._childDbsAttachable = false;
+		// Connection state returned by getState(), kept up to date from the driver's topology events
+		this._topologyState = { state: 'disconnected', primary: false, secondaries: 0 };
+		this._onTopologyDescriptionChanged = null;
+		// Number of secondaries assigned to numReplicas, if any, which is used instead of the one from the topology
+		this._numReplicas = null;
+		// Holds the driver session of the transaction, if any, that the current async context is running in
+		this._transactionStorage = new AsyncLocalStorage();
+		// Model operations in progress, which close() waits for when draining, and the one, if any, that the
+		// current async context is part of
+		this._operations = new Set();
+		this._operationStorage = new AsyncLocalStorage();
+		this._draining = false;
 	}
 
 	/**
@@ -62,6 +112,10 @@ class MongoDb extends EventEmitter {
 	 * model will be registered to this db. If called with the string name of a perviously registered model, it will
 	 * return that model.
 	 *
+	 * On a child database returned by `useDb()` , models registered to the parent database are also found by
+	 * name.  The first time one is requested, a copy of it is created for the child database, with the same
+	 * schema, options, indexes and hooks, and its collection is initialized in the child database.
+	 *
 	 * @method model
 	 * @param {MongoModel|String} model
 	 * @return {MongoModel}
@@ -72,6 +126,9 @@ class MongoDb extends EventEmitter {
 		} else if (_.isString(model)) {
 			let name = model;
 			model = this.modelRegistry[name];
+			if (!model && this.parent && this.parent.modelRegistry[name]) {
+				model = this.modelRegistry[name] = this.parent.modelRegistry[name]._copyForDb(this);
+			}
 			if (!model) throw new XError(XError.INTERNAL_ERROR, `Model not found: ${name}`);
 			return model;
 		} else {
@@ -79,23 +136,100 @@ class MongoDb extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Returns a child database using another database on the same connection.  The child shares the connection
+	 * pool of this database, so it is cheap to use one for each tenant in database-per-tenant deployments.  It
+	 * connects when this database connects, and is disconnected when this database is closed.  Models registered
+	 * to this database can be used in the child database by name, with `child.model(name)` .
+	 *
+	 * @method useDb
+	 * @param {String} name - Name of the database
+	 * @return {MongoDb} - The child database.  Calling `useDb()` again with the same name returns the same one.
+	 */
+	useDb(name) {
+		if (this.parent) return this.parent.useDb(name);
+		if (!_.isString(name) || !name) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Database name must be a non-empty string');
+		}
+		if (!this._childDbs[name]) {
+			let child = new MongoDb(this.options);
+			child.parent = this;
+			child.databaseName = name;
+			this._childDbs[name] = child;
+			if (this._childDbsAttachable) child._attachToParent();
+		}
+		return this._childDbs[name];
+	}
+
+	/**
+	 * Connects a child database returned by `useDb()` using the connection of its parent.
+	 *
+	 * @method _attachToParent
+	 * @private
+	 */
+	_attachToParent() {
+		let db = this.parent.client.db(this.databaseName);
+		this.client = this.parent.client;
+		this.db = db;
+		this.serverInfo = this.parent.serverInfo;
+		this.emit('connect', db);
+		this.dbPromiseResolve(db);
+	}
+
+	/**
+	 * Disconnects a child database returned by `useDb()` , without closing the shared connection.
+	 *
+	 * @method _detachFromParent
+	 * @private
+	 */
+	_detachFromParent() {
+		if (!this.db) return;
+		this.db = null;
+		this.client = null;
+		this.dbPromise = new Promise((resolve, reject) => {
+			this.dbPromiseResolve = resolve;
+			this.dbPromiseReject = reject;
+		});
+		this.emit('disconnect', 'Connection closed');
+	}
+
 
 	/**
 	 * Sets up a connection to a mongodb server.
 	 *
 	 * @method connect
 	 * @param {String} uri - Mongo connection string.  See http://docs.mongodb.org/manual/reference/connection-string/
+	 *   A URI of the form `memory://localhost/dbname` connects to an in-memory backend instead of a server.  It
+	 *   supports the same model and document operations, and is intended for tests.
 	 * @param {Object} [options] - Any option that can be passed into `mongodb.MongoClient.connect()` .
 	 *   Additionally, options that are passed in on the root options object are separated into
 	 *   the separate suboptions on the `db`, `server`, `replSet`, and `mongos` objects.
-	 *   @param {Boolean} [options.autoCreateIndex] - create indexes automatically if set to true. Default to true.
+	 *   @param {Boolean|String} [options.autoCreateIndex] - create indexes automatically if set to true. Default to
+	 *     true.  If set to `'dryRun'`, models compute the index changes they would make and emit them in an `indexPlan`
+	 *     event instead of applying them.
 	 *   @param {Boolean} options.backgroundIndex - create indexes in background mode if set to true.
+	 *   @param {Object} [options.retryPolicy] - How model operations retry database calls that fail with transient
+	 *     errors, like network errors and errors from replica set elections.  Models and calls can override its
+	 *     fields with their own `retryPolicy` option.  Reads of `find()` , `count()` and `aggregateMulti()` are
+	 *     retried, and atomic writes of `insertMulti()` , `update()` and `remove()` if `writes` is set.
+	 *     @param {Number} [options.retryPolicy.attempts=3] - Number of times to try a call, including the first.
+	 *     @param {Number} [options.retryPolicy.backoff=100] - Milliseconds to wait before the first retry.
+	 *     @param {Number} [options.retryPolicy.backoffFactor=2] - Factor the wait grows by for each further retry.
+	 *     @param {Number} [options.retryPolicy.maxBackoff=2000] - Maximum milliseconds to wait between retries.
+	 *     @param {String[]} [options.retryPolicy.errorClasses=[ 'network', 'notPrimary' ]] - Classes of errors
+	 *       from `MongoError.getErrorClass()` to retry.
+	 *     @param {Boolean} [options.retryPolicy.writes=false] - Also retry writes.  A retried write may be applied
+	 *       twice if the error came after the server applied it.
 	 * @return {Promise} - Resolves when the connection is complete.  Note that this promise will not
 	 *   reject on error.  Because errors can occur at any time, not just during the connection, this
 	 *   object will emit `error` events.  To detect and handle errors, listen to the `error` event
 	 *   instead of waiting for this promise to reject.
 	 */
 	connect(uri, options = {}) {
+		if (this.parent) {
+			throw new XError(XError.UNSUPPORTED_OPERATION, 'Child databases use the connection of their parent');
+		}
+
 		// Merge options
 		options = _.merge({}, this.options || {}, options);
 		if (!uri && options.uri) {
@@ -105,9 +239,13 @@ class MongoDb extends EventEmitter {
 			throw new Error('No URI supplied to MongoDb');
 		}
 
-		if (options.autoCreateIndex !== false) this.options.autoCreateIndex = true;
-		else this.options.autoCreateIndex = false;
+		if (options.autoCreateIndex === false || options.autoCreateIndex === 'dryRun') {
+			this.options.autoCreateIndex = options.autoCreateIndex;
+		} else {
+			this.options.autoCreateIndex = true;
+		}
 		this.options.backgroundIndex = options.backgroundIndex;
+		this.options.retryPolicy = options.retryPolicy;
 
 		let mongoOptionMap = {
 			authSource: 'authSource',
@@ -162,18 +300,28 @@ class MongoDb extends EventEmitter {
 		mongoConnectOptions.useUnifiedTopology = true;
 
 		// Start connecting
+		let clientClass = /^memory:/.test(uri) ? MemoryClient : mongodb.MongoClient;
 		return pasync.retry({ times: 10, interval: 100 }, () => {
-			return mongodb.MongoClient.connect(uri, mongoConnectOptions);
+			return clientClass.connect(uri, mongoConnectOptions);
 		})
 			.catch((err) => {
 				throw MongoError.fromMongoError(err);
 			})
 			.then((client) => {
 				let db = client.db();
+				this._numReplicas = null;
 				db.on('error', (err) => this.emit('error', MongoError.fromMongoError(err)) );
-				db.on('timeout', () => this.emit('disconnect', 'Timed out') );
-				db.on('close', () => this.emit('disconnect', 'Connection closed') );
-				db.on('reconnect', () => this.emit('connect', db) );
+				// The unified topology only reports connection changes through topology monitoring events.  The
+				// in-memory backend has no topology, and is always connected to a standalone server.
+				if (client.topology && client.topology.description) {
+					this._topologyState = getTopologyState(client.topology.description);
+					this._onTopologyDescriptionChanged = (event) => {
+						this._setTopologyState(getTopologyState(event.newDescription));
+					};
+					client.on('topologyDescriptionChanged', this._onTopologyDescriptionChanged);
+				} else {
+					this._topologyState = { state: 'connected', primary: true, secondaries: 0 };
+				}
 				this.emit('connect', db);
 				this.dbPromiseResolve(db);
 				this.db = db;
@@ -184,14 +332,10 @@ class MongoDb extends EventEmitter {
 					// Get  and store server info
 					.then(() => dbAdmin.serverInfo())
 					.then((serverInfo) => (this.serverInfo = serverInfo))
-					// Try to get number of replicas,
-					// ignoring errors since they are expected in non-replicated environments
-					.then(() => dbAdmin.replSetGetStatus())
-					.then((status) => {
-						let replicas = status.members.filter((member) => member.stateStr === 'SECONDARY');
-						this.numReplicas = replicas.length;
-					}, () => {
-						this.numReplicas = 0;
+					.then(() => {
+						// Child databases need the server info, so they connect once it is loaded
+						this._childDbsAttachable = true;
+						for (let child of _.values(this._childDbs)) child._attachToParent();
 					});
 			}, (err) => {
 				this.dbPromiseReject(err);
@@ -202,13 +346,48 @@ class MongoDb extends EventEmitter {
 	}
 
 	/**
-	 * Closes this database connection.
+	 * Closes this database connection.  Child databases from `useDb()` are disconnected too.  Closing a child
+	 * database only disconnects it, and leaves the shared connection open.
+	 *
+	 * With the `drain` option, the database first stops accepting new model operations, which reject with
+	 * `XError.DB_ERROR` , and waits for the ones in progress to finish, including streams from
+	 * `MongoModel#findStream()` that are still being read.  Operations that are part of one in progress, like the
+	 * saves of an `update()` that resaves documents, still run.
 	 *
 	 * @method close
+	 * @param {Object} [options]
+	 *   @param {Boolean} [options.drain=false] - Wait for model operations in progress before closing.
+	 *   @param {Number} [options.timeout] - With `drain` , milliseconds to wait for operations.  Operations still
+	 *     running after that are killed with `killOperation()` if they have an `operationId` , and the connection
+	 *     is closed.  By default, there is no timeout.
 	 * @return {Promise} - Resolves when closed.
 	 */
-	close() {
+	close(options = {}) {
+		if (options.drain) {
+			let stopDraining = () => {
+				this._draining = false;
+				for (let child of _.values(this._childDbs)) child._draining = false;
+			};
+			return this._drain(options.timeout)
+				.then(() => this.close())
+				.then(stopDraining, (err) => {
+					stopDraining();
+					throw err;
+				});
+		}
+		if (this.parent) {
+			this._detachFromParent();
+			return Promise.resolve();
+		}
+		this._childDbsAttachable = false;
+		for (let child of _.values(this._childDbs)) child._detachFromParent();
 		if (this.db) {
+			// The driver reports topology changes while closing, which shouldn't update the state anymore
+			if (this._onTopologyDescriptionChanged) {
+				this.client.removeListener('topologyDescriptionChanged', this._onTopologyDescriptionChanged);
+				this._onTopologyDescriptionChanged = null;
+			}
+			this._setTopologyState({ state: 'disconnected', primary: false, secondaries: 0 }, 'Connection closed');
 			return new Promise((resolve, reject) => {
 				this.client.close((err) => {
 					if (err) {
@@ -229,6 +408,239 @@ class MongoDb extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Runs a model operation, keeping track of it so `close()` can wait for it.  Operations started while
+	 * draining are rejected, unless they are part of an operation in progress.
+	 *
+	 * @method _runOperation
+	 * @private
+	 * @param {Object} options - Options of the operation
+	 *   @param {String} [options.operationId] - Tracking id used to kill the operation if draining times out
+	 * @param {Function} fn - Function running the operation.  Should return a promise.
+	 * @return {Promise} - Resolves or rejects like the promise returned by `fn` .
+	 */
+	_runOperation(options, fn) {
+		if (this._operationStorage.getStore()) return fn();
+		if (this._draining) {
+			return Promise.reject(
+				new MongoError(XError.DB_ERROR, 'Database is closing and does not accept new operations')
+			);
+		}
+		let operation = { operationId: options.operationId };
+		operation.promise = this._operationStorage.run(operation, () => Promise.resolve().then(fn))
+			.then((result) => {
+				this._operations.delete(operation);
+				return result;
+			}, (err) => {
+				this._operations.delete(operation);
+				throw err;
+			});
+		this._operations.add(operation);
+		return operation.promise;
+	}
+
+	/**
+	 * Stops accepting new operations on this database and its child databases, and waits for the ones in progress.
+	 *
+	 * @method _drain
+	 * @private
+	 * @param {Number} [timeout] - Milliseconds to wait before killing the remaining operations
+	 * @return {Promise} - Resolves when the operations are finished or killed.
+	 */
+	_drain(timeout) {
+		let dbs = [ this ].concat(_.values(this._childDbs));
+		let operations = [];
+		for (let db of dbs) {
+			db._draining = true;
+			operations.push(...db._operations);
+		}
+		let finished = Promise.all(operations.map((operation) => operation.promise.catch(() => {})));
+		if (!timeout) return finished;
+		let timer;
+		return Promise.race([
+			finished.then(() => true),
+			new Promise((resolve) => {
+				timer = setTimeout(() => resolve(false), timeout);
+			})
+		])
+			.then((isFinished) => {
+				clearTimeout(timer);
+				if (isFinished || !this.db) return;
+				let running = operations.filter((operation) => _.some(dbs, (db) => db._operations.has(operation)));
+				let operationIds = _.uniq(_.compact(_.map(running, 'operationId')));
+				// Errors are ignored, since the connection is closed next anyways
+				return pasync.each(operationIds, (operationId) => {
+					return this.killOperation(operationId).catch(() => {});
+				});
+			});
+	}
+
+	/**
+	 * Returns the current state of the connection, which is kept up to date from the driver's topology monitoring.
+	 * The state is `'connected'` when a server that accepts writes (a primary, standalone server or mongos) is
+	 * reachable, `'degraded'` when only secondaries are reachable, so only reads with a secondary read preference
+	 * work, and `'disconnected'` otherwise.  Child databases from `useDb()` report the state of their parent.
+	 *
+	 * @method getState
+	 * @return {Object} - Object with the fields:
+	 *   - state - `'connected'` , `'degraded'` or `'disconnected'`
+	 *   - primary - Whether a server that accepts writes is reachable
+	 *   - secondaries - Number of reachable replica set secondaries
+	 */
+	getState() {
+		if (this.parent) {
+			return this.db ? this.parent.getState() : { state: 'disconnected', primary: false, secondaries: 0 };
+		}
+		return _.clone(this._topologyState);
+	}
+
+	/**
+	 * Number of reachable replica set secondaries, as in `getState()` .  Used by the `roundRobin` read preference.
+	 * Assigning a number overrides the count from the connection until the database reconnects.
+	 *
+	 * @property numReplicas
+	 * @type Number
+	 */
+	get numReplicas() {
+		if (this._numReplicas !== null) return this._numReplicas;
+		return this.getState().secondaries;
+	}
+
+	set numReplicas(value) {
+		this._numReplicas = value;
+	}
+
+	/**
+	 * Sends a ping command to the server, as a health check for things like readiness probes.
+	 *
+	 * @method ping
+	 * @param {Object} [options]
+	 *   @param {Number} [options.timeout] - Milliseconds to wait for the server to respond before rejecting.  By
+	 *     default, the ping waits as long as the driver does to select a server.
+	 * @return {Promise{Object}} - Resolves with the connection state from `getState()` , plus a `latency` field
+	 *   with the round trip time in milliseconds.  Rejects with a `MongoError` if the database is not connected,
+	 *   the server doesn't respond in time, or the command fails.
+	 */
+	ping(options = {}) {
+		if (!this.db) return Promise.reject(new MongoError(XError.DB_ERROR, 'Database is not connected'));
+		let start = Date.now();
+		let timer;
+		let pingPromise = this.db.admin().command({ ping: 1 })
+			.catch((err) => {
+				throw MongoError.fromMongoError(err);
+			});
+		if (options.timeout) {
+			pingPromise = Promise.race([
+				pingPromise,
+				new Promise((resolve, reject) => {
+					timer = setTimeout(() => {
+						reject(new MongoError(XError.TIMED_OUT, 'Database ping timed out'));
+					}, options.timeout);
+				})
+			]);
+		}
+		return pingPromise
+			.then(() => {
+				clearTimeout(timer);
+				return _.assign(this.getState(), { latency: Date.now() - start });
+			}, (err) => {
+				clearTimeout(timer);
+				throw err;
+			});
+	}
+
+	/**
+	 * Updates the connection state returned by `getState()` , and emits the events for the change on this database
+	 * and its connected child databases.
+	 *
+	 * @method _setTopologyState
+	 * @private
+	 * @param {Object} topologyState - New state, in the format returned by `getState()`
+	 * @param {String} [reason='No reachable servers'] - Reason for the `disconnect` event, if it's emitted
+	 */
+	_setTopologyState(topologyState, reason = 'No reachable servers') {
+		let previousState = this._topologyState;
+		if (_.isEqual(topologyState, previousState)) return;
+		this._topologyState = topologyState;
+		let dbs = [ this ].concat(_.filter(_.values(this._childDbs), 'db'));
+		for (let db of dbs) {
+			db.emit('topologyChange', _.clone(topologyState), _.clone(previousState));
+			if (previousState.state === 'disconnected' && topologyState.state !== 'disconnected') {
+				db.emit('connect', db.db);
+			} else if (previousState.state !== 'disconnected' && topologyState.state === 'disconnected') {
+				db.emit('disconnect', reason);
+			}
+		}
+	}
+
+	/**
+	 * Computes the index changes needed to bring each model's Mongo indexes in line with its schema, without
+	 * applying them.
+	 *
+	 * @method planIndexChanges
+	 * @param {MongoModel[]} [models] - Models to plan for.  Defaults to the models registered with `model()` .
+	 * @return {Promise{Object}} - Resolves with a map from model name to the plan returned by
+	 *   `MongoModel#planIndexChanges()` .
+	 */
+	planIndexChanges(models = _.values(this.modelRegistry)) {
+		let plans = {};
+		return pasync.eachSeries(models, (model) => {
+			return model.planIndexChanges()
+				.then((plan) => {
+					plans[model.getName()] = plan;
+				});
+		})
+			.then(() => plans);
+	}
+
+	/**
+	 * Runs a function inside a multi-document transaction.  Model and document operations made while the
+	 * function runs (including those in promise chains it starts) are bound to the transaction's session, and
+	 * are committed together when the function's promise resolves, or aborted together when it rejects.
+	 *
+	 * Transactions require a replica set or sharded cluster.  The driver may call `fn` more than once if the
+	 * transaction hits a transient error, so it should not have side effects outside the database.
+	 *
+	 * @method withTransaction
+	 * @param {Function} fn - Function to run, called with the driver `ClientSession`.  Should return a promise.
+	 * @param {Object} [options] - Transaction options passed to the driver, such as `readConcern`,
+	 *   `writeConcern` and `readPreference`.
+	 * @return {Promise} - Resolves with the value `fn` resolved with, after the transaction commits.
+	 */
+	withTransaction(fn, options = {}) {
+		return this._runOperation({}, () => this.dbPromise.then(() => {
+			let session = this.client.startSession();
+			let result;
+			return Promise.resolve()
+				.then(() => session.withTransaction(() => {
+					return this._transactionStorage.run(session, () => Promise.resolve().then(() => fn(session)))
+						.then((_result) => {
+							result = _result;
+						});
+				}, options))
+				.catch((err) => {
+					throw MongoError.fromMongoError(err);
+				})
+				.then(() => {
+					session.endSession();
+					return result;
+				}, (err) => {
+					session.endSession();
+					throw err;
+				});
+		}));
+	}
+
+	/**
+	 * Returns the driver session of the transaction the caller is running in, if any.
+	 *
+	 * @method getCurrentSession
+	 * @return {mongodb.ClientSession|undefined}
+	 */
+	getCurrentSession() {
+		return this._transactionStorage.getStore();
+	}
+
 	/**
 	 * Drops the whole database.
 	 *
@@ -9,6 +9,25 @@ const objtools = require('objtools');
 const commonQuery = require('common-query');
 const MongoError = require('./mongo-error');
 
+// Applies the changes from `original` to `mine` onto `latest`, returning the merged value
+function mergeChanges(original, mine, latest) {
+	if (!_.isPlainObject(original) || !_.isPlainObject(mine) || !_.isPlainObject(latest)) {
+		return objtools.deepCopy(mine);
+	}
+	let result = objtools.deepCopy(latest);
+	for (let key of _.union(_.keys(original), _.keys(mine))) {
+		if (key in original && key in mine && objtools.deepEquals(original[key], mine[key])) continue;
+		if (!(key in mine)) {
+			delete result[key];
+		} else if (key in original && key in latest) {
+			result[key] = mergeChanges(original[key], mine[key], latest[key]);
+		} else {
+			result[key] = objtools.deepCopy(mine[key]);
+		}
+	}
+	return result;
+}
+
 /**
  * MongoDB document class for Unimodel.
  *
@@ -35,6 +54,7 @@ class MongoDocument extends SchemaDocument {
 		if (this.options.isExisting) {
 			this._originalMongoData = origData;
 			if (!model.explicitInternalId) delete this._originalMongoData._id;
+			delete this._originalMongoData.__textScore;
 		}
 
 		const profPrepare = model.profiler.begin('MongoDocument#constructor @ _prepareNormalizeData');
@@ -47,6 +67,9 @@ class MongoDocument extends SchemaDocument {
 			this._revisionNumber = 1;
 		}
 
+		// Text score of a $text query, if it was requested
+		if (fields.__textScore !== undefined) this._textScore = fields.__textScore;
+
 		// Pull `_id` out into the root of the instance
 		if (fields._id) {
 			this._id = fields._id;
@@ -72,7 +95,7 @@ class MongoDocument extends SchemaDocument {
 	}
 
 	/**
-	 * Remove __rev, _id, and map indexes from the given data object.
+	 * Remove __rev, __textScore, _id, and map indexes from the given data object.
 	 *
 	 * @method _prepareNormalizeData
 	 * @private
@@ -85,6 +108,10 @@ class MongoDocument extends SchemaDocument {
 			fields.__rev = data.__rev;
 			delete data.__rev;
 		}
+		if (data.__textScore !== undefined) {
+			fields.__textScore = data.__textScore;
+			delete data.__textScore;
+		}
 		if (data._id !== undefined) {
 			fields._id = data._id;
 			if (!this.model.explicitInternalId) delete data._id;
@@ -132,6 +159,17 @@ class MongoDocument extends SchemaDocument {
 		}
 	}
 
+	/**
+	 * Returns the relevance score of this document for the `$text` query that found it.  This is only set when
+	 * the `textScore` or `sort: [ '$textScore' ]` option was passed to the query.
+	 *
+	 * @method getTextScore
+	 * @return {Number|undefined}
+	 */
+	getTextScore() {
+		return this._textScore;
+	}
+
 	/**
 	 * Set internal id
 	 *
@@ -205,7 +243,7 @@ class MongoDocument extends SchemaDocument {
 		}
 		for (let field in newData) {
 			if (!(field in originalData)) {
-				fields.push(fields);
+				fields.push(field);
 			}
 		}
 		return fields;
@@ -246,11 +284,162 @@ class MongoDocument extends SchemaDocument {
 	 * @throws {XError}
 	 * @param {Object} [options]
 	 *   @param {Boolean} [options.force] - Force saving even if not modified
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.  Defaults to the session
+	 *     of the enclosing `MongoDb#withTransaction()` call, if any.
+	 *   @param {Number} [options.retryOnConflict=0] - Number of times to retry if the document was updated
+	 *     elsewhere.  Before each retry, the latest version of the document is loaded, and this document's
+	 *     changes are merged into it.  Once the retries run out, this rejects with the first conflict error.
+	 *   @param {Function} [options.merge] - Merges this document's changes into the latest version before a
+	 *     retry.  It is called as `merge(latestDoc, myDoc)` , must modify `latestDoc.data` , and may return a
+	 *     Promise.  By default, each field changed in this document since it was loaded overwrites the same field
+	 *     of the latest version, and all other fields keep their latest values.
+	 *   @param {Number} [options.retryDelay=10] - Milliseconds to wait before the first retry.  This doubles with
+	 *     each retry.
+	 *   @param {Mixed} [options.actor] - Metadata about who is making the change, for the audit trail.
+	 *   @param {Mixed} [options.tenant] - Tenant of the document.  Required if the model has the `tenantField`
+	 *     option.  New documents get this tenant, and saving a document of another tenant, or changing its
+	 *     tenant, is rejected with `XError.ACCESS_DENIED` .
 	 * @since v0.0.1
 	 */
 	save(options = {}) {
-		let collection, documentData, mongoDocumentData;
+		return this.model._runOperation(options, () => {
+			if (!options.retryOnConflict) return this._saveOnce(options);
+			return this._saveWithRetries(options);
+		});
+	}
+
+	/**
+	 * Saves the document, retrying on conflicts as described in `save()` .
+	 *
+	 * @method _saveWithRetries
+	 * @private
+	 * @param {Object} options - Options passed to `save()`
+	 * @return {Promise{MongoDocument}}
+	 */
+	async _saveWithRetries(options) {
+		let merge = options.merge || MongoDocument._mergeChanges;
+		let retryDelay = _.isNumber(options.retryDelay) ? options.retryDelay : 10;
+		let conflictError;
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await this._saveOnce(options);
+			} catch (err) {
+				if (err.code !== XError.CONFLICT) throw err;
+				if (!conflictError) conflictError = err;
+				if (attempt >= options.retryOnConflict) throw conflictError;
+			}
+
+			await new Promise((resolve) => setTimeout(resolve, retryDelay * Math.pow(2, attempt)));
+			let latestDoc;
+			try {
+				latestDoc = await this._findLatest(options);
+			} catch (err) {
+				// The document was removed, so there is nothing to merge into
+				if (err.code === XError.NOT_FOUND) throw conflictError;
+				throw err;
+			}
+			await merge(latestDoc, this);
+			this._setLoadedState(latestDoc, latestDoc.data);
+		}
+	}
+
+	/**
+	 * Loads the current version of this document from the database.
+	 *
+	 * @method _findLatest
+	 * @private
+	 * @param {Object} [options]
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Mixed} [options.tenant] - Tenant of the document.
+	 * @param {String[]|null} [fields] - Fields to load, or null to load the whole document.  Defaults to the
+	 *   fields of this document.
+	 * @return {Promise{MongoDocument}} - Rejects with `XError.NOT_FOUND` if the document no longer exists
+	 */
+	_findLatest(options = {}, fields = this.isPartial() ? this.fields : null) {
+		let findOptions = {
+			readPreference: 'primary',
+			allowUnindexedQuery: true,
+			includeDeleted: true,
+			tenant: options.tenant,
+			session: options.session
+		};
+		if (fields) findOptions.fields = _.clone(fields);
+		return this.model.findOne({ [this.model.options.uniqueIdField]: this.getOriginalUniqueId() }, findOptions);
+	}
+
+	/**
+	 * Makes this document represent a version loaded from the database, with the given data.
+	 *
+	 * @method _setLoadedState
+	 * @private
+	 * @param {MongoDocument} loadedDoc - Document loaded from the database
+	 * @param {Object} data - New data for this document
+	 */
+	_setLoadedState(loadedDoc, data) {
+		this._revisionNumber = loadedDoc._revisionNumber;
+		this._originalData = loadedDoc._originalData;
+		this._originalMongoData = loadedDoc._originalMongoData;
+		this._id = loadedDoc._id;
+		this._originalId = loadedDoc._originalId;
+		this.options = _.assign({}, this.options, _.pick(loadedDoc.options, [ 'isPartial', 'fields' ]));
+		if (loadedDoc.fields) {
+			this.fields = loadedDoc.fields;
+		} else {
+			delete this.fields;
+		}
+		this.data = data;
+	}
+
+	/**
+	 * Refreshes this document in place with its current version in the database.  Unsaved changes are
+	 * discarded.  This is how to recover from an `XError.CONFLICT` error from `save()` .
+	 *
+	 * @method reload
+	 * @param {Object} [options]
+	 *   @param {String[]|null} [options.fields] - Fields to load, making this a partial document with those
+	 *     fields.  Pass null to load the whole document.  Defaults to the fields this document was loaded with.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Mixed} [options.tenant] - Tenant of the document.  Required if the model has the `tenantField`
+	 *     option.
+	 * @return {Promise{MongoDocument}} - Resolves with this document.  Rejects with `XError.NOT_FOUND` if the
+	 *   document no longer exists.
+	 */
+	async reload(options = {}) {
+		if (!this._originalData) {
+			throw new XError(XError.UNSUPPORTED_OPERATION, 'Cannot reload a document that has not been saved');
+		}
+		let loadedDoc = (options.fields === undefined) ?
+			await this._findLatest(options) :
+			await this._findLatest(options, options.fields);
+		this._setLoadedState(loadedDoc, loadedDoc.data);
+		return this;
+	}
+
+	/**
+	 * Default merge function for `save()` conflict retries.  This is a three-way merge: each field of `myDoc`
+	 * that differs from the data `myDoc` was loaded with is copied into `latestDoc` .  Changed objects are
+	 * merged field by field, while other changed values (including arrays) replace the latest value.
+	 *
+	 * @method _mergeChanges
+	 * @static
+	 * @private
+	 * @param {MongoDocument} latestDoc
+	 * @param {MongoDocument} myDoc
+	 */
+	static _mergeChanges(latestDoc, myDoc) {
+		latestDoc.data = mergeChanges(myDoc._originalData, myDoc.data, latestDoc.data);
+	}
+
+	// Saves the document once, without retrying on conflicts
+	_saveOnce(options = {}) {
+		let collection, documentData, mongoDocumentData, auditChange, tenant;
 		let prof = this.model.profiler.begin('#save');
+		let sessionOptions = this.model._addSessionOption({}, options);
+		let addUpdateTimestamp = () => {
+			let now = new Date();
+			this.model._addTimestamps(mongoDocumentData, false, now);
+			this.model._addTimestamps(documentData, false, now);
+		};
 
 		return this.model.collectionPromise
 			.then((_collection) => {
@@ -261,9 +450,15 @@ class MongoDocument extends SchemaDocument {
 					let msg = 'Attempting to save a partial document, which is disallowed by the model.';
 					throw new XError(XError.UNSUPPORTED_OPERATION, msg);
 				}
+				this._checkVersionedPartial();
+				tenant = this.model._getTenant(options);
 			})
 			.then(() => this.model.trigger('pre-normalize', this))
 			.then(() => {
+				let isInsert = !this._originalData || typeof this.getInternalId() === 'undefined';
+				this._checkTenant(tenant, isInsert);
+				// Updates only get their timestamp once the save is known to be needed
+				if (isInsert) this.model._addTimestamps(this.data, true);
 				// Normalize model data according to schema
 				this.data = mongoDocumentData = this.model.schema.normalize(this.data, { serialize: true });
 			})
@@ -287,20 +482,35 @@ class MongoDocument extends SchemaDocument {
 				// If no id exists, save as a new document
 				if (!this._originalData || typeof _id === 'undefined') {
 					// If new, save as a new document and update the stored _id
-					return collection.insertOne(mongoDocumentData)
+					return collection.insertOne(mongoDocumentData, sessionOptions)
 						.then((result) => {
 							// Update the instance's id
 							this.setInternalId(result.ops[0]._id);
+							auditChange = {
+								id: this.getUniqueId(),
+								operation: 'insert',
+								revAfter: mongoDocumentData.__rev,
+								after: mongoDocumentData
+							};
 						});
 				}
 
 				// If the id has changed, insert data as a new document
 				if (_id !== this._originalId || id !== origId) {
 					mongoDocumentData._id = _id;
+					addUpdateTimestamp();
 
 					// Insert new document and remove the old document
-					return collection.insertOne(mongoDocumentData)
-						.then(() => this.remove());
+					return collection.insertOne(mongoDocumentData, sessionOptions)
+						.then(() => this.purge(_.assign({ actor: options.actor, tenant }, sessionOptions)))
+						.then(() => {
+							auditChange = {
+								id,
+								operation: 'insert',
+								revAfter: mongoDocumentData.__rev,
+								after: mongoDocumentData
+							};
+						});
 				}
 
 				// Increment revision number
@@ -318,6 +528,7 @@ class MongoDocument extends SchemaDocument {
 					mongoDocumentData.__rev--;
 					return;
 				}
+				addUpdateTimestamp();
 
 				// Generate an update expression from the existing model data to the new data
 				let update = commonQuery.Update.createFromDiff(this._originalMongoData, mongoDocumentData);
@@ -343,7 +554,10 @@ class MongoDocument extends SchemaDocument {
 					let generalQuery = {
 						[this.model.options.uniqueIdField]: id
 					};
-					let cursor = collection.find(generalQuery, { readPreference: 'primary', limit: 1 });
+					let cursor = collection.find(
+						generalQuery,
+						objtools.merge({ readPreference: 'primary', limit: 1 }, sessionOptions)
+					);
 					let results = await cursor.toArray();
 					let actualRev = '<documentnotfound>';
 					if (results.length) {
@@ -355,10 +569,10 @@ class MongoDocument extends SchemaDocument {
 					);
 				};
 
-				return collection[updateFn]({
+				return collection[updateFn](_.assign({
 					[this.model.options.uniqueIdField]: id,
 					__rev: this._revisionNumber
-				}, update)
+				}, this._getTenantCondition(tenant)), update, sessionOptions)
 					.then((result) => {
 						if (result.result.nModified < 1) {
 							return handleRevConflict('UpdateA', this._revisionNumber);
@@ -367,6 +581,14 @@ class MongoDocument extends SchemaDocument {
 							//	'The document was updated elsewhere.'
 							//);
 						}
+						auditChange = {
+							id,
+							operation: 'update',
+							revBefore: this._revisionNumber,
+							revAfter: mongoDocumentData.__rev,
+							before: this._originalMongoData,
+							after: mongoDocumentData
+						};
 					})
 					.catch((err) => {
 						// Reset revision number
@@ -374,6 +596,23 @@ class MongoDocument extends SchemaDocument {
 						throw err;
 					});
 			})
+			.then(() => {
+				if (!auditChange) return;
+				auditChange.actor = options.actor;
+				return this.model._recordAudit([ auditChange ], sessionOptions)
+					.then(() => {
+						if (auditChange.operation === 'insert') {
+							return this.model._recordCreations([ auditChange ], sessionOptions);
+						}
+						if (auditChange.operation !== 'update') return;
+						return this.model._recordVersion(
+							auditChange.id,
+							auditChange.revBefore,
+							auditChange.before,
+							sessionOptions
+						);
+					});
+			})
 			.catch((err) => this._handleMongoErrors(err))
 			.then(() => {
 				// Update instance data
@@ -406,36 +645,193 @@ class MongoDocument extends SchemaDocument {
 	}
 
 	/**
-	 * Remove document from database
+	 * Checks the tenant of a save, if the model has the `tenantField` option.  New documents get the tenant.
+	 *
+	 * @method _checkTenant
+	 * @private
+	 * @param {Mixed} tenant - The `tenant` option of the save
+	 * @param {Boolean} isInsert - Whether the document is being inserted
+	 * @throws {XError} - ACCESS_DENIED if the document belongs to another tenant, or its tenant was changed
+	 */
+	_checkTenant(tenant, isInsert) {
+		let field = this.model.options.tenantField;
+		if (!field) return;
+		if (isInsert) {
+			this.model._stampTenant(this.data, tenant);
+			return;
+		}
+		this._checkOriginalTenant(tenant);
+		// Partial documents may leave out the tenant field, but a loaded tenant can't be changed or removed
+		let isLoaded = !this.isPartial() || _.get(this._originalMongoData, field) !== undefined;
+		if ((isLoaded || this.data[field] !== undefined) && !_.isEqual(this.data[field], tenant)) {
+			throw new XError(XError.ACCESS_DENIED, 'Cannot change the tenant of a document', { field });
+		}
+	}
+
+	/**
+	 * Checks that the document was loaded with a tenant, if the model has the `tenantField` option.
+	 *
+	 * @method _checkOriginalTenant
+	 * @private
+	 * @param {Mixed} tenant - Tenant from `MongoModel#_getTenant()`
+	 * @throws {XError} - ACCESS_DENIED if the document belongs to another tenant
+	 */
+	_checkOriginalTenant(tenant) {
+		let field = this.model.options.tenantField;
+		if (!field) return;
+		let originalTenant = this._originalMongoData && this._originalMongoData[field];
+		if (originalTenant !== undefined && !_.isEqual(originalTenant, tenant)) {
+			throw new XError(XError.ACCESS_DENIED, 'The document belongs to another tenant', { field });
+		}
+	}
+
+	/**
+	 * Checks that the document isn't partial if the model has the `versioned` option, since its previous version
+	 * would be recorded without the fields that weren't loaded, and reverting to it would remove them.
+	 *
+	 * @method _checkVersionedPartial
+	 * @private
+	 * @throws {XError} - UNSUPPORTED_OPERATION if the document is partial
+	 */
+	_checkVersionedPartial() {
+		if (this.isPartial() && this.model.options.versioned) {
+			let msg = 'Cannot save or remove a partial document of a versioned model';
+			throw new XError(XError.UNSUPPORTED_OPERATION, msg);
+		}
+	}
+
+	/**
+	 * Returns the query condition restricting writes of this document to a tenant.
+	 *
+	 * @method _getTenantCondition
+	 * @private
+	 * @param {Mixed} tenant - Tenant from `MongoModel#_getTenant()`
+	 * @return {Object} - An empty object if the model is not scoped to tenants
+	 */
+	_getTenantCondition(tenant) {
+		let field = this.model.options.tenantField;
+		return field ? { [field]: tenant } : {};
+	}
+
+	/**
+	 * Reverts this document to a previous revision, by saving that revision's data as a new revision.  This
+	 * requires the model's `versioned` option.
+	 *
+	 * @method revertTo
+	 * @param {Number} rev - Revision number to revert to
+	 * @param {Object} [options] - Options for `save()`
+	 * @return {Promise{MongoDocument}} - Resolves with this document.  Rejects with `XError.NOT_FOUND` if there is
+	 *   no such revision.
+	 */
+	async revertTo(rev, options = {}) {
+		if (this.isPartial()) {
+			throw new XError(XError.UNSUPPORTED_OPERATION, 'Cannot revert a partial document');
+		}
+		let version = await this.model.findRevision(this.getOriginalUniqueId(), rev, {
+			session: options.session,
+			tenant: options.tenant
+		});
+		this.data = objtools.deepCopy(version.data);
+		return await this.save(options);
+	}
+
+	/**
+	 * Remove document from database.  If the model has the `softDelete` option, this saves the document with a
+	 * `deletedAt` date instead.
 	 *
 	 * @method remove
+	 * @param {Object} [options]
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Mixed} [options.actor] - Metadata about who is making the change, for the audit trail.
+	 *   @param {Mixed} [options.tenant] - Tenant of the document.  Required if the model has the `tenantField`
+	 *     option.
 	 * @return {MongoDocument}
 	 * @since v0.0.1
 	 */
-	remove() {
-		let collection;
+	remove(options = {}) {
+		if (!this.model._softDeleteField) return this.purge(options);
 		let prof = this.model.profiler.begin('#remove');
 
-		return this.model.collectionPromise
-			.then((_collection) => {
-				collection = _collection;
-			})
-			.then(() => this.model.trigger('pre-remove', this))
-			.then(() => {
-				return collection.removeOne({
-					//_id: this._originalId,
-					[this.model.options.uniqueIdField]: this.getOriginalUniqueId(),
-					__rev: this._revisionNumber
-				});
-			})
-			.then(() => this.model.trigger('post-remove', this))
-			.then(() => {
-				// Update instance data
-				delete this._originalId;
+		return this.model._runOperation(options, () => {
+			return this.model.trigger('pre-remove', this)
+				.then(() => {
+					this.data[this.model._softDeleteField] = new Date();
+					return this.save(options);
+				})
+				.then(() => this.model.trigger('post-remove', this))
+				.then(() => this)
+				.then(prof.wrappedEnd(), prof.wrappedEndError());
+		});
+	}
 
-				return this;
-			})
-			.then(prof.wrappedEnd(), prof.wrappedEndError());
+	/**
+	 * Restores a soft-deleted document by unsetting `deletedAt` and saving it.  This requires the model's
+	 * `softDelete` option.
+	 *
+	 * @method restore
+	 * @param {Object} [options] - Options for `save()`
+	 * @return {Promise{MongoDocument}} - Resolves with this document
+	 */
+	async restore(options = {}) {
+		this.model._checkSoftDelete('restore');
+		delete this.data[this.model._softDeleteField];
+		return await this.save(options);
+	}
+
+	/**
+	 * Permanently deletes the document from the database, even if the model has the `softDelete` option.
+	 *
+	 * @method purge
+	 * @param {Object} [options]
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Mixed} [options.actor] - Metadata about who is making the change, for the audit trail.
+	 *   @param {Mixed} [options.tenant] - Tenant of the document.  Required if the model has the `tenantField`
+	 *     option.
+	 * @return {Promise{MongoDocument}} - Resolves with this document
+	 */
+	purge(options = {}) {
+		let collection, tenant;
+		let prof = this.model.profiler.begin('#purge');
+		let sessionOptions = this.model._addSessionOption({}, options);
+
+		return this.model._runOperation(options, () => {
+			return this.model.collectionPromise
+				.then((_collection) => {
+					collection = _collection;
+					this._checkVersionedPartial();
+					tenant = this.model._getTenant(options);
+					this._checkOriginalTenant(tenant);
+				})
+				.then(() => this.model.trigger('pre-remove', this))
+				.then(() => {
+					return collection.removeOne(_.assign({
+						//_id: this._originalId,
+						[this.model.options.uniqueIdField]: this.getOriginalUniqueId(),
+						__rev: this._revisionNumber
+					}, this._getTenantCondition(tenant)), sessionOptions);
+				})
+				.then((result) => {
+					if (result && result.deletedCount === 0) return;
+					let id = this.getOriginalUniqueId();
+					let rev = this._revisionNumber;
+					return this.model._recordAudit([ {
+						id,
+						operation: 'remove',
+						revBefore: rev,
+						before: this._originalMongoData,
+						actor: options.actor
+					} ], sessionOptions)
+						.then(() => this.model._recordVersion(id, rev, this._originalMongoData, sessionOptions));
+				})
+				.then(() => this.model.trigger('post-remove', this))
+				.then(() => {
+					// Update instance data
+					delete this._originalId;
+
+					return this;
+				})
+				.then(prof.wrappedEnd(), prof.wrappedEndError());
+		});
 	}
 
 	/**
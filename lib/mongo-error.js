@@ -4,6 +4,16 @@
 
 const XError = require('xerror');
 
+// Names of the driver's errors for connection problems
+const NETWORK_ERROR_NAMES = [ 'MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError',
+	'MongoTimeoutError' ];
+// Server error codes for connection problems: HostUnreachable, HostNotFound, NetworkTimeout and SocketException
+const NETWORK_ERROR_CODES = [ 6, 7, 89, 9001 ];
+// Server error codes from members that are not, or no longer, primary: ShutdownInProgress, PrimarySteppedDown,
+// NotWritablePrimary, InterruptedAtShutdown, InterruptedDueToReplStateChange, NotPrimaryNoSecondaryOk and
+// NotPrimaryOrSecondary
+const NOT_PRIMARY_ERROR_CODES = [ 91, 189, 10107, 11600, 11602, 13435, 13436 ];
+
 /**
  * Error class for errors from mongo.  Constructor takes same arguments as XError.
  *
@@ -42,6 +52,11 @@ class MongoError extends XError {
 			return new MongoError(XError.DB_ERROR, 'No suitable index found for near query', err);
 		}
 
+		// Convert error from missing $text index
+		if (/text index required for \$text query/.test(err.message)) {
+			return new MongoError(XError.DB_ERROR, 'No text index found for text query', err);
+		}
+
 		if (!err.code) {
 			let message = 'Internal database error';
 			if (err.message) message += `: ${err.message}`;
@@ -66,7 +81,7 @@ class MongoError extends XError {
 
 			if (matches) {
 				let [ , indexName ] = matches;
-				model._indexes.forEach((index) => {
+				model.getIndexes().forEach((index) => {
 					if (index.name === indexName || index.name === indexName.split('.').pop().slice(1)) {
 						data.keys.push(...Object.keys(index.spec));
 					}
@@ -77,6 +92,48 @@ class MongoError extends XError {
 		return new MongoError(code, data, err);
 	}
 
+	/**
+	 * Classifies an error by whether and why it may be transient.
+	 *
+	 * @method getErrorClass
+	 * @static
+	 * @param {Error} err - Error from mongo, or a MongoError converted from one with `fromMongoError()`
+	 * @return {String|null} - One of:
+	 *   - network - The server could not be reached, or the connection failed.
+	 *   - notPrimary - The server is not, or no longer, the primary, such as during a replica set election.
+	 *   - timeout - The operation exceeded its time limit.
+	 *   - null - Any other error.
+	 */
+	static getErrorClass(err) {
+		// Converted errors keep the error from mongo as their cause
+		while (err instanceof XError && err.cause) err = err.cause;
+		if (!err) return null;
+		if (NETWORK_ERROR_NAMES.includes(err.name) || NETWORK_ERROR_CODES.includes(err.code)) return 'network';
+		if (
+			NOT_PRIMARY_ERROR_CODES.includes(err.code) ||
+			/not master|not primary|node is recovering/i.test(err.message)
+		) {
+			return 'notPrimary';
+		}
+		if (err.code === 50 || /operation exceeded time limit/.test(err.message)) return 'timeout';
+		return null;
+	}
+
+	/**
+	 * Returns whether an error is transient, so the operation that failed with it can be retried.
+	 *
+	 * @method isRetryable
+	 * @static
+	 * @param {Error} err - Error from mongo, or a MongoError converted from one with `fromMongoError()`
+	 * @param {String[]} [errorClasses=[ 'network', 'notPrimary' ]] - Error classes from `getErrorClass()` to
+	 *   consider transient.
+	 * @return {Boolean}
+	 */
+	static isRetryable(err, errorClasses = [ 'network', 'notPrimary' ]) {
+		let errorClass = MongoError.getErrorClass(err);
+		return !!errorClass && errorClasses.includes(errorClass);
+	}
+
 }
 
 // Register the XError code with default message
@@ -5,6 +5,7 @@
 const crypto = require('crypto');
 const _ = require('lodash');
 const pasync = require('pasync');
+const mongodb = require('mongodb');
 const XError = require('xerror');
 const objtools = require('objtools');
 const Profiler = require('simprof');
@@ -14,7 +15,12 @@ const { createSchema } = require('common-schema');
 const MongoDocument = require('./mongo-document');
 const aggregateUtils = require('./utils/aggregates');
 const opUtils = require('./utils/ops');
+const explainUtils = require('./utils/explain');
+const keysetUtils = require('./utils/keyset');
+const auditUtils = require('./utils/audit');
+const retryUtils = require('./utils/retry');
 const CursorResultStream = require('./cursor-result-stream');
+const ChangeEventStream = require('./change-event-stream');
 const { PassThrough } = require('zstreams');
 const bson = require('bson');
 const { createQuery } = require('common-query');
@@ -42,9 +48,34 @@ const mongoOptionMap = {
 	upsert: 'upsert'
 };
 
+// Options of aggregate operations that are passed to the driver's aggregate() as they are
+const aggregateOptionNames = [ 'allowDiskUse', 'batchSize', 'collation', 'comment', 'hint', 'maxTimeMS' ];
+
+// Index options that must match between the schema and an existing Mongo index
+const comparedIndexOptions = [
+	'unique',
+	'sparse',
+	'partialFilterExpression',
+	'collation',
+	'expireAfterSeconds',
+	'weights'
+];
+
 /**
  * MongoDB model class for Unimodel.
  *
+ * In addition to the document hooks, model methods that write or aggregate without loading documents trigger
+ * these hooks, registered with `model.hook()` .  Each handler is called with a context object, and can change or
+ * replace its `query` , `update` , `datas` , `aggregates` and `options` properties before the collection is called.
+ *
+ * - pre-update({ query, update, options }) - Triggered by `update()` with the normalized query and update.
+ * - post-update({ query, update, options, result }) - Triggered after `update()` with its result.
+ * - pre-remove-multi({ query, options }) - Triggered by `remove()` with the normalized query.
+ * - pre-insert({ datas, options }) - Triggered by `insertMulti()` , and so `insert()` , with the normalized data.
+ * - post-insert({ documents, options }) - Triggered after `insertMulti()` with the inserted documents.
+ * - pre-aggregate({ query, aggregates, options }) - Triggered by `aggregateMulti()` , and so `aggregate()` ,
+ *   with the normalized query and aggregates.
+ *
  * @class MongoModel
  * @constructor
  * @param {String} modelName
@@ -59,6 +90,36 @@ const mongoOptionMap = {
  *  @param {Boolean} options.neverSharded - By default, unimodel-mongo disallows or transforms operations
  *    that won't work the same in sharded environments (such as $near).  If this is set to true, such
  *    operations are allowed and not transformed.
+ *   @param {Boolean} [options.requireIndexedQueries=false] - If set, queries of `find()` , `findStream()` ,
+ *     `count()` , `update()` and `remove()` that no index can serve are rejected instead of scanning the
+ *     collection.  Each of these methods accepts an `allowUnindexedQuery` option to run such a query anyway.
+ *   @param {Boolean} [options.audit=false] - If set, every insert, document save and document remove records an
+ *     entry in the model's audit collection, which can be read with `getHistory()` .  `update()` and `remove()`
+ *     save or remove each matching document so it is recorded, and `bulkWrite()` , `findOneAndUpdate()` and
+ *     `findOneAndRemove()` are not supported.
+ *   @param {String} [options.auditCollectionName] - Name of the audit collection.  Defaults to the collection
+ *     name followed by `_audit` .  Several models can share an audit collection.
+ *   @param {Boolean|Object} [options.timestamps=false] - If set, documents get a `createdAt` date when they
+ *     are inserted and an `updatedAt` date on every write, including atomic updates, and these fields are added
+ *     to the schema.  To rename the fields, set this to an object like
+ *     `{ createdAt: 'created', updatedAt: 'modified' }` ; a field set to false is left out.
+ *   @param {Boolean} [options.versioned=false] - If set, every document save and remove copies the previous
+ *     version of the document into the model's history collection, which can be read with `findRevision()` and
+ *     `findAsOf()` .  As with the `audit` option, `update()` and `remove()` save or remove each matching
+ *     document, and `bulkWrite()` , `findOneAndUpdate()` and `findOneAndRemove()` are not supported.  Partial
+ *     documents, loaded with the `fields` option, can't be saved or removed.
+ *   @param {Boolean} [options.softDelete=false] - If set, removing documents sets a `deletedAt` date on them
+ *     (which is added to the schema) instead of deleting them.  Queries of `find()` , `findStream()` , `count()` ,
+ *     `update()` , `remove()` , `aggregateMulti()` and the other model methods exclude these documents unless
+ *     the `includeDeleted` option is set.  Removed documents can be brought back with `restore()` , or deleted
+ *     permanently with `purge()` .
+ *   @param {String} [options.tenantField] - If set, documents belong to the tenant stored in this field, and
+ *     every query and write is restricted to one tenant.  The operations of the model and of its documents then
+ *     require a `tenant` option.  Queries only match documents of that tenant, inserted documents get it in the
+ *     tenant field, and writes that would move a document to another tenant are rejected with
+ *     `XError.ACCESS_DENIED` .
+ *   @param {Object} [options.retryPolicy] - Retry policy for transient errors, overriding fields of the
+ *     database's `retryPolicy` option.  See `MongoDb` .
  * @since v0.0.1
  */
 class MongoModel extends SchemaModel {
@@ -83,6 +144,10 @@ class MongoModel extends SchemaModel {
 		if (!_.has(this.options, 'allowSavingPartials')) this.options.allowSavingPartials = true;
 		if (!_.has(this.options, 'uniqueIdField')) this.options.uniqueIdField = '_id';
 		if (!_.has(this.options, 'neverSharded')) this.options.neverSharded = false;
+		if (!_.has(this.options, 'requireIndexedQueries')) this.options.requireIndexedQueries = false;
+		if (!_.has(this.options, 'audit')) this.options.audit = false;
+		if (!_.has(this.options, 'versioned')) this.options.versioned = false;
+		if (!_.has(this.options, 'softDelete')) this.options.softDelete = false;
 
 		this.keys = this.options.keys;
 
@@ -98,10 +163,15 @@ class MongoModel extends SchemaModel {
 		this._indexMapping = {};
 
 		this._indexes = [];
+		// Indexes found on the collection that aren't in the schema
+		this._collectionIndexes = [];
 		this._indexedMapFields = [];
 
 		this._geoHashedIndexMapping = {};  // Map of shema field to information about geohashed index
 
+		// Indexes dropped by _removeIndexes() because their options changed, which _ensureIndexes() recreates
+		this._pendingIndexRebuilds = [];
+
 		// Initialize the list of indexes on the collection
 		// This contains elements in this format:
 		// `{ spec: { age: 1, date: -1 }, options: { sparse: true } }`
@@ -219,6 +289,79 @@ class MongoModel extends SchemaModel {
 		return data;
 	}
 
+	/**
+	 * Returns the keyset pagination settings for find options.
+	 *
+	 * @method _getKeyset
+	 * @static
+	 * @private
+	 * @param {Object} options - Find options
+	 * @param {MongoModel} model
+	 * @param {String} [defaultSortField] - Field to sort by if the options have no sort
+	 * @return {Object|Null} - Null if the options don't page through results, and otherwise an object containing
+	 *   the keyset `sort` , the sort `values` of the `after` or `before` token (if any), and whether to page in
+	 *   `reverse` .
+	 */
+	static _getKeyset(options, model, defaultSortField) {
+		let token = options.after || options.before;
+		if (!token && !options.paginate) return null;
+		if (options.after && options.before) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Cannot page both after and before a continuation token');
+		}
+		let sort = options.sort || (defaultSortField ? [ defaultSortField ] : []);
+		let keysetSort = keysetUtils.getSort(sort, model.options.uniqueIdField);
+		return {
+			sort: keysetSort,
+			values: token ? keysetUtils.parseToken(token, keysetSort) : null,
+			reverse: !!options.before
+		};
+	}
+
+	/**
+	 * Pages through an array of result data in memory, like a keyset pagination query.  Results are
+	 * sorted, filtered to those after (or before) the continuation token, and skip and limit are applied.
+	 *
+	 * @method _manualApplyKeyset
+	 * @static
+	 * @private
+	 * @param {Object[]} data - Array of result data
+	 * @param {Object} keyset - Keyset pagination settings from `_getKeyset()`
+	 * @param {Object} options - Find options
+	 * @return {Object[]}
+	 */
+	static _manualApplyKeyset(data, keyset, options) {
+		let pageSort = keyset.reverse ? keysetUtils.reverseSort(keyset.sort) : keyset.sort;
+		let entries = data.map((item) => ({ item, values: keysetUtils.getValues(item, pageSort) }));
+		if (keyset.values) {
+			entries = entries.filter(({ values }) => keysetUtils.compareValues(values, keyset.values, pageSort) > 0);
+		}
+		entries.sort((a, b) => keysetUtils.compareValues(a.values, b.values, pageSort));
+
+		if (_.isNumber(options.skip)) entries = entries.slice(options.skip);
+		if (_.isNumber(options.limit)) entries = entries.slice(0, options.limit);
+		if (keyset.reverse) entries.reverse();
+		return _.map(entries, 'item');
+	}
+
+	/**
+	 * Returns the continuation tokens for a page of results: `nextToken` to pass as the `after` option and
+	 * `previousToken` to pass as the `before` option.  These are null if the page is empty.
+	 *
+	 * @method _getPageTokens
+	 * @static
+	 * @private
+	 * @param {Object[]} data - Array of result data
+	 * @param {Object[]} keysetSort
+	 * @return {Object}
+	 */
+	static _getPageTokens(data, keysetSort) {
+		if (!data.length) return { nextToken: null, previousToken: null };
+		return {
+			nextToken: keysetUtils.createToken(_.last(data), keysetSort),
+			previousToken: keysetUtils.createToken(data[0], keysetSort)
+		};
+	}
+
 	/**
 	 * Converts a user-specified index type into a mongo-compatible index type.
 	 *
@@ -272,21 +415,69 @@ class MongoModel extends SchemaModel {
 	}
 
 	/**
-	 * Translates a query that queries on a geoHashed field into one that uses the indexed polytokens, and
-	 * executes that query.
+	 * Finds the `$near` expression of a query, if it is on a geoHashed indexed field.
 	 *
-	 * @method _translatedGeoHashed
+	 * @method _getGeoHashedNear
+	 * @static
+	 * @private
+	 * @param {Query} query - The commonQuery object
+	 * @param {MongoModel} model
+	 * @return {Object|Null} - `{ field, nearParams }` , or null if the query has no `$near` on a geoHashed field
+	 */
+	static _getGeoHashedNear(query, model) {
+		if (!_.includes(query.getOperators(), '$near')) return null;
+
+		// Determine which alternative near query we will be running, if any
+		let nearField, nearParams;
+		query._traverse({
+			exprOperator(exprValue, field, operator) {
+				if (operator === '$near') {
+					if (nearField) {
+						throw new XError(XError.INVALID_ARGUMENT, '$near can only be used once per query');
+					}
+					nearField = field;
+					nearParams = exprValue;
+				}
+			}
+		});
+		if (!nearField || !nearParams) {
+			throw new XError(XError.INTERNAL_ERROR, 'Expected $near');
+		}
+		if (!model._geoHashedIndexMapping[nearField]) return null;
+
+		// Check to make sure there are no $or's or $nor's in the query path to the $near
+		let nearIsAnded = false;
+		query._traverse({
+			queryOperator(exprValue, operator) {
+				if (operator !== '$and') return false;
+			},
+			exprOperator(exprValue, field, operator) {
+				if (operator === '$near') nearIsAnded = true;
+			}
+		});
+		if (!nearIsAnded) {
+			throw new XError(
+				XError.INTERNAL_ERROR,
+				'$near on a geohashed field can only be used at the root query level'
+			);
+		}
+		return { field: nearField, nearParams };
+	}
+
+	/**
+	 * Translates a query that queries on a geoHashed field into one that uses the indexed polytokens.  The
+	 * `$near` expression is removed from the given query.
+	 *
+	 * @method _translateGeoHashedQuery
 	 * @static
 	 * @private
-	 * @param {mongodb.Collection} collection - The mongo native driver collection
 	 * @param {Query} query - The commonQuery object
 	 * @param {String} field - The field being queried on by $near
 	 * @param {String} nearParams - The value of the $near query expression
 	 * @param {MongoModel} model
-	 * @param {Object} options
-	 * @return {Promise{Object[]}}
+	 * @return {Object} - The translated query data
 	 */
-	static _translatedGeoHashed(collection, query, field, nearParams, model, options) {
+	static _translateGeoHashedQuery(query, field, nearParams, model) {
 		let point = nearParams.$geometry;
 		if (!point) {
 			throw new XError(XError.INVALID_ARGUMENT, 'Query on geoHashed indexed field must provide $geometry');
@@ -314,8 +505,31 @@ class MongoModel extends SchemaModel {
 		let rangeTokens = indexOptions.dimension.getRangeTokens({ point, radius });
 		let queryData = query.getData();
 		queryData[indexOptions.field] = { $in: rangeTokens };
+		return queryData;
+	}
+
+	/**
+	 * Translates a query that queries on a geoHashed field into one that uses the indexed polytokens, and
+	 * executes that query.
+	 *
+	 * @method _translatedGeoHashed
+	 * @static
+	 * @private
+	 * @param {mongodb.Collection} collection - The mongo native driver collection
+	 * @param {Query} query - The commonQuery object
+	 * @param {String} field - The field being queried on by $near
+	 * @param {String} nearParams - The value of the $near query expression
+	 * @param {MongoModel} model
+	 * @param {Object} options
+	 * @return {Promise{Object[]}}
+	 */
+	static _translatedGeoHashed(collection, query, field, nearParams, model, options) {
+		let queryData = MongoModel._translateGeoHashedQuery(query, field, nearParams, model);
+		let point = nearParams.$geometry;
+		let radius = nearParams.$maxDistance;
+		let indexOptions = model._geoHashedIndexMapping[field];
 
-		let cursor = collection.find(queryData);
+		let cursor = collection.find(queryData, model._addSessionOption({}, options));
 		// Send fields to query if provided
 		if (options.fields) {
 			if (!_.includes(options.fields, '__rev')) options.fields.push('__rev');
@@ -335,7 +549,6 @@ class MongoModel extends SchemaModel {
 		return cursor.toArray()
 			.then((results) => {
 				// Calculate minimum radius for each point in result documents, and remove those that dont qualify
-				if (results.length === 0) return results;
 				let normalCenter = indexOptions.dimension.normalizePoint(point);
 				results = results.filter((data) => {
 					model.schema.traverse(data, {
@@ -362,8 +575,13 @@ class MongoModel extends SchemaModel {
 					return true;
 				});
 
-				// Sort results by nearness if explicit sort is not provided
-				if (!options.sort) {
+				// Page through the results, sorting by nearness if explicit sort is not provided
+				let keyset = MongoModel._getKeyset(options, model, '_minNearDistance');
+				let pageTokens;
+				if (keyset) {
+					results = MongoModel._manualApplyKeyset(results, keyset, options);
+					pageTokens = MongoModel._getPageTokens(results, keyset.sort);
+				} else if (!options.sort) {
 					results.sort(function(a, b) {
 						return a._minNearDistance - b._minNearDistance;
 					});
@@ -373,6 +591,10 @@ class MongoModel extends SchemaModel {
 					delete data._minNearDistance;
 				}
 
+				if (keyset) {
+					results = MongoModel._manualApplyQueryOptions(results, _.pick(options, [ 'fields' ]));
+					return _.assign(results, pageTokens);
+				}
 				return MongoModel._manualApplyQueryOptions(results, options);
 			});
 	}
@@ -394,6 +616,14 @@ class MongoModel extends SchemaModel {
 	 *     Useful for making [covered queries](https://docs.mongodb.org/manual/core/query-optimization/#covered-query).
 	 *   @param {Mixed} [options.hint] - Index hint to give mongodb.  Must be a mongodb index
 	 *     name or mongodb-style index spec.
+	 *   @param {String[]} [options.sort] - Fields to sort by, prefixed with `-` for descending order.  The
+	 *     special field `$textScore` sorts the results of a `$text` query by relevance.
+	 *   @param {Boolean} [options.textScore] - Whether to retrieve the text score of each result of a
+	 *     `$text` query.
+	 *   @param {Boolean} [options.paginate] - Use keyset pagination; see `find()` .  The `after` and `before`
+	 *     options imply this.  A cursor for a page before a token returns the results in reverse order.
+	 *   @param {String} [options.after] - Continuation token to return the results after.
+	 *   @param {String} [options.before] - Continuation token to return the results before.
 	 * @return {mongodb.Cursor} - Mongo native driver cursor
 	 */
 	static _findWithOptions(collection, query, model, options) {
@@ -401,55 +631,33 @@ class MongoModel extends SchemaModel {
 		if (typeof cQuery.getOperators !== 'function') {
 			cQuery = queryFactory.createQuery(objtools.deepCopy(query));
 		}
-		if (_.includes(cQuery.getOperators(), '$near')) {
-			// Determine which alternative near query we will be running, if any
-			let nearField, nearParams;
-			cQuery._traverse({
-				exprOperator(exprValue, field, operator) {
-					if (operator === '$near') {
-						if (nearField) {
-							throw new XError(XError.INVALID_ARGUMENT, '$near can only be used once per query');
-						}
-						nearField = field;
-						nearParams = exprValue;
-					}
-				}
-			});
-			if (!nearField || !nearParams) {
-				throw new XError(XError.INTERNAL_ERROR, 'Expected $near');
-			}
-
-			// Check to make sure there are no $or's or $nor's in the query path to the $near
-			let nearIsAnded = false;
-			cQuery._traverse({
-				queryOperator(exprValue, operator) {
-					if (operator !== '$and') return false;
-				},
-				exprOperator(exprValue, field, operator) {
-					if (operator === '$near') nearIsAnded = true;
-				}
-			});
-
-			// Translate to geoHashed if the $near field has that type of index
-			if (model._geoHashedIndexMapping[nearField]) {
-				if (!nearIsAnded) {
-					throw new XError(
-						XError.INTERNAL_ERROR,
-						'$near on a geohashed field can only be used at the root query level'
-					);
-				}
-				return MongoModel._translatedGeoHashed(collection, cQuery, nearField, nearParams, model, options);
+		// Keyset pagination needs the sort fields of each result to create continuation tokens
+		if ((options.paginate || options.after || options.before) && _.isArray(options.fields)) {
+			for (let { field } of keysetUtils.getSort(options.sort, model.options.uniqueIdField)) {
+				if (!_.includes(options.fields, field)) options.fields.push(field);
 			}
+		}
 
-			// If none of these apply, run a normal query without transformation
+		// Translate to geoHashed if the $near field has that type of index.  Otherwise, $near runs as a normal query.
+		let geoHashedNear = MongoModel._getGeoHashedNear(cQuery, model);
+		if (geoHashedNear) {
+			let { field, nearParams } = geoHashedNear;
+			return MongoModel._translatedGeoHashed(collection, cQuery, field, nearParams, model, options);
 		}
 
+		let keyset = MongoModel._getKeyset(options, model);
 		let cursorOptions = {
 			tailable: options.tailable,
 			awaitdata: options.awaitdata,
 			numberOfRetries: options.numberOfRetries,
 			tailableRetryInterval: options.tailableRetryInterval
 		};
+		model._addSessionOption(cursorOptions, options);
+		// Page backwards by running the query in reverse sort order
+		let pageSort = keyset && (keyset.reverse ? keysetUtils.reverseSort(keyset.sort) : keyset.sort);
+		if (keyset && keyset.values) {
+			query = { $and: [ query, keysetUtils.createRangeQuery(pageSort, keyset.values) ] };
+		}
 		// Add operationId as $comment, if any.
 		query = opUtils.addComment(query, options.operationId);
 		let cursor = collection.find(query, cursorOptions);
@@ -463,33 +671,19 @@ class MongoModel extends SchemaModel {
 		if (_.isNumber(options.skip)) cursor = cursor.skip(options.skip);
 		if (_.isNumber(options.limit)) cursor = cursor.limit(options.limit);
 
-		if (_.isArray(options.fields)) {
-			if (!_.includes(options.fields, '__rev')) options.fields.push('__rev');
-			let projection = {};
-			for (let field of options.fields) {
-				projection[field] = true;
-			}
-			projection._id = !options.no_id;
-			cursor = cursor.project(projection);
-		} else {
-			// Exclude map index fields, these are recalculated on save
-			let projection = {};
-			for (let field of model.getIndexedMapFields()) {
-				projection[field] = 0;
-			}
-			cursor = cursor.project(projection);
-		}
+		// The text score of $text queries is projected into the __textScore field, which MongoDocument removes
+		let includeTextScore = options.textScore || _.includes(options.sort, '$textScore');
+
+		cursor = cursor.project(MongoModel._getProjection(model, options, includeTextScore));
 
-		if (_.isArray(options.sort)) {
+		if (keyset) {
 			let sortSpec = {};
-			for (let field of options.sort) {
-				if (field[0] === '-') {
-					sortSpec[field.slice(1)] = -1;
-				} else {
-					sortSpec[field] = 1;
-				}
+			for (let { field, direction } of pageSort) {
+				sortSpec[field] = direction;
 			}
 			cursor = cursor.sort(sortSpec);
+		} else if (_.isArray(options.sort)) {
+			cursor = cursor.sort(MongoModel._getSortSpec(options.sort));
 		}
 
 		if (options.hint) {
@@ -503,6 +697,62 @@ class MongoModel extends SchemaModel {
 		return cursor;
 	}
 
+	/**
+	 * Builds the mongo projection for a query.
+	 *
+	 * @method _getProjection
+	 * @static
+	 * @private
+	 * @param {MongoModel} model
+	 * @param {Object} options
+	 *   @param {String[]} [options.fields] - Fields to retrieve.  If not given, all fields are retrieved except
+	 *     the indexed map fields, which are recalculated on save.  `__rev` is added to this array.
+	 *   @param {Boolean} [options.no_id=false] - Whether to include `_id` in the projection.
+	 * @param {Boolean} [includeTextScore=false] - Whether to project the text score into `__textScore` .
+	 * @return {Object}
+	 */
+	static _getProjection(model, options, includeTextScore = false) {
+		let projection = {};
+		if (_.isArray(options.fields)) {
+			if (!_.includes(options.fields, '__rev')) options.fields.push('__rev');
+			for (let field of options.fields) {
+				projection[field] = true;
+			}
+			projection._id = !options.no_id;
+		} else {
+			// Exclude map index fields, these are recalculated on save
+			for (let field of model.getIndexedMapFields()) {
+				projection[field] = 0;
+			}
+		}
+		if (includeTextScore) projection.__textScore = { $meta: 'textScore' };
+		return projection;
+	}
+
+	/**
+	 * Converts a sort option into a mongo sort spec.
+	 *
+	 * @method _getSortSpec
+	 * @static
+	 * @private
+	 * @param {String[]} sort - Fields to sort by, prefixed with `-` for descending order
+	 * @return {Object}
+	 */
+	static _getSortSpec(sort) {
+		let sortSpec = {};
+		for (let field of sort) {
+			if (field === '$textScore') {
+				// Sorts by descending relevance
+				sortSpec.__textScore = { $meta: 'textScore' };
+			} else if (field[0] === '-') {
+				sortSpec[field.slice(1)] = -1;
+			} else {
+				sortSpec[field] = 1;
+			}
+		}
+		return sortSpec;
+	}
+
 	/**
 	 * Create hash to use when storing indexes.
 	 *
@@ -564,6 +814,13 @@ class MongoModel extends SchemaModel {
 	 * @chainable
 	 * @param {Object} spec - A MongoDb index spec, like: `{ foo: 1, bar: '2dsphere' }`
 	 * @param {Object} options - options object
+	 *   @param {Boolean} [options.unique]
+	 *   @param {Boolean} [options.sparse]
+	 *   @param {Number} [options.expireAfterSeconds] - Makes this a TTL index, which removes documents this many
+	 *     seconds after the date in the indexed field.  Only allowed on single field indexes.
+	 *   @param {Object} [options.partialFilterExpression] - Only index documents matching this query.  The
+	 *     query is normalized against the schema like queries passed to `find()` .
+	 *   @param {Object} [options.collation] - Collation for the index, like `{ locale: 'en', strength: 2 }`
 	 * @return {MongoModel} - This model, for chaining
 	 * @since v0.0.1
 	 */
@@ -572,8 +829,17 @@ class MongoModel extends SchemaModel {
 			throw new XError(XError.INTERNAL_ERROR, 'Cannot add new indexes after initializing');
 		}
 
+		// The options are normalized below, so leave the caller's object alone
+		options = objtools.deepCopy(options);
 		if (this.db.options.backgroundIndex) options.background = true;
 
+		if (options.expireAfterSeconds !== undefined && _.size(spec) !== 1) {
+			throw new XError(XError.INVALID_ARGUMENT, 'TTL indexes must be on a single field');
+		}
+		if (options.partialFilterExpression) {
+			options.partialFilterExpression = this.normalizeQuery(options.partialFilterExpression).getData();
+		}
+
 		// Convert the index type values
 		let entry = {
 			spec: {},
@@ -725,12 +991,21 @@ class MongoModel extends SchemaModel {
 	 * @private
 	 */
 	_fillSchemaIndexes() {
+		// Mongo allows only one text index per collection, so text indexed fields are combined into one index.
+		// This maps from each field to its weight.
+		let textWeights = {};
+
 		// Crawl the schema to find any indexed single fields
 		this.schema.traverseSchema({
 			onSubschema: (subschema, specPath/*, subschemaType*/) => {
-				if (!_.isObject(subschema) || (!subschema.index && !subschema.unique)) return;
+				if (!_.isObject(subschema)) return;
+				if (!subschema.index && !subschema.unique && subschema.expireAfterSeconds === undefined) return;
 
 				let specIndex = subschema.index || true;
+				if ((_.isObject(specIndex) ? specIndex.indexType : specIndex) === 'text') {
+					textWeights[specPath.replace(/\.\$/g, '')] = specIndex.weight || 1;
+					return;
+				}
 				if (_.isObject(specIndex)) {
 					if (specIndex.indexType) {
 						// Index with parameters form
@@ -761,16 +1036,30 @@ class MongoModel extends SchemaModel {
 				let options = {};
 				if (subschema.sparse) options.sparse = true;
 				if (subschema.unique) options.unique = true;
+				if (subschema.expireAfterSeconds !== undefined) {
+					if (subschema.type !== 'date') {
+						throw new XError(XError.INVALID_ARGUMENT, 'expireAfterSeconds can only be used on date fields');
+					}
+					options.expireAfterSeconds = subschema.expireAfterSeconds;
+				}
+				if (subschema.partialFilterExpression) {
+					options.partialFilterExpression = subschema.partialFilterExpression;
+				}
+				if (subschema.collation) options.collation = subschema.collation;
 				if (this.db.options.backgroundIndex) options.background = true;
 				this.index(specIndex, options);
 			}
 		}, {
 			includePathArrays: true
 		});
+
+		if (!_.isEmpty(textWeights)) {
+			this.index(_.mapValues(textWeights, () => 'text'), { weights: textWeights });
+		}
 	}
 
 	/**
-	 * Returns all indexes on this model.
+	 * Returns all indexes on this model, including those found on the collection that aren't in the schema.
 	 *
 	 * @method getIndexes
 	 * @return {Object[]} - Each entry is in the form:
@@ -778,7 +1067,7 @@ class MongoModel extends SchemaModel {
 	 * @since v0.0.1
 	 */
 	getIndexes() {
-		return this._indexes;
+		return this._indexes.concat(this._collectionIndexes);
 	}
 
 	/**
@@ -903,7 +1192,7 @@ class MongoModel extends SchemaModel {
 	 * @return {Promise{mongodb.Collection}} - Resolves with collection or rejects with XError
 	 */
 	_ensureIndexes(collection) {
-		return pasync.eachSeries(this.getIndexes(), (indexInfo) => {
+		return pasync.eachSeries(this._indexes, (indexInfo) => {
 			if (indexInfo.spec._id) {
 				return;
 			}
@@ -912,6 +1201,11 @@ class MongoModel extends SchemaModel {
 					if (indexName && !indexInfo.name) {
 						indexInfo.name = indexName;
 					}
+					let rebuild = _.find(this._pendingIndexRebuilds, (rebuild) => rebuild.schemaIndex === indexInfo);
+					if (rebuild) {
+						this._pendingIndexRebuilds = _.without(this._pendingIndexRebuilds, rebuild);
+						this.db.emit('indexRebuild', rebuild.info, this);
+					}
 				})
 				.catch((err) => {
 					throw MongoError.fromMongoError(err);
@@ -923,7 +1217,7 @@ class MongoModel extends SchemaModel {
 						throw MongoError.fromMongoError(err);
 					})
 					.then((indexes) => {
-						this.indexes = indexes;
+						this._setMongoIndexes(indexes);
 						return collection;
 					});
 			});
@@ -945,25 +1239,145 @@ class MongoModel extends SchemaModel {
 			.then(prof.wrappedEnd(), prof.wrappedEndError());
 	}
 
+	/**
+	 * Finds the index in the schema with the same key spec as a Mongo index.  Key order is significant, except
+	 * between the fields of a text index.
+	 *
+	 * @method _findSchemaIndex
+	 * @private
+	 * @param {mongodb.Index} index - The Mongo native driver index
+	 * @return {Object|undefined} - Schema index, from `index()` or the schema
+	 */
+	_findSchemaIndex(index) {
+		let spec = getIndexSpec(index);
+		return _.find(this._indexes, (schemaIndex) => isSameIndexSpec(schemaIndex.spec, spec));
+	}
+
 	/**
 	 * Checks if a Mongo index should exist, according to the schema.
 	 *
 	 * @method hasIndex
 	 * @public
 	 * @param {mongodb.Index} index - The Mongo native driver index
-	 * @return {Boolean} - True if the index's key matches a spec from the schema, false otherwise.
+	 * @return {Boolean} - True if the index's key matches a spec from the schema and its options (unique, sparse,
+	 *   partialFilterExpression, collation, expireAfterSeconds and text weights) match that index's options, false
+	 *   otherwise.
 	 */
 	hasIndex(index) {
-		return _.some(this.getIndexes(), (schemaIndex) => {
-			let sameProperties = _.isEqual(schemaIndex.spec, index.key);
-			let sameOrder = _.isEqual(Object.keys(schemaIndex.spec), Object.keys(index.key));
+		let schemaIndex = this._findSchemaIndex(index);
+		return !!schemaIndex && !this._getIndexOptionDifferences(schemaIndex, index).length;
+	}
 
-			return sameProperties && sameOrder;
+	/**
+	 * Returns the names of the index options that differ between an index in the schema and an index on the
+	 * Mongo collection.
+	 *
+	 * @method _getIndexOptionDifferences
+	 * @private
+	 * @param {Object} schemaIndex - Schema index, from `index()` or the schema
+	 * @param {mongodb.Index} index - The Mongo native driver index
+	 * @return {String[]}
+	 */
+	_getIndexOptionDifferences(schemaIndex, index) {
+		let schemaOptions = schemaIndex.options || {};
+		return comparedIndexOptions.filter((option) => {
+			let schemaValue = schemaOptions[option];
+			let indexValue = index[option];
+			if (option === 'unique' || option === 'sparse') return !!schemaValue !== !!indexValue;
+			if (option === 'weights') {
+				// Only text indexes have weights, and fields without a weight get a weight of 1
+				if (!indexValue) return false;
+				let textFields = _.keys(_.pickBy(schemaIndex.spec, (value) => value === 'text'));
+				let weights = {};
+				for (let field of textFields) weights[field] = (schemaValue && schemaValue[field]) || 1;
+				return !_.isEqual(weights, indexValue);
+			}
+			// Mongo fills in defaults for collation fields that were not given
+			if (option === 'collation' && schemaValue && indexValue) return !_.isMatch(indexValue, schemaValue);
+			return !objtools.deepEquals(schemaValue, indexValue);
 		});
 	}
 
 	/**
-	 * Internal function to remove all indexes on a Mongo collection that are not in the schema.
+	 * Internal function to compute which indexes would be created, dropped or rebuilt to synchronize the
+	 * indexes on a Mongo collection with the schema.
+	 *
+	 * @method _planIndexChanges
+	 * @private
+	 * @param {mongodb.Collection} collection - The Mongo native driver collection
+	 * @return {Promise{Object}} - Resolves with the plan, as described in `planIndexChanges()`
+	 */
+	_planIndexChanges(collection) {
+		return collection.indexes()
+			.catch((err) => {
+				throw MongoError.fromMongoError(err);
+			})
+			.then((indexes) => {
+				let plan = { create: [], drop: [], rebuild: [] };
+				let schemaIndexes = this._indexes.filter((schemaIndex) => !schemaIndex.spec._id);
+				for (let index of indexes) {
+					if (index.key._id === 1 && _.keys(index.key).length === 1) continue;
+					let schemaIndex = this._findSchemaIndex(index);
+					if (!schemaIndex) {
+						let spec = getIndexSpec(index);
+						let prefixedIndex = _.find(schemaIndexes, (schemaIndex) => isPrefix(schemaIndex.spec, spec));
+						if (prefixedIndex) {
+							plan.drop.push({
+								name: index.name,
+								spec,
+								reason: 'redundantPrefix',
+								prefixOf: prefixedIndex.spec
+							});
+						} else {
+							plan.drop.push({ name: index.name, spec, reason: 'notInSchema' });
+						}
+						continue;
+					}
+					let mismatchedOptions = this._getIndexOptionDifferences(schemaIndex, index);
+					if (mismatchedOptions.length) {
+						plan.rebuild.push({
+							name: index.name,
+							spec: schemaIndex.spec,
+							options: schemaIndex.options,
+							reason: 'optionMismatch',
+							mismatchedOptions
+						});
+					}
+				}
+
+				for (let schemaIndex of schemaIndexes) {
+					if (!_.some(indexes, (index) => isSameIndexSpec(schemaIndex.spec, getIndexSpec(index)))) {
+						plan.create.push({ spec: schemaIndex.spec, options: schemaIndex.options, reason: 'missing' });
+					}
+				}
+				return plan;
+			});
+	}
+
+	/**
+	 * Computes the changes needed to bring the Mongo indexes in line with the schema, without applying them.
+	 *
+	 * @method planIndexChanges
+	 * @public
+	 * @return {Promise{Object}} - Resolves with an object containing three arrays:
+	 *   - `create` - Schema indexes missing from the collection, as `{ spec, options, reason: 'missing' }` .
+	 *   - `drop` - Collection indexes not in the schema, as `{ name, spec, reason }` .  The reason is
+	 *     `'redundantPrefix'` (with a `prefixOf` spec) if the index is a prefix of a schema index, and
+	 *     `'notInSchema'` otherwise.
+	 *   - `rebuild` - Collection indexes whose options differ from the schema, as
+	 *     `{ name, spec, options, reason: 'optionMismatch', mismatchedOptions }` .
+	 */
+	planIndexChanges() {
+		let prof = this.profiler.begin('#planIndexChanges');
+		return this.collectionPromise
+			.then((collection) => this._planIndexChanges(collection))
+			.then(prof.wrappedEnd(), prof.wrappedEndError());
+	}
+
+	/**
+	 * Internal function to remove all indexes on a Mongo collection that are not in the schema.  Indexes whose
+	 * key is in the schema but whose options differ are also removed, and are recreated with the new options
+	 * by the next `_ensureIndexes()` .
 	 *
 	 * @method _removeIndexes
 	 * @private
@@ -981,7 +1395,20 @@ class MongoModel extends SchemaModel {
 				return pasync.eachSeries(indexes, (index) => {
 					// Drop the index if it is not in the schema, and is not _id
 					if (!this.hasIndex(index) && (index.key._id !== 1 || _.keys(index.key).length !== 1)) {
-						return collection.dropIndex(index.key)
+						let schemaIndex = this._findSchemaIndex(index);
+						if (schemaIndex) {
+							this._pendingIndexRebuilds.push({
+								schemaIndex,
+								info: {
+									name: index.name,
+									spec: schemaIndex.spec,
+									options: schemaIndex.options,
+									reason: 'optionMismatch',
+									mismatchedOptions: this._getIndexOptionDifferences(schemaIndex, index)
+								}
+							});
+						}
+						return collection.dropIndex(index.name)
 							.catch(convertMongoError);
 					}
 				});
@@ -990,7 +1417,7 @@ class MongoModel extends SchemaModel {
 				return collection.indexes()
 					.catch(convertMongoError)
 					.then((indexes) => {
-						this.indexes = indexes;
+						this._setMongoIndexes(indexes);
 						return collection;
 					});
 			});
@@ -1012,7 +1439,8 @@ class MongoModel extends SchemaModel {
 	}
 
 	/**
-	 * Synchronizes Mongo indexes with those in the schema.
+	 * Synchronizes Mongo indexes with those in the schema.  Indexes whose options differ from the schema are
+	 * dropped and recreated, emitting an `indexRebuild` event on the db for each.
 	 *
 	 * @method synchronizeIndexes
 	 * @public
@@ -1035,18 +1463,139 @@ class MongoModel extends SchemaModel {
 		} else {
 			this.explicitInternalId = true;
 		}
+		// This runs in the superclass constructor, before this.options is set
+		this._timestampFields = MongoModel._getTimestampFields(this.modelOptions.timestamps);
+		if (this._timestampFields) {
+			for (let field of _.compact(_.values(this._timestampFields))) {
+				if (!schema.getData().properties[field]) schema.getData().properties[field] = { type: 'date' };
+			}
+		}
+		let tenantField = this.modelOptions.tenantField;
+		if (tenantField && !schema.getData().properties[tenantField]) {
+			schema.getData().properties[tenantField] = { type: 'mixed' };
+		}
+		this._softDeleteField = this.modelOptions.softDelete ? 'deletedAt' : null;
+		if (this._softDeleteField && !schema.getData().properties[this._softDeleteField]) {
+			schema.getData().properties[this._softDeleteField] = { type: 'date' };
+		}
 		super._setSchema(schema);
 	}
 
+	/**
+	 * Determines the timestamp field names from the `timestamps` model option.
+	 *
+	 * @method _getTimestampFields
+	 * @static
+	 * @private
+	 * @param {Boolean|Object} [timestamps]
+	 * @return {Object|null} - `{ createdAt, updatedAt }` field names, which are false if that field is disabled,
+	 *   or null if timestamps are disabled
+	 */
+	static _getTimestampFields(timestamps) {
+		if (!timestamps) return null;
+		let fields = { createdAt: 'createdAt', updatedAt: 'updatedAt' };
+		if (_.isPlainObject(timestamps)) _.assign(fields, _.pick(timestamps, [ 'createdAt', 'updatedAt' ]));
+		return fields;
+	}
+
+	/**
+	 * Sets the timestamp fields of document data, if the `timestamps` option is set.
+	 *
+	 * @method _addTimestamps
+	 * @private
+	 * @param {Object} data - Document data; modified in place
+	 * @param {Boolean} isInsert - Whether the document is being inserted, so `createdAt` is set if missing
+	 * @param {Date} [now=new Date()]
+	 * @return {Object} - `data`
+	 */
+	_addTimestamps(data, isInsert, now = new Date()) {
+		if (!this._timestampFields) return data;
+		let { createdAt, updatedAt } = this._timestampFields;
+		if (isInsert && createdAt && data[createdAt] === undefined) data[createdAt] = now;
+		if (updatedAt) data[updatedAt] = now;
+		return data;
+	}
+
+	/**
+	 * Adds the timestamp fields to a mongo update expression, if the `timestamps` option is set.  `updatedAt` is
+	 * set with `$set` and `createdAt` with `$setOnInsert` , unless the update already changes them.
+	 *
+	 * @method _addUpdateTimestamps
+	 * @private
+	 * @param {Object} updateData - Mongo update expression
+	 * @param {Date} [now=new Date()]
+	 * @return {Object} - A new update expression
+	 */
+	_addUpdateTimestamps(updateData, now = new Date()) {
+		if (!this._timestampFields) return updateData;
+		let { createdAt, updatedAt } = this._timestampFields;
+		let isUpdated = (field) => _.some(updateData, (fields) => {
+			return _.some(_.keys(fields), (path) => path === field || _.startsWith(path, `${field}.`));
+		});
+		let result = _.clone(updateData);
+		if (updatedAt && !isUpdated(updatedAt)) result.$set = _.assign({}, result.$set, { [updatedAt]: now });
+		if (createdAt && !isUpdated(createdAt)) {
+			result.$setOnInsert = _.assign({}, result.$setOnInsert, { [createdAt]: now });
+		}
+		return result;
+	}
+
+	/**
+	 * Adds the timestamp fields to a replacement document, if the `timestamps` option is set.  A replacement
+	 * removes the fields it doesn't contain, so `createdAt` is copied from the document it replaces, and the query
+	 * is narrowed to that document's `_id` so the replacement can't land on another one.
+	 *
+	 * @method _addReplacementTimestamps
+	 * @private
+	 * @param {mongodb.Collection} collection - The Mongo native driver collection
+	 * @param {Object} queryData - Mongo query for the document to replace
+	 * @param {Object} replacement - Replacement document
+	 * @param {Object} mongoOptions - Options for the replacement, whose session is used to read the document
+	 * @return {Promise{Object}} - Resolves with `{ queryData, replacement }` to pass to `replaceOne()`
+	 */
+	async _addReplacementTimestamps(collection, queryData, replacement, mongoOptions) {
+		if (!this._timestampFields) return { queryData, replacement };
+		let now = new Date();
+		replacement = this._addTimestamps(_.clone(replacement), false, now);
+		let { createdAt } = this._timestampFields;
+		if (!createdAt || replacement[createdAt] !== undefined) return { queryData, replacement };
+
+		let findOptions = _.assign(_.pick(mongoOptions, [ 'session', 'collation' ]), {
+			projection: { [createdAt]: 1 }
+		});
+		let existing = await collection.findOne(queryData, findOptions);
+		// Without a document to replace, the replacement can only be inserted by an upsert
+		if (!existing) {
+			replacement[createdAt] = now;
+			return { queryData, replacement };
+		}
+		if (existing[createdAt] !== undefined) replacement[createdAt] = existing[createdAt];
+		return { queryData: { $and: [ queryData, { _id: existing._id } ] }, replacement };
+	}
+
 	/**
 	 * Loads existing indexes from the mongo db.
 	 */
 	async _loadMongoIndexes(collection) {
 		let r = await collection.indexes();
+		this._setMongoIndexes(r);
+	}
+
+	/**
+	 * Sets the indexes found on the collection.  Those that aren't in the schema are kept in
+	 * `this._collectionIndexes`, apart from the schema indexes, so index plans still report them.
+	 *
+	 * @method _setMongoIndexes
+	 * @private
+	 * @param {mongodb.Index[]} r - The Mongo native driver indexes
+	 */
+	_setMongoIndexes(r) {
+		this._collectionIndexes = [];
 		for (let rindex of r) {
 			let mindex = null;
+			let rspec = getIndexSpec(rindex);
 			for (let ind of this._indexes) {
-				if (objtools.deepEquals(ind.spec, rindex.key) && (!ind.name || !rindex.name || ind.name == rindex.name)) {
+				if (isSameIndexSpec(ind.spec, rspec) && (!ind.name || !rindex.name || ind.name == rindex.name)) {
 					mindex = ind;
 					break;
 				}
@@ -1054,16 +1603,15 @@ class MongoModel extends SchemaModel {
 			if (!mindex) {
 				mindex = {
 					name: rindex.name,
-					spec: rindex.key,
-					options: {
+					spec: rspec,
+					options: _.assign(_.pick(rindex, comparedIndexOptions), {
 						unique: !!rindex.unique
-					}
+					})
 				};
-				this._indexes.push(mindex);
+				this._collectionIndexes.push(mindex);
 			} else {
+				// Keep the schema's options, so synchronizeIndexes() can detect when the collection's differ
 				mindex.name = rindex.name;
-				if (!mindex.options) mindex.options = {};
-				mindex.options.unique = !!rindex.unique;
 			}
 		}
 		this.indexes = r;
@@ -1087,6 +1635,14 @@ class MongoModel extends SchemaModel {
 
 		return this._ensureExists()
 			.then((collection) => {
+				// In dry run mode, report the index changes without making them
+				if (this.db.options.autoCreateIndex === 'dryRun') {
+					return this._planIndexChanges(collection)
+						.then((plan) => {
+							this.db.emit('indexPlan', plan, this);
+							return collection;
+						});
+				}
 				// default to automatively create indexes
 				if (this.db.options.autoCreateIndex) {
 					return this._removeIndexes(collection)
@@ -1112,10 +1668,66 @@ class MongoModel extends SchemaModel {
 	}
 
 	/**
-	 * Get model name
+	 * Creates a copy of this model for another database, used by `MongoDb#model()` for child databases returned
+	 * by `MongoDb#useDb()` .  The copy has the same schema, options and indexes, including those added with
+	 * `index()` , and shares this model's hooks.
 	 *
-	 * @method getName
-	 * @return {String}
+	 * @method _copyForDb
+	 * @private
+	 * @param {MongoDb} db - Database to use the copy in
+	 * @return {MongoModel}
+	 */
+	_copyForDb(db) {
+		let copy = new MongoModel(this.modelName, this.schema, db, _.clone(this.options));
+		// The collection is initialized asynchronously, so the indexes can still be replaced
+		copy.explicitInternalId = this.explicitInternalId;
+		// Only the schema indexes are copied, without the names they have on this model's collection
+		copy._indexes = _.map(this._indexes, (index) => _.omit(objtools.deepCopy(index), 'name'));
+		copy._indexMapping = _.clone(this._indexMapping);
+		copy._indexedMapFields = _.clone(this._indexedMapFields);
+		copy._geoHashedIndexMapping = objtools.deepCopy(this._geoHashedIndexMapping);
+		copy._hooks = this._hooks;
+		return copy;
+	}
+
+	/**
+	 * Makes a database call, retrying it on transient errors.  The retry policy is the `retryPolicy` option of the
+	 * call merged over those of the model and the database.  Calls in transactions are not retried, since the
+	 * transaction has to be retried as a whole.
+	 *
+	 * @method _retry
+	 * @private
+	 * @param {Object} options - Options of the operation
+	 * @param {Boolean} isWrite - Whether the call writes, which is only retried if the policy has `writes` set
+	 * @param {Function} fn - Function making the call.  Should return a promise.
+	 * @return {Promise}
+	 */
+	_retry(options, isWrite, fn) {
+		let policy = retryUtils.getPolicy(this.db.options.retryPolicy, this.options.retryPolicy, options.retryPolicy);
+		if ((isWrite && !policy.writes) || this._addSessionOption({}, options).session) {
+			return Promise.resolve().then(fn);
+		}
+		return retryUtils.run(policy, fn);
+	}
+
+	/**
+	 * Runs an operation on this model, keeping track of it so `MongoDb#close()` can wait for it to finish.
+	 *
+	 * @method _runOperation
+	 * @private
+	 * @param {Object} options - Options of the operation
+	 * @param {Function} fn - Function running the operation.  Should return a promise.
+	 * @return {Promise}
+	 */
+	_runOperation(options, fn) {
+		return this.db._runOperation(options, fn);
+	}
+
+	/**
+	 * Get model name
+	 *
+	 * @method getName
+	 * @return {String}
 	 * @since v0.0.1
 	 */
 	getName() {
@@ -1133,6 +1745,478 @@ class MongoModel extends SchemaModel {
 		return _.camelCase(this.getName());
 	}
 
+	/**
+	 * Get the name of the collection that audit entries are recorded in, if the `audit` option is set.
+	 *
+	 * @method getAuditCollectionName
+	 * @return {String}
+	 */
+	getAuditCollectionName() {
+		return this.options.auditCollectionName || `${this.getCollectionName()}_audit`;
+	}
+
+	/**
+	 * Get the name of the collection that previous versions of documents are copied to, if the `versioned`
+	 * option is set.
+	 *
+	 * @method getHistoryCollectionName
+	 * @return {String}
+	 */
+	getHistoryCollectionName() {
+		return `${this.getCollectionName()}History`;
+	}
+
+	/**
+	 * Returns a collection used alongside the model's collection, such as the audit collection, creating its
+	 * index the first time if indexes are created automatically.
+	 *
+	 * @method _getCompanionCollection
+	 * @private
+	 * @param {String} name - Collection name
+	 * @param {Object[]} indexSpecs - Specs of the indexes to create
+	 * @return {Promise{mongodb.Collection}}
+	 */
+	_getCompanionCollection(name, indexSpecs) {
+		if (!this._companionCollectionPromises) this._companionCollectionPromises = {};
+		if (!this._companionCollectionPromises[name]) {
+			this._companionCollectionPromises[name] = this.dbPromise
+				.then((db) => {
+					let collection = db.collection(name);
+					if (this.db.options.autoCreateIndex !== true) return collection;
+					return pasync.eachSeries(indexSpecs, (indexSpec) => collection.createIndex(indexSpec))
+						.then(() => collection);
+				})
+				.catch((err) => {
+					delete this._companionCollectionPromises[name];
+					throw MongoError.fromMongoError(err, this);
+				});
+		}
+		return this._companionCollectionPromises[name];
+	}
+
+	/**
+	 * Returns the audit collection.
+	 *
+	 * @method _getAuditCollection
+	 * @private
+	 * @return {Promise{mongodb.Collection}}
+	 */
+	_getAuditCollection() {
+		return this._getCompanionCollection(this.getAuditCollectionName(), [ { model: 1, id: 1, timestamp: 1 } ]);
+	}
+
+	/**
+	 * Returns the history collection.
+	 *
+	 * @method _getHistoryCollection
+	 * @private
+	 * @return {Promise{mongodb.Collection}}
+	 */
+	_getHistoryCollection() {
+		// findRevision() looks up entries by revision, and findAsOf() by time
+		return this._getCompanionCollection(this.getHistoryCollectionName(), [
+			{ id: 1, rev: 1, replacedAt: 1 },
+			{ id: 1, replacedAt: 1 }
+		]);
+	}
+
+	/**
+	 * Records entries in the audit collection, if the `audit` option is set.
+	 *
+	 * @method _recordAudit
+	 * @private
+	 * @param {Object[]} changes - Parameters for `auditUtils.createEntry()` for each changed document, except
+	 *   the model name
+	 * @param {Object} [options={}]
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 * @return {Promise}
+	 */
+	_recordAudit(changes, options = {}) {
+		if (!this.options.audit || !changes.length) return Promise.resolve();
+		let timestamp = new Date();
+		let entries = changes.map((change) => {
+			return auditUtils.createEntry(_.assign({ model: this.getName(), timestamp }, change));
+		});
+		let mongoOptions = this._addSessionOption({}, options);
+		return this._getAuditCollection()
+			.then((collection) => collection.insertMany(entries, mongoOptions))
+			.catch((err) => {
+				throw MongoError.fromMongoError(err, this);
+			});
+	}
+
+	/**
+	 * Returns the audit trail of a document, if the `audit` option is set.
+	 *
+	 * @method getHistory
+	 * @param {Mixed} id - Unique id of the document, as returned by `MongoDocument#getUniqueId()`
+	 * @param {Object} [options={}]
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 * @return {Promise{Object[]}} - Resolves with the entries for the document, oldest first.  Each contains:
+	 *   - `model`: The model name
+	 *   - `id`: The unique id of the document
+	 *   - `operation`: 'insert', 'update' or 'remove'
+	 *   - `revBefore`: The revision number before the change, or null for inserts
+	 *   - `revAfter`: The revision number after the change, or null for removes
+	 *   - `diff`: The change, as an update expression from `commonQuery.Update.createFromDiff()`
+	 *   - `timestamp`: When the change was made
+	 *   - `actor`: The `actor` option passed to the operation that made the change, or null
+	 */
+	getHistory(id, options = {}) {
+		if (!this.options.audit) {
+			return Promise.reject(new XError(XError.UNSUPPORTED_OPERATION, 'This model does not have an audit trail'));
+		}
+		let cursorOptions = this._addSessionOption({}, options);
+		return this._getAuditCollection()
+			.then((collection) => {
+				return collection.find({ model: this.getName(), id }, cursorOptions)
+					.sort({ timestamp: 1, _id: 1 })
+					.toArray();
+			})
+			.then((entries) => entries.map((entry) => auditUtils.parseEntry(entry)), (err) => {
+				throw MongoError.fromMongoError(err, this);
+			});
+	}
+
+	/**
+	 * Copies the previous version of a document into the history collection, if the `versioned` option is set.
+	 *
+	 * @method _recordVersion
+	 * @private
+	 * @param {Mixed} id - Unique id of the document
+	 * @param {Number} rev - Revision number of the previous version
+	 * @param {Object} data - Data of the previous version, as stored in mongo
+	 * @param {Object} [options={}]
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 * @return {Promise}
+	 */
+	_recordVersion(id, rev, data, options = {}) {
+		if (!this.options.versioned) return Promise.resolve();
+		let entry = {
+			id,
+			rev: _.isNumber(rev) ? rev : null,
+			data: auditUtils.getAuditedData(data),
+			replacedAt: new Date()
+		};
+		let mongoOptions = this._addSessionOption({}, options);
+		return this._getHistoryCollection()
+			.then((collection) => collection.insertOne(entry, mongoOptions))
+			.catch((err) => {
+				throw MongoError.fromMongoError(err, this);
+			});
+	}
+
+	/**
+	 * Records when documents were created in the history collection, if the `versioned` option is set, so
+	 * `findAsOf()` knows they didn't exist before then.
+	 *
+	 * @method _recordCreations
+	 * @private
+	 * @param {Object[]} changes - Inserts, as passed to `_recordAudit()` , with the `id` and `after` data of each
+	 *   created document
+	 * @param {Object} [options={}]
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 * @return {Promise}
+	 */
+	_recordCreations(changes, options = {}) {
+		if (!this.options.versioned || !changes.length) return Promise.resolve();
+		let replacedAt = new Date();
+		let entries = changes.map(({ id, after }) => {
+			return {
+				id,
+				rev: null,
+				// Only the tenant is kept, so the entry is found like the versions of the document
+				data: this.options.tenantField ? _.pick(after, this.options.tenantField) : {},
+				created: true,
+				replacedAt
+			};
+		});
+		let mongoOptions = this._addSessionOption({}, options);
+		return this._getHistoryCollection()
+			.then((collection) => collection.insertMany(entries, mongoOptions))
+			.catch((err) => {
+				throw MongoError.fromMongoError(err, this);
+			});
+	}
+
+	/**
+	 * Returns a document as it was at a given revision.  Previous revisions are only available if the
+	 * `versioned` option is set.
+	 *
+	 * @method findRevision
+	 * @param {Mixed} id - Unique id of the document
+	 * @param {Number|null} rev - Revision number.  Documents inserted by `insert()` have no revision number (null)
+	 *   until they are first saved.
+	 * @param {Object} [options={}]
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Mixed} [options.tenant] - Tenant of the document.  Required with the `tenantField` option.
+	 * @return {Promise{MongoDocument}} - Resolves with the document at that revision.  Unless it is the current
+	 *   revision, the document can't be saved.  Rejects with `XError.NOT_FOUND` if there is no such revision.
+	 */
+	async findRevision(id, rev, options = {}) {
+		this._checkVersioned();
+		let current = await this._findCurrentVersion(id, options);
+		if (current && current._revisionNumber === rev) return current;
+		let query = { id, rev, created: { $ne: true } };
+		let entries = await this._findHistoryEntries(query, { replacedAt: -1 }, options);
+		if (!entries.length) {
+			throw new XError(XError.NOT_FOUND, 'No matching revision was found.', { id, rev });
+		}
+		return this._createVersionDocument(entries[0]);
+	}
+
+	/**
+	 * Returns a document as it was at a given time.  Documents created before the `versioned` option was set
+	 * have no record of their creation, so their first revision is assumed to have been current since before
+	 * that time.
+	 *
+	 * @method findAsOf
+	 * @param {Mixed} id - Unique id of the document
+	 * @param {Date} timestamp
+	 * @param {Object} [options={}]
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Mixed} [options.tenant] - Tenant of the document.  Required with the `tenantField` option.
+	 * @return {Promise{MongoDocument|null}} - Resolves with the version of the document current at that time, or
+	 *   with null if the document was created after it.  Rejects with `XError.NOT_FOUND` if the document was
+	 *   removed by then.
+	 */
+	async findAsOf(id, timestamp, options = {}) {
+		this._checkVersioned();
+		let query = { id, replacedAt: { $gt: timestamp } };
+		let entries = await this._findHistoryEntries(query, { replacedAt: 1 }, options);
+		if (entries.length) return entries[0].created ? null : this._createVersionDocument(entries[0]);
+		let current = await this._findCurrentVersion(id, options);
+		if (!current) throw new XError(XError.NOT_FOUND, 'No matching document was found.', { id, timestamp });
+		return current;
+	}
+
+	/**
+	 * Throws if the `versioned` option is not set.
+	 *
+	 * @method _checkVersioned
+	 * @private
+	 */
+	_checkVersioned() {
+		if (!this.options.versioned) {
+			throw new XError(XError.UNSUPPORTED_OPERATION, 'This model does not have a revision history');
+		}
+	}
+
+	/**
+	 * Finds the current version of a document, or resolves with null if it does not exist.
+	 *
+	 * @method _findCurrentVersion
+	 * @private
+	 * @param {Mixed} id - Unique id of the document
+	 * @param {Object} options
+	 * @return {Promise{MongoDocument|null}}
+	 */
+	async _findCurrentVersion(id, options) {
+		let docs = await this.find({ [this.options.uniqueIdField]: id }, {
+			limit: 1,
+			readPreference: 'primary',
+			allowUnindexedQuery: true,
+			includeDeleted: true,
+			tenant: options.tenant,
+			session: options.session
+		});
+		return docs[0] || null;
+	}
+
+	/**
+	 * Queries the history collection.
+	 *
+	 * @method _findHistoryEntries
+	 * @private
+	 * @param {Object} query - Mongo query
+	 * @param {Object} sort - Mongo sort spec
+	 * @param {Object} options
+	 * @return {Promise{Object[]}} - Resolves with at most one entry
+	 */
+	async _findHistoryEntries(query, sort, options) {
+		if (this.options.tenantField) {
+			query = _.assign({ [`data.${this.options.tenantField}`]: this._getTenant(options) }, query);
+		}
+		let collection = await this._getHistoryCollection();
+		try {
+			return await collection.find(query, this._addSessionOption({}, options)).sort(sort).limit(1).toArray();
+		} catch (err) {
+			throw MongoError.fromMongoError(err, this);
+		}
+	}
+
+	/**
+	 * Creates a document from an entry in the history collection.
+	 *
+	 * @method _createVersionDocument
+	 * @private
+	 * @param {Object} entry
+	 * @return {MongoDocument}
+	 */
+	_createVersionDocument(entry) {
+		let data = _.assign({}, entry.data, { __rev: entry.rev });
+		if (this.options.uniqueIdField === '_id') data._id = entry.id;
+		return this._createExisting(data);
+	}
+
+	/**
+	 * Rejects operations that can't record the changes to each document if the `audit` or `versioned` option
+	 * is set.
+	 *
+	 * @method _checkAtomicWritesAllowed
+	 * @private
+	 * @param {String} method - Name of the operation
+	 */
+	_checkAtomicWritesAllowed(method) {
+		if (this._isTrackingChanges()) {
+			throw new XError(
+				XError.UNSUPPORTED_OPERATION,
+				`${method} is not supported on models with an audit trail or revision history`
+			);
+		}
+	}
+
+	/**
+	 * Returns whether changes to documents are recorded, because the `audit` or `versioned` option is set.
+	 * Model-level writes must then go through document saves and removes.
+	 *
+	 * @method _isTrackingChanges
+	 * @private
+	 * @return {Boolean}
+	 */
+	_isTrackingChanges() {
+		return !!(this.options.audit || this.options.versioned);
+	}
+
+	/**
+	 * Rejects operations on soft-deleted documents if the `softDelete` option is not set.
+	 *
+	 * @method _checkSoftDelete
+	 * @private
+	 * @param {String} method - Name of the operation
+	 */
+	_checkSoftDelete(method) {
+		if (!this._softDeleteField) {
+			throw new XError(XError.UNSUPPORTED_OPERATION, `${method} requires the softDelete model option`);
+		}
+	}
+
+	/**
+	 * Returns the tenant of an operation, if the model has the `tenantField` option.
+	 *
+	 * @method _getTenant
+	 * @private
+	 * @param {Object} [options={}] - Options of the operation
+	 * @return {Mixed} - The `tenant` option, or undefined if the model is not scoped to tenants
+	 * @throws {XError} - INVALID_ARGUMENT if the model is scoped to tenants and no tenant is given
+	 */
+	_getTenant(options = {}) {
+		if (!this.options.tenantField) return undefined;
+		if (options.tenant === undefined || options.tenant === null) {
+			throw new XError(XError.INVALID_ARGUMENT, `A tenant is required for operations on ${this.modelName}`);
+		}
+		return options.tenant;
+	}
+
+	/**
+	 * Sets the tenant field of data to insert, if the model has the `tenantField` option.
+	 *
+	 * @method _stampTenant
+	 * @private
+	 * @param {Object} data - Document data; modified in place
+	 * @param {Mixed} tenant - Tenant from `_getTenant()`
+	 * @throws {XError} - ACCESS_DENIED if the data already has a different tenant
+	 */
+	_stampTenant(data, tenant) {
+		let field = this.options.tenantField;
+		if (!field) return;
+		if (data[field] === undefined) {
+			data[field] = tenant;
+		} else if (!_.isEqual(data[field], tenant)) {
+			throw new XError(XError.ACCESS_DENIED, 'Cannot write a document of another tenant', { field });
+		}
+	}
+
+	/**
+	 * Rejects updates that change the tenant field, and sets it on replacement documents.
+	 *
+	 * @method _checkTenantUpdate
+	 * @private
+	 * @param {Update} update - Normalized update; modified in place if it is a full replace
+	 * @param {Mixed} tenant - Tenant from `_getTenant()`
+	 * @throws {XError} - ACCESS_DENIED if the update changes the tenant field
+	 */
+	_checkTenantUpdate(update, tenant) {
+		let field = this.options.tenantField;
+		if (!field) return;
+		if (update.isFullReplace()) {
+			this._stampTenant(update.getData(), tenant);
+			return;
+		}
+		// A path touches the tenant if it is the tenant field, a path under it, or a parent of it
+		let touchesTenant = (path) => {
+			return path === field || _.startsWith(path, `${field}.`) || _.startsWith(field, `${path}.`);
+		};
+		let renames = update.getData().$rename || {};
+		let renamedPaths = _.keys(renames).concat(_.values(renames));
+		if (_.some(update.getUpdatedFields().concat(renamedPaths), touchesTenant)) {
+			throw new XError(XError.ACCESS_DENIED, 'Cannot change the tenant of documents', { field });
+		}
+	}
+
+	/**
+	 * Adds the conditions that every query of the model must have to a normalized query: the tenant, if the model
+	 * has the `tenantField` option, and the exclusion of soft-deleted documents, if it has the `softDelete`
+	 * option.
+	 *
+	 * @method _scopeQuery
+	 * @private
+	 * @param {Query} query - Normalized query; modified in place
+	 * @param {Object} [options={}] - Options of the operation running the query
+	 *   @param {Mixed} [options.tenant] - Tenant to restrict the query to.  Required with the `tenantField` option.
+	 *   @param {Boolean} [options.includeDeleted=false] - If set, soft-deleted documents are not excluded.
+	 * @return {Query} - `query`
+	 * @throws {XError} - INVALID_ARGUMENT if the model is scoped to tenants and no tenant is given
+	 */
+	_scopeQuery(query, options = {}) {
+		let data = query.getData();
+		let addCondition = (field, value) => {
+			if (_.has(data, field)) {
+				data.$and = (data.$and || []).concat([ { [field]: value } ]);
+			} else {
+				data[field] = value;
+			}
+		};
+		if (this.options.tenantField) addCondition(this.options.tenantField, this._getTenant(options));
+		if (this._softDeleteField && !options.includeDeleted) addCondition(this._softDeleteField, null);
+		return query;
+	}
+
+	/**
+	 * Returns a query matching the soft-deleted documents that match a query.
+	 *
+	 * @method _onlyDeleted
+	 * @private
+	 * @param {commonQuery.Query|Object} query
+	 * @return {Query} - Normalized query
+	 */
+	_onlyDeleted(query) {
+		let deletedCondition = { [this._softDeleteField]: { $ne: null } };
+		return this.normalizeQuery({ $and: [ this.normalizeQuery(query).getData(), deletedCondition ] });
+	}
+
+	/**
+	 * Returns the mongo update expression that soft-deletes documents.
+	 *
+	 * @method _getSoftDeleteUpdate
+	 * @private
+	 * @param {Date} [now=new Date()]
+	 * @return {Object}
+	 */
+	_getSoftDeleteUpdate(now = new Date()) {
+		return this._addUpdateTimestamps({ $set: { [this._softDeleteField]: now } }, now);
+	}
+
 	/**
 	 * Create a MongoDocument
 	 *
@@ -1166,6 +2250,39 @@ class MongoModel extends SchemaModel {
 		return doc;
 	}
 
+	/**
+	 * Adds the driver session an operation should run in to a set of mongo options.  This is the session
+	 * passed explicitly as `options.session`, or else the one belonging to an enclosing
+	 * `MongoDb#withTransaction()` call.  If there is neither, the mongo options are left alone.
+	 *
+	 * @method _addSessionOption
+	 * @private
+	 * @param {Object} mongoOptions - Options object that will be passed to the driver; modified in place
+	 * @param {Object} [options={}] - Options passed to the model operation
+	 * @return {Object} - `mongoOptions`
+	 */
+	_addSessionOption(mongoOptions, options = {}) {
+		let session = options.session || this.db.getCurrentSession();
+		if (session) mongoOptions.session = session;
+		return mongoOptions;
+	}
+
+	/**
+	 * Picks the options of an aggregate operation that are passed to the driver's `aggregate()` .
+	 *
+	 * @method _getAggregateOptions
+	 * @private
+	 * @param {Object} options - Options of the operation, with `timeout` already converted to `maxTimeMS`
+	 * @return {Object} - Driver options
+	 */
+	_getAggregateOptions(options) {
+		let aggregateOptions = _.assign(
+			MongoModel._transformMongoOptions(options, this.db),
+			_.pick(options, aggregateOptionNames)
+		);
+		return this._addSessionOption(aggregateOptions, options);
+	}
+
 	/**
 	 * Find records in database
 	 *
@@ -1176,6 +2293,29 @@ class MongoModel extends SchemaModel {
 	 *     cancelled later using MongoDb#cancelOperation and the same operation id.
 	 *   @param {Number} [options.timeout] - Maximum time for the operation, in seconds.
 	 *   @param {Boolean} [options.canCursorTimeout=true] - Whether the cursor may time out.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.  Defaults to the session
+	 *     of the enclosing `MongoDb#withTransaction()` call, if any.
+	 *   @param {String[]} [options.sort] - Fields to sort by.  Use `$textScore` to sort `$text` query results
+	 *     by relevance.
+	 *   @param {Boolean} [options.textScore] - For `$text` queries, retrieve the text score of each document,
+	 *     which is available from `MongoDocument#getTextScore()` .
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - Run the query even if no index can serve it and the
+	 *     model has the `requireIndexedQueries` option.
+	 *   @param {Boolean} [options.includeDeleted=false] - With the `softDelete` option, also match documents that
+	 *     were removed.
+	 *   @param {Mixed} [options.tenant] - Tenant to restrict the operation to.  Required with the `tenantField`
+	 *     option.
+	 *   @param {Boolean} [options.paginate=false] - Page through results with continuation tokens instead of
+	 *     `skip` .  The results array gets a `nextToken` and a `previousToken` , which are null if there are no
+	 *     results.  The sort is extended with the model's unique id field so every result has a distinct position.
+	 *   @param {String} [options.after] - Continuation token from `nextToken` of a previous page.  Returns the
+	 *     results after it, and implies `paginate` .  The query must have the same sort as the page.
+	 *   @param {String} [options.before] - Continuation token from `previousToken` of a previous page.  Returns
+	 *     the results before it (the last `limit` of them), and implies `paginate` .
+	 *   @param {Boolean} [options.total] - Set the `total` property of the results array to the number of
+	 *     documents matching the query, ignoring `skip` , `limit` and continuation tokens.
+	 *   @param {Object} [options.retryPolicy] - Retry policy for transient errors, overriding fields of the
+	 *     policies of the model and the database.
 	 * @return {Array{MongoDocument}} - List of result documents
 	 * @since v0.0.1
 	 */
@@ -1184,47 +2324,73 @@ class MongoModel extends SchemaModel {
 		let profMongo;
 		let isPartial = !!options.fields;
 
-		let cursor;
-		return this.collectionPromise
-			.then((collection) => {
-				// Transform the query according to the schema
-				query = this.normalizeQuery(query);
-				profMongo = this.profiler.begin('#find mongo');
-				return collection;
-			})
-			.then((collection) => MongoModel._findWithOptions(collection, query.getData(), this, options))
-			.then((mongoCursor) => {
-				if (Array.isArray(mongoCursor)) {
-					return mongoCursor;
-				} else {
-					cursor = mongoCursor;
-					return cursor.toArray();
-				}
-			})
-			.catch((err) => {
-				throw MongoError.fromMongoError(err);
-			})
-			.then((results) => {
-				profMongo.end();
-				return _.map(results, (data) => {
-					return this._createExisting(data, {
-						isPartial,
-						fields: options.fields
-					});
-				});
-			})
-			.then((results) => {
-				if (options.total) {
-					return cursor.count()
-						.then((total) => {
-							results.total = total;
-							return results;
+		let collection, cursor, pageTokens;
+		return this._runOperation(options, () => {
+			return this.collectionPromise
+				.then((_collection) => {
+					collection = _collection;
+					// Transform the query according to the schema
+					query = this._scopeQuery(this.normalizeQuery(query), options);
+					this._checkQueryIndexed(query, options);
+					profMongo = this.profiler.begin('#find mongo');
+					return collection;
+				})
+				.then((collection) => this._retry(options, false, () => {
+					// Retries run the query again, since a failed cursor can't be resumed
+					return Promise.resolve(MongoModel._findWithOptions(collection, query.getData(), this, options))
+						.then((mongoCursor) => {
+							if (Array.isArray(mongoCursor)) {
+								if (_.has(mongoCursor, 'nextToken')) {
+									pageTokens = _.pick(mongoCursor, [ 'nextToken', 'previousToken' ]);
+								}
+								return mongoCursor;
+							} else {
+								cursor = mongoCursor;
+								return cursor.toArray()
+									.then((results) => {
+										let keyset = MongoModel._getKeyset(options, this);
+										if (keyset) {
+											// Pages before a continuation token are queried in reverse order
+											if (keyset.reverse) results.reverse();
+											pageTokens = MongoModel._getPageTokens(results, keyset.sort);
+										}
+										return results;
+									});
+							}
 						});
-				}
+				}))
+				.catch((err) => {
+					throw MongoError.fromMongoError(err);
+				})
+				.then((results) => {
+					profMongo.end();
+					return _.map(results, (data) => {
+						return this._createExisting(data, {
+							isPartial,
+							fields: options.fields
+						});
+					});
+				})
+				.then((results) => {
+					if (pageTokens) _.assign(results, pageTokens);
+					if (options.total) {
+						let countCursor = cursor;
+						if (options.after || options.before) {
+							// The cursor of a page only covers the results past its token, so count the whole query
+							let queryData = opUtils.addComment(query.getData(), options.operationId);
+							countCursor = collection.find(queryData, this._addSessionOption({}, options));
+						}
+						return countCursor.count()
+							.then((total) => {
+								results.total = total;
+								return results;
+							});
+					}
 
-				return results;
-			})
-			.then(prof.wrappedEnd(), prof.wrappedEndError());
+					return results;
+				})
+				.then(prof.wrappedEnd(), prof.wrappedEndError());
+		});
 	}
 
 	/**
@@ -1235,6 +2401,17 @@ class MongoModel extends SchemaModel {
 	 * @param {Object} [options={}] - Mongo options
 	 *   @param {String} [options.operationId] - If set, this operation can be
 	 *     cancelled later using MongoDb#cancelOperation and the same operation id.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {String[]} [options.sort] - Fields to sort by.  Use `$textScore` to sort `$text` query results
+	 *     by relevance.
+	 *   @param {Boolean} [options.textScore] - For `$text` queries, retrieve the text score of each document,
+	 *     which is available from `MongoDocument#getTextScore()` .
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - Run the query even if no index can serve it and the
+	 *     model has the `requireIndexedQueries` option.
+	 *   @param {Boolean} [options.includeDeleted=false] - With the `softDelete` option, also match documents that
+	 *     were removed.
+	 *   @param {Mixed} [options.tenant] - Tenant to restrict the operation to.  Required with the `tenantField`
+	 *     option.
 	 * @return {CursorResultStream} - List of result documents
 	 * @since v0.0.1
 	 */
@@ -1245,35 +2422,106 @@ class MongoModel extends SchemaModel {
 		// Run the query, streaming the results
 		let resultStream = new PassThrough({ objectMode: true });
 		let stream = new CursorResultStream(this, null, { isPartial });
-		this.collectionPromise
-			.then((collection) => {
-				// Transform the query according to the schema
-				query = this.normalizeQuery(query);
-				return collection;
+		// A stream that fails may never end or close, so an error on either stream also finishes it
+		let streamFinished = new Promise((resolve) => {
+			for (let event of [ 'end', 'close', 'abortstream' ]) resultStream.once(event, resolve);
+			onStreamError(resultStream, resolve);
+			onStreamError(stream, resolve);
+		});
+		this._runOperation(options, () => {
+			return this.collectionPromise
+				.then((collection) => {
+					// Transform the query according to the schema
+					query = this._scopeQuery(this.normalizeQuery(query), options);
+					this._checkQueryIndexed(query, options);
+					return collection;
+				})
+				.then((collection) => {
+					return MongoModel._findWithOptions(collection, query.getData(), this, options);
+				})
+				.then((cursor) => {
+					if (Array.isArray(cursor)) {
+						for (let data of cursor) {
+							let doc = this._createExisting(data, {
+								isPartial,
+								fields: options.fields
+							});
+							resultStream.write(doc);
+						}
+						resultStream.end();
+					} else {
+						stream.pipe(resultStream);
+						stream.setCursor(cursor);
+					}
+				})
+				// The operation lasts until the results are read, so closing the database can wait for them
+				.then(() => streamFinished);
+		})
+			.catch((err) => {
+				resultStream.emit('error', err);
 			})
+			.then(prof.wrappedEnd(), prof.wrappedEndError())
+			.catch(pasync.abort);
+		return resultStream;
+	}
+
+	/**
+	 * Watch for changes to documents in this model.
+	 *
+	 * The query is normalized and scoped like a `find()` query (so indexed map fields are translated, and the
+	 * tenant and soft delete conditions are added) and is matched against the full document after each insert,
+	 * update or replace.  Deletes only carry the document key, so they can't be matched against the query; they
+	 * are emitted regardless of it unless excluded with `operationTypes` .  On models with the `tenantField`
+	 * option, deletes can't be scoped to the tenant, so they aren't emitted.
+	 *
+	 * @method watch
+	 * @param {commonQuery.Query} [query={}] - Query documents must match for their changes to be emitted
+	 * @param {Object} [options={}]
+	 *   @param {String[]} [options.operationTypes] - Operation types to emit.  Defaults to
+	 *     `[ 'insert', 'update', 'replace', 'delete' ]`, without 'delete' on models with the `tenantField` option.
+	 *   @param {Mixed} [options.tenant] - Tenant to restrict the events to.  Required with the `tenantField`
+	 *     option.
+	 *   @param {Boolean} [options.includeDeleted=false] - With the `softDelete` option, also emit changes of
+	 *     documents that were removed.
+	 *   @param {Object} [options.resumeAfter] - Resume token (from `ChangeEventStream#getResumeToken()` or an
+	 *     event's `resumeToken`) to start after.
+	 *   @param {Object} [options.startAfter] - Like `resumeAfter`, but can resume after an invalidate event.
+	 *   @param {String} [options.fullDocument='updateLookup'] - Whether update events include the current version
+	 *     of the document.  Set to 'default' to only get the update description.
+	 *   @param {Number} [options.batchSize] - Number of changes to fetch per batch.
+	 * @return {ChangeEventStream} - Object stream of change events
+	 */
+	watch(query = {}, options = {}) {
+		let stream = new ChangeEventStream(this);
+		this.collectionPromise
 			.then((collection) => {
-				return MongoModel._findWithOptions(collection, query.getData(), this, options);
-			})
-			.then((cursor) => {
-				if (Array.isArray(cursor)) {
-					for (let data of cursor) {
-						let doc = this._createExisting(data, {
-							isPartial,
-							fields: options.fields
-						});
-						resultStream.write(doc);
+				let operationTypes = options.operationTypes || [ 'insert', 'update', 'replace', 'delete' ];
+				if (this.options.tenantField) {
+					if (_.includes(options.operationTypes, 'delete')) {
+						let msg = 'Delete events cannot be scoped to a tenant';
+						throw new XError(XError.UNSUPPORTED_OPERATION, msg, { tenantField: this.options.tenantField });
 					}
-				} else {
-					stream.pipe(resultStream);
-					stream.setCursor(cursor);
+					operationTypes = _.without(operationTypes, 'delete');
+				}
+				let match = { operationType: { $in: operationTypes } };
+
+				// Transform and scope the query like find(), then point it at the changed document
+				query = this._scopeQuery(this.normalizeQuery(query), options);
+				query.transformQueriedFields((field) => `fullDocument.${field}`);
+				let queryData = query.getData();
+				if (!_.isEmpty(queryData)) {
+					match.$or = [ { operationType: 'delete' }, queryData ];
 				}
+
+				let watchOptions = _.pick(options, [ 'resumeAfter', 'startAfter', 'batchSize' ]);
+				watchOptions.fullDocument = options.fullDocument || 'updateLookup';
+				stream.setChangeStream(collection.watch([ { $match: match } ], watchOptions));
 			})
 			.catch((err) => {
-				resultStream.emit('error', err);
+				stream.emit('error', MongoError.fromMongoError(err));
 			})
-			.then(prof.wrappedEnd(), prof.wrappedEndError())
 			.catch(pasync.abort);
-		return resultStream;
+		return stream;
 	}
 
 	/**
@@ -1296,45 +2544,307 @@ class MongoModel extends SchemaModel {
 	 * @method insertMulti
 	 * @param {Array{Object}} datas - Array of data to insert
 	 * @param {Object} [options={}] - Mongo options
-	 * @return {Array{MongoDocument}} - List of result documents
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Boolean} [options.ordered=true] - If false, every document that can be inserted is, instead of
+	 *     rejecting at the first failure.  Documents that fail (for example, with duplicate keys) are reported in
+	 *     the `errors` property of the result instead.
+	 *   @param {Mixed} [options.actor] - Metadata about who is making the change, for the audit trail.
+	 *   @param {Mixed} [options.tenant] - Tenant of the documents.  Required with the `tenantField` option.
+	 *   @param {Object} [options.retryPolicy] - Retry policy for transient errors, overriding fields of the
+	 *     policies of the model and the database.  Atomic writes are only retried if it has `writes` set.
+	 * @return {Array{MongoDocument}} - List of result documents.  If `ordered` is false, this only contains the
+	 *   inserted documents, and has an `errors` property with an array of `{ index, error }` for each document that
+	 *   failed, where `index` is its index in `datas` and `error` is a MongoError.
 	 * @since v0.0.1
 	 */
 	insertMulti(datas, options = {}) {
 		let prof = this.profiler.begin('#insertMulti');
+		options.serialize = true;
+
+		let context = { datas, options };
+		let tenant, mongoOptions, ordered;
+		return this._runOperation(options, () => {
+			return Promise.resolve()
+				.then(() => {
+					// Normalize the data according to the schema
+					tenant = this._getTenant(options);
+					let now = new Date();
+					for (let data of datas) {
+						this._stampTenant(data, tenant);
+						this._addTimestamps(data, true, now);
+						this.schema.normalize(data, options);
+						this.normalizeDocumentIndexedMapValues(data);
+						this.normalizeDocumentIndexedGeoHashedValues(data);
+					}
+
+					// Let hooks change the normalized data, then insert the documents
+					return this.trigger('pre-insert', context);
+				})
+				.then(() => {
+					datas = context.datas;
+					options = context.options;
+					for (let data of datas) this._stampTenant(data, tenant);
+
+					// Transform the mongo options
+					mongoOptions = MongoModel._transformMongoOptions(options, this.db);
+					this._addSessionOption(mongoOptions, options);
+					ordered = options.ordered !== false;
+					if (!ordered) mongoOptions.ordered = false;
+					return this.collectionPromise;
+				})
+				.then((collection) => {
+					return this._retry(options, true, () => collection.insertMany(datas, mongoOptions));
+				})
+				.then((result) => {
+					if (
+						!result ||
+						!result.result ||
+						!result.result.ok ||
+						result.result.n !== datas.length ||
+						!result.ops ||
+						result.ops.length !== datas.length
+					) {
+						throw new MongoError(XError.DB_ERROR, 'Unexpected insert result', { result: result.result });
+					}
+					return { inserted: result.ops, errors: ordered ? null : [] };
+				}, (err) => {
+					if (ordered || err.name !== 'BulkWriteError' || !err.result) throw MongoError.fromMongoError(err);
+
+					// Unordered inserts insert every document without a write error
+					let writeErrors = err.result.getWriteErrors();
+					let failedIndexes = _.map(writeErrors, 'index');
+					return {
+						inserted: datas.filter((data, index) => !_.includes(failedIndexes, index)),
+						errors: writeErrors.map((writeError) => {
+							return { index: writeError.index, error: this._convertWriteError(writeError) };
+						})
+					};
+				})
+				.then(({ inserted, errors }) => {
+					let auditChanges = inserted.map((data) => {
+						return {
+							id: data[this.options.uniqueIdField],
+							operation: 'insert',
+							revAfter: data.__rev,
+							after: data,
+							actor: options.actor
+						};
+					});
+					return this._recordAudit(auditChanges, mongoOptions)
+						.then(() => this._recordCreations(auditChanges, mongoOptions))
+						.then(() => {
+							let results = _.map(inserted, (data) => this._createExisting(data));
+							if (errors) results.errors = errors;
+							return this.trigger('post-insert', { documents: results, options })
+								.then(() => results);
+						});
+				})
+				.then(prof.wrappedEnd(), prof.wrappedEndError());
+		});
+	}
+
+	/**
+	 * Converts a write error from a bulk write result into a MongoError.
+	 *
+	 * @method _convertWriteError
+	 * @private
+	 * @param {mongodb.WriteError} writeError
+	 * @return {MongoError} - The converted error.  For duplicate keys, its data contains the conflicting `keys` .
+	 */
+	_convertWriteError(writeError) {
+		let err = new mongodb.MongoError({ message: writeError.errmsg, code: writeError.code });
+		return MongoError.fromMongoError(err, this);
+	}
+
+	/**
+	 * Runs a batch of insert, update, replace and remove operations as a single bulk write.  Each operation is
+	 * normalized like the corresponding model method does, including indexed map and geoHashed values.
+	 * Operations that fail, either during normalization or in the database, are reported in the result instead of
+	 * rejecting the batch.
+	 *
+	 * @method bulkWrite
+	 * @param {Object[]} operations - Operations to run, each in one of these forms:
+	 *   - `{ insert: data }` - Inserts a document
+	 *   - `{ update: { query, update, upsert } }` - Updates all documents matching a query, like `update()`
+	 *   - `{ replace: { query, data, upsert } }` - Replaces the first document matching a query
+	 *   - `{ remove: { query } }` - Removes all documents matching a query
+	 * @param {Object} [options={}]
+	 *   @param {Boolean} [options.ordered=true] - Run the operations in order, stopping at the first failure.
+	 *     If false, all operations that can run are run.
+	 *   @param {Boolean} [options.forceAtomic=false] - Allow updates of fields inside indexed maps and of
+	 *     geoHashed fields.  As with `update()` , this will result in inconsistent index data.
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - Run queries even if no index can serve them and the
+	 *     model has the `requireIndexedQueries` option.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 * @return {Promise{Object}} - Resolves to an object containing:
+	 *   - `insertedCount`, `matchedCount`, `modifiedCount`, `deletedCount`, `upsertedCount`: Counts of affected
+	 *     documents
+	 *   - `insertedIds`, `upsertedIds`: Maps from operation index to the id of the inserted or upserted document
+	 *   - `errors`: Array of `{ index, error }` for each operation that failed, where `index` is the operation index
+	 *     and `error` is an XError
+	 */
+	bulkWrite(operations, options = {}) {
+		let prof = this.profiler.begin('#bulkWrite');
 
 		// Transform the mongo options
 		let mongoOptions = MongoModel._transformMongoOptions(options, this.db);
+		this._addSessionOption(mongoOptions, options);
+		let ordered = options.ordered !== false;
+		mongoOptions.ordered = ordered;
+
+		let errors = [];
+		let driverOperations = [];
+		let operationIndexes = [];
+		return this._runOperation(options, () => {
+			return this.collectionPromise
+				.then((collection) => {
+					this._checkAtomicWritesAllowed('bulkWrite');
+					this._getTenant(options);
+					// Normalize the operations, only sending those before the first invalid one if ordered
+					for (let [ index, operation ] of operations.entries()) {
+						try {
+							driverOperations.push(this._normalizeBulkOperation(operation, options));
+							operationIndexes.push(index);
+						} catch (err) {
+							errors.push({ index, error: err });
+							if (ordered) break;
+						}
+					}
+					if (!driverOperations.length) return null;
+
+					// Replacements keep the createdAt of the documents they replace, like in update()
+					return pasync.eachSeries(driverOperations, (driverOperation) => {
+						let { replaceOne } = driverOperation;
+						if (!replaceOne) return;
+						let { filter, replacement } = replaceOne;
+						return this._addReplacementTimestamps(collection, filter, replacement, mongoOptions)
+							.then((result) => {
+								replaceOne.filter = result.queryData;
+								replaceOne.replacement = result.replacement;
+							});
+					})
+						.then(() => collection.bulkWrite(driverOperations, mongoOptions))
+						.catch((err) => {
+							if (err.name === 'BulkWriteError' && err.result) return err.result;
+							throw MongoError.fromMongoError(err, this);
+						});
+				})
+				.then((bulkResult) => {
+					let result = {
+						insertedCount: 0,
+						matchedCount: 0,
+						modifiedCount: 0,
+						deletedCount: 0,
+						upsertedCount: 0,
+						insertedIds: {},
+						upsertedIds: {},
+						errors
+					};
+					if (!bulkResult) return result;
+
+					let writeErrors = bulkResult.getWriteErrors();
+					for (let writeError of writeErrors) {
+						errors.push({
+							index: operationIndexes[writeError.index],
+							error: this._convertWriteError(writeError)
+						});
+					}
+					result.errors = _.sortBy(errors, 'index');
 
-		options.serialize = true;
+					// Inserted ids include documents that failed or weren't reached in an ordered bulk write
+					let lastRunIndex = (ordered && writeErrors.length) ? writeErrors[0].index : Infinity;
+					for (let { index, _id } of bulkResult.getInsertedIds()) {
+						if (index >= lastRunIndex || _.some(writeErrors, { index })) continue;
+						result.insertedIds[operationIndexes[index]] = _id;
+					}
+					for (let { index, _id } of bulkResult.getUpsertedIds()) {
+						result.upsertedIds[operationIndexes[index]] = _id;
+					}
+					_.assign(result, {
+						insertedCount: bulkResult.nInserted,
+						matchedCount: bulkResult.nMatched,
+						modifiedCount: bulkResult.nModified || 0,
+						deletedCount: bulkResult.nRemoved,
+						upsertedCount: bulkResult.getUpsertedIds().length
+					});
+					return result;
+				})
+				.then(prof.wrappedEnd(), prof.wrappedEndError());
+		});
+	}
+
+	/**
+	 * Normalizes a `bulkWrite()` operation into a driver bulk write operation.
+	 *
+	 * @method _normalizeBulkOperation
+	 * @private
+	 * @param {Object} operation - Operation given to `bulkWrite()`
+	 * @param {Object} options - Options given to `bulkWrite()`
+	 * @return {Object} - Driver bulk write operation
+	 */
+	_normalizeBulkOperation(operation, options) {
+		let type = _.keys(operation)[0];
+		if (_.size(operation) !== 1 || !_.isPlainObject(operation[type])) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Bulk write operations must contain one operation object');
+		}
+		let args = operation[type];
 
-		// Normalize the data according to the schema
-		for (let data of datas) {
-			this.schema.normalize(data, options);
+		let normalizeQuery = (query) => {
+			query = this._scopeQuery(this.normalizeQuery(query), options);
+			this._checkQueryIndexed(query, options);
+			return query.getData();
+		};
+		let normalizeDocument = (data, isInsert) => {
+			this._stampTenant(data, this._getTenant(options));
+			this._addTimestamps(data, isInsert);
+			this.schema.normalize(data, { serialize: true });
 			this.normalizeDocumentIndexedMapValues(data);
 			this.normalizeDocumentIndexedGeoHashedValues(data);
-		}
+			return data;
+		};
 
-		// Insert the documents
-		return this.collectionPromise
-			.then((collection) => {
-				return collection.insertMany(datas, mongoOptions);
-			})
-			.then((result) => {
-				if (
-					!result ||
-					!result.result ||
-					!result.result.ok ||
-					result.result.n !== datas.length ||
-					!result.ops ||
-					result.ops.length !== datas.length
-				) {
-					throw new MongoError(XError.DB_ERROR, 'Unexpected insert result', { result: result.result });
+		switch (type) {
+			case 'insert':
+				return { insertOne: { document: normalizeDocument(args, true) } };
+			case 'update': {
+				let update = this.normalizeUpdate(args.update, { serialize: true, schema: this.schema });
+				if (update.isFullReplace()) {
+					throw new XError(
+						XError.INVALID_ARGUMENT,
+						'Bulk updates must use update operators; use a replace operation instead'
+					);
 				}
-				return _.map(result.ops, (data) => this._createExisting(data));
-			}, (err) => {
-				throw MongoError.fromMongoError(err);
-			})
-			.then(prof.wrappedEnd(), prof.wrappedEndError());
+				if (!options.forceAtomic && this._isUpdatingDerivedIndexFields(update)) {
+					throw new XError(
+						XError.UNSUPPORTED_OPERATION,
+						'Bulk updates cannot update fields inside indexed maps or geoHashed fields'
+					);
+				}
+				this._checkTenantUpdate(update, this._getTenant(options));
+				return {
+					updateMany: {
+						filter: normalizeQuery(args.query),
+						update: this._addUpdateTimestamps(update.getData()),
+						upsert: !!args.upsert
+					}
+				};
+			}
+			case 'replace':
+				return {
+					replaceOne: {
+						filter: normalizeQuery(args.query),
+						replacement: normalizeDocument(args.data, false),
+						upsert: !!args.upsert
+					}
+				};
+			case 'remove':
+				if (this._softDeleteField) {
+					return { updateMany: { filter: normalizeQuery(args.query), update: this._getSoftDeleteUpdate() } };
+				}
+				return { deleteMany: { filter: normalizeQuery(args.query) } };
+			default:
+				throw new XError(XError.INVALID_ARGUMENT, `Unknown bulk write operation: ${type}`);
+		}
 	}
 
 	/**
@@ -1346,6 +2856,15 @@ class MongoModel extends SchemaModel {
 	 *   @param {String} [options.operationId] - If set, this operation can be
 	 *     cancelled later using MongoDb#cancelOperation and the same operation id.
 	 *   @param {Number} [options.timeout] - Maximum time for the operation, in seconds.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - Run the query even if no index can serve it and the
+	 *     model has the `requireIndexedQueries` option.
+	 *   @param {Boolean} [options.includeDeleted=false] - With the `softDelete` option, also match documents that
+	 *     were removed.
+	 *   @param {Mixed} [options.tenant] - Tenant to restrict the operation to.  Required with the `tenantField`
+	 *     option.
+	 *   @param {Object} [options.retryPolicy] - Retry policy for transient errors, overriding fields of the
+	 *     policies of the model and the database.
 	 * @return {Number} - The number of matched records
 	 * @since v0.0.1
 	 */
@@ -1354,27 +2873,167 @@ class MongoModel extends SchemaModel {
 
 		// Transform the mongo options
 		let mongoOptions = MongoModel._transformMongoOptions(options, this.db);
+		this._addSessionOption(mongoOptions, options);
 
-		return this.collectionPromise
-			.then((collection) => {
-				// Transform the query according to the schema
-				query = this.normalizeQuery(query);
-				return collection;
-			})
-			.then((collection) => {
-				// Add operationId as comment, if any
-				let queryData = opUtils.addComment(query.getData(), options.operationId);
-				let cursor = collection.find(queryData, mongoOptions);
-				if (_.isNumber(options.timeout)) {
-					cursor = cursor.maxTimeMS(MongoModel._convertTimeout(options.timeout));
+		return this._runOperation(options, () => {
+			return this.collectionPromise
+				.then((collection) => {
+					// Transform the query according to the schema
+					query = this._scopeQuery(this.normalizeQuery(query), options);
+					this._checkQueryIndexed(query, options);
+					return collection;
+				})
+				.then((collection) => this._retry(options, false, () => {
+					// Add operationId as comment, if any
+					let queryData = opUtils.addComment(query.getData(), options.operationId);
+					let cursor = collection.find(queryData, mongoOptions);
+					if (_.isNumber(options.timeout)) {
+						cursor = cursor.maxTimeMS(MongoModel._convertTimeout(options.timeout));
+					}
+
+					return cursor.count();
+				}))
+				.catch((err) => {
+					throw MongoError.fromMongoError(err);
+				})
+				.then(prof.wrappedEnd(), prof.wrappedEndError());
+		});
+	}
+
+	/**
+	 * Explains how the database runs a query.  The query is normalized and translated the same as in `find()` ,
+	 * so the result shows whether map field queries were rewritten to use indexed map fields, and how `$near`
+	 * queries on geoHashed fields were rewritten.
+	 *
+	 * @method explain
+	 * @param {commonQuery.Query} query - Query to explain
+	 * @param {Object} [options={}] - Same options as `find()`
+	 * @return {Promise{Object}} - Resolves to an object containing:
+	 *   - `query`: The normalized query data
+	 *   - `mapIndexFields`: The indexed map fields (`_mapidx_*`) queried by the normalized query
+	 *   - `geoHashed`: If the query has a `$near` on a geoHashed field, an object containing the queried `field` ,
+	 *     the `indexField` holding its geohashes, and the translated `query` ; otherwise null
+	 *   - `winningPlan`: The plan chosen by the query planner
+	 *   - `indexName`: Name of the index used by the winning plan, or null if it is a collection scan
+	 *   - `indexNames`: Names of all indexes used by the winning plan
+	 *   - `docsExamined`, `keysExamined`, `nReturned`: Execution stats of the query
+	 */
+	explain(query, options = {}) {
+		let prof = this.profiler.begin('#explain');
+
+		return this._runOperation(options, () => {
+			return this.collectionPromise
+				.then((collection) => {
+					// Transform the query according to the schema
+					query = this._scopeQuery(this.normalizeQuery(query), options);
+					let result = {
+						query: objtools.deepCopy(query.getData()),
+						mapIndexFields: this._getQueryMapIndexFields(query.getData()),
+						geoHashed: null
+					};
+
+					let cursor;
+					let geoHashedNear = MongoModel._getGeoHashedNear(query, this);
+					if (geoHashedNear) {
+						let { field, nearParams } = geoHashedNear;
+						let queryData = MongoModel._translateGeoHashedQuery(query, field, nearParams, this);
+						result.geoHashed = {
+							field,
+							indexField: this._geoHashedIndexMapping[field].field,
+							query: objtools.deepCopy(queryData)
+						};
+						cursor = collection.find(queryData, this._addSessionOption({}, options));
+					} else {
+						cursor = MongoModel._findWithOptions(collection, query.getData(), this, options);
+					}
+
+					return cursor.explain()
+						.then((explanation) => _.assign(result, explainUtils.summarize(explanation)));
+				})
+				.catch((err) => {
+					throw MongoError.fromMongoError(err);
+				})
+				.then(prof.wrappedEnd(), prof.wrappedEndError());
+		});
+	}
+
+	/**
+	 * Returns the indexed map fields queried by normalized query data.
+	 *
+	 * @method _getQueryMapIndexFields
+	 * @private
+	 * @param {Object} data - Normalized query data
+	 * @return {String[]}
+	 */
+	_getQueryMapIndexFields(data) {
+		let fields = [];
+		for (let key in data) {
+			if (key === '$and' || key === '$or' || key === '$nor') {
+				for (let subdata of data[key]) {
+					fields.push(...this._getQueryMapIndexFields(subdata));
 				}
+			} else if (_.includes(this.getIndexedMapFields(), key)) {
+				fields.push(key);
+			}
+		}
+		return _.uniq(fields);
+	}
 
-				return cursor.count();
-			})
-			.catch((err) => {
-				throw MongoError.fromMongoError(err);
-			})
-			.then(prof.wrappedEnd(), prof.wrappedEndError());
+	/**
+	 * Returns whether an index can serve normalized query data, so running it doesn't scan the whole collection.
+	 * An index can serve the query if the query constrains its first field with anything other than negations
+	 * like `$ne` , or if indexes can serve each clause of an `$or` .  Partial indexes are only counted if the
+	 * query constrains every field of their filter expression.
+	 *
+	 * @method _isQueryIndexed
+	 * @private
+	 * @param {Object} data - Normalized query data
+	 * @return {Boolean}
+	 */
+	_isQueryIndexed(data) {
+		// $text and $near queries fail instead of scanning if there is no suitable index
+		if (data.$text) return true;
+		let exprs = getConjunctionExprs(data);
+		if (_.some(exprs, ([ , value ]) => _.isPlainObject(value) && (value.$near || value.$nearSphere))) return true;
+
+		let fields = _.map(exprs, 0);
+		if (_.includes(fields, '_id')) return true;
+		let hasServingIndex = _.some(this.getIndexes(), (index) => {
+			if (_.includes(_.values(index.spec), 'text')) return false;
+			if (!_.includes(fields, _.keys(index.spec)[0])) return false;
+			let filter = index.options && index.options.partialFilterExpression;
+			return !filter || _.every(getQueryFields(filter), (field) => _.includes(fields, field));
+		});
+		if (hasServingIndex) return true;
+
+		return _.some(getConjunctionDisjunctions(data), (clauses) => {
+			return _.every(clauses, (clause) => this._isQueryIndexed(clause));
+		});
+	}
+
+	/**
+	 * Rejects a query that no index can serve, if the model has the `requireIndexedQueries` option.
+	 *
+	 * @method _checkQueryIndexed
+	 * @private
+	 * @param {Query} query - Normalized query
+	 * @param {Object} [options={}] - Options of the operation running the query
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - If set, the query is allowed regardless.
+	 * @throws {XError} - INVALID_ARGUMENT if no index can serve the query
+	 */
+	_checkQueryIndexed(query, options = {}) {
+		if (!this.options.requireIndexedQueries || options.allowUnindexedQuery) return;
+		let data = query.getData();
+		if (this._isQueryIndexed(data)) return;
+
+		let fields = getQueryFields(data);
+		let message = fields.length ?
+			`No index can serve query on ${fields.join(', ')}` :
+			'No index can serve query without conditions';
+		throw new XError(XError.INVALID_ARGUMENT, `${message} (set allowUnindexedQuery to run it anyway)`, {
+			model: this.modelName,
+			fields
+		});
 	}
 
 	/**
@@ -1403,6 +3062,13 @@ class MongoModel extends SchemaModel {
 	 *     are scanned to aggregate.
 	 *   @param {Number} [options.timeout] - Maximum time for the operation, in seconds.
 	 *   @param {Boolean} [options.canCursorTimeout=true] - Whether the cursor may time out.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Boolean} [options.includeDeleted=false] - With the `softDelete` option, also match documents that
+	 *     were removed.
+	 *   @param {Mixed} [options.tenant] - Tenant to restrict the operation to.  Required with the `tenantField`
+	 *     option.
+	 *   @param {Object} [options.retryPolicy] - Retry policy for transient errors, overriding fields of the
+	 *     policies of the model and the database.
 	 * @return {Promise{Array{Object}}} - Resolves to table of aggregate results, in the commonQuery syntax
 	 * @since v0.1.0
 	 */
@@ -1410,59 +3076,127 @@ class MongoModel extends SchemaModel {
 		let prof = this.profiler.begin('#aggregateMulti');
 		const useFacet = this._hasFacetSupport();
 		options = objtools.merge({ useFacet }, options);
+		this._addSessionOption(options, options);
 
 		let pipelines;
-		return this.collectionPromise
-			.then((collection) => {
-				// Transform the query and aggregates according to the schema
-				query = this.normalizeQuery(query);
-				for (let key in aggregates) {
-					aggregates[key] = this.normalizeAggregate(aggregates[key]);
-				}
+		let context = { options };
+		return this._runOperation(options, () => {
+			return this.collectionPromise
+				.then(() => {
+					// Transform the query and aggregates according to the schema, and let hooks change them
+					context.query = this.normalizeQuery(query);
+					for (let key in aggregates) {
+						aggregates[key] = this.normalizeAggregate(aggregates[key]);
+					}
+					context.aggregates = aggregates;
+					return this.trigger('pre-aggregate', context);
+				})
+				.then(() => {
+					query = this._scopeQuery(this._normalizeHookQuery(context.query), context.options);
+					aggregates = _.mapValues(context.aggregates, (aggregate) => {
+						return _.isPlainObject(aggregate) ? this.normalizeAggregate(aggregate) : aggregate;
+					});
+					options = context.options;
 
-				pipelines = aggregateUtils.createAggregatePipelines(this.schema, query, aggregates, options);
-				return collection;
-			})
-			.then((collection) => {
-				let results = pipelines.map((pipelineData) => {
+					pipelines = aggregateUtils.createAggregatePipelines(this.schema, query, aggregates, options);
+					return this.collectionPromise;
+				})
+				.then((collection) => {
 					if (_.isNumber(options.timeout)) {
 						// Replace timeout option with mongo maxTimeMS option.
 						// This option is not documented on aggregates, but appears to work.
 						options.maxTimeMS = MongoModel._convertTimeout(options.timeout);
 						delete options.timeout;
 					}
+					let aggregateOptions = this._getAggregateOptions(options);
+
+					let results = pipelines.map((pipelineData) => {
+						return this._retry(options, false, () => {
+							let cursor = collection.aggregate(pipelineData.pipeline, aggregateOptions);
+							//if (options.canCursorTimeout === false) cursor.addCursorFlag('noCursorTimeout', true);
+							return cursor.toArray();
+						})
+							.catch((err) => { throw MongoError.fromMongoError(err); })
+							.then((results) => {
+								pipelineData.results = results;
+								return pipelineData;
+							});
+					});
 
-					let cursor = collection.aggregate(pipelineData.pipeline, options);
-					//if (options.canCursorTimeout === false) cursor.addCursorFlag('noCursorTimeout', true);
-
-					return cursor.toArray()
-						.catch((err) => { throw MongoError.fromMongoError(err); })
-						.then((results) => {
-							pipelineData.results = results;
-							return pipelineData;
+					return Promise.all(results)
+						.then((pipelines) => {
+							return aggregateUtils.createAggregateResult(this.schema, pipelines, aggregates, useFacet);
 						});
-				});
-
-				return Promise.all(results)
-					.then((pipelines) => {
-						return aggregateUtils.createAggregateResult(this.schema, pipelines, aggregates, useFacet);
-					});
-			})
-			.then((results) => {
-				// ensure all keys in the aggregate are represented in the result
-				for (let key in aggregates) {
-					if (results[key] === undefined) {
-						let aggregateData = aggregates[key].getData();
-						if (aggregateData.groupBy !== undefined) {
-							results[key] = [];
-						} else {
-							results[key] = aggregateData.total ? { total: 0 } : {};
+				})
+				.then((results) => {
+					// ensure all keys in the aggregate are represented in the result
+					for (let key in aggregates) {
+						if (results[key] === undefined) {
+							let aggregateData = aggregates[key].getData();
+							if (aggregateData.groupBy !== undefined) {
+								results[key] = [];
+							} else {
+								results[key] = aggregateData.total ? { total: 0 } : {};
+							}
 						}
 					}
-				}
-				return results;
-			})
-			.then(prof.wrappedEnd(), prof.wrappedEndError());
+					return results;
+				})
+				.then(prof.wrappedEnd(), prof.wrappedEndError());
+		});
+	}
+
+	/**
+	 * Explains how the database runs the pipelines of an `aggregateMulti()` call.
+	 *
+	 * @method explainAggregateMulti
+	 * @param {commonQuery.Query} query - Query for records on which to perform the aggregates
+	 * @param {Object{Object}|Object{commonQuery.Aggregate}} aggregates - Table of aggregate queries, as given to
+	 *   `aggregateMulti()`
+	 * @param {Object} [options={}] - Same options as `aggregateMulti()`
+	 * @return {Promise{Object}} - Resolves to an object containing:
+	 *   - `query`: The normalized query data
+	 *   - `mapIndexFields`: The indexed map fields (`_mapidx_*`) queried by the normalized query
+	 *   - `pipelines`: An array with an entry for each pipeline run by `aggregateMulti()` , containing the
+	 *     `pipeline` and the same plan information as `explain()` .  Depending on the server, execution
+	 *     stats may not be available for pipelines and are null.
+	 */
+	explainAggregateMulti(query, aggregates, options = {}) {
+		let prof = this.profiler.begin('#explainAggregateMulti');
+		const useFacet = this._hasFacetSupport();
+		options = objtools.merge({ useFacet }, options);
+		this._addSessionOption(options, options);
+		if (_.isNumber(options.timeout)) {
+			options.maxTimeMS = MongoModel._convertTimeout(options.timeout);
+			delete options.timeout;
+		}
+
+		return this._runOperation(options, () => {
+			return this.collectionPromise
+				.then((collection) => {
+					// Transform the query and aggregates according to the schema
+					query = this._scopeQuery(this.normalizeQuery(query), options);
+					aggregates = _.mapValues(aggregates, (aggregate) => this.normalizeAggregate(aggregate));
+
+					let pipelines = aggregateUtils.createAggregatePipelines(this.schema, query, aggregates, options);
+					let aggregateOptions = this._getAggregateOptions(options);
+					return Promise.all(pipelines.map(({ pipeline }) => {
+						return collection.aggregate(pipeline, aggregateOptions).explain()
+							.then((explanation) => _.assign({ pipeline }, explainUtils.summarize(explanation)));
+					}));
+				})
+				.then((pipelines) => {
+					return {
+						query: query.getData(),
+						mapIndexFields: this._getQueryMapIndexFields(query.getData()),
+						pipelines
+					};
+				})
+				.catch((err) => {
+					throw MongoError.fromMongoError(err);
+				})
+				.then(prof.wrappedEnd(), prof.wrappedEndError());
+		});
 	}
 
 	/**
@@ -1472,43 +3206,152 @@ class MongoModel extends SchemaModel {
 	 * @param {commonQuery.Query} query - Query for records to remove
 	 * @param {Object} [options={}] - Mongo options
 	 *   @param {Boolean} [options.forceResave=false] - Causes the removal to
-	 *     be performed by requesting documents and calling `#remove` on each.
-	 * @return {Object} - The response from the mongo command
+	 *     be performed by requesting documents and calling `#remove` on each.  This is always done if the model
+	 *     has the `audit` or `versioned` option.
+	 *   @param {Mixed} [options.actor] - Metadata about who is making the change, for the audit trail.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - Run the query even if no index can serve it and the
+	 *     model has the `requireIndexedQueries` option.
+	 *   @param {Boolean} [options.includeDeleted=false] - With the `softDelete` option, also match documents that
+	 *     were already removed.
+	 *   @param {Mixed} [options.tenant] - Tenant to restrict the operation to.  Required with the `tenantField`
+	 *     option.
+	 *   @param {Object} [options.retryPolicy] - Retry policy for transient errors, overriding fields of the
+	 *     policies of the model and the database.  Atomic writes are only retried if it has `writes` set.
+	 * @return {Object} - The response from the mongo command.  With the `softDelete` option, this is the
+	 *   response from the update setting `deletedAt` .
 	 * @since v0.0.1
 	 */
 	remove(query, options = {}) {
-		let prof = this.profiler.begin('#remove');
+		return this._removeMulti(query, options, !!this._softDeleteField);
+	}
 
-		// Transform the mongo options
-		let mongoOptions = MongoModel._transformMongoOptions(options, this.db);
+	/**
+	 * Permanently deletes soft-deleted documents.  This requires the `softDelete` option.
+	 *
+	 * @method purge
+	 * @param {commonQuery.Query} query - Query for the removed records to delete
+	 * @param {Object} [options={}] - Same options as `remove()`
+	 * @return {Promise{Object}} - Resolves with the response from the mongo command, or the number of documents
+	 *   deleted if they are deleted one at a time
+	 */
+	async purge(query, options = {}) {
+		this._checkSoftDelete('purge');
+		let purgeOptions = _.assign({}, options, { includeDeleted: true });
+		return await this._removeMulti(this._onlyDeleted(query), purgeOptions, false);
+	}
 
-		if (!options.forceResave) {
-			// Perform removal normally.
-			return this.collectionPromise
-				.then((collection) => {
-					// Transform the query according to the schema
-					query = this.normalizeQuery(query);
-					return collection;
+	/**
+	 * Restores soft-deleted documents by unsetting `deletedAt` .  This requires the `softDelete` option.
+	 *
+	 * @method restore
+	 * @param {commonQuery.Query} query - Query for the removed records to restore
+	 * @param {Object} [options={}] - Mongo options
+	 *   @param {Boolean} [options.forceResave=false] - Restore each document with `MongoDocument#restore()` .
+	 *     This is always done if the model has the `audit` or `versioned` option.
+	 *   @param {Mixed} [options.actor] - Metadata about who is making the change, for the audit trail.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - Run the query even if no index can serve it and the
+	 *     model has the `requireIndexedQueries` option.
+	 * @return {Promise{Number}} - Resolves with the number of documents restored
+	 */
+	async restore(query, options = {}) {
+		return await this._runOperation(options, () => this.profiler.run('#restore', async() => {
+			this._checkSoftDelete('restore');
+			query = this._scopeQuery(this._onlyDeleted(query), _.assign({}, options, { includeDeleted: true }));
+			let mongoOptions = MongoModel._transformMongoOptions(options, this.db);
+			this._addSessionOption(mongoOptions, options);
+
+			if (!options.forceResave && !this._isTrackingChanges()) {
+				let collection = await this.collectionPromise;
+				this._checkQueryIndexed(query, options);
+				let update = this._addUpdateTimestamps({ $unset: { [this._softDeleteField]: true } });
+				let result = await collection.updateMany(query.getData(), update, mongoOptions);
+				return result.result.nModified;
+			}
+
+			let numRestored = 0;
+			let findOptions = _.assign({
+				allowUnindexedQuery: options.allowUnindexedQuery,
+				includeDeleted: true,
+				tenant: options.tenant
+			}, mongoOptions);
+			await this.findStream(query, findOptions).each(async(doc) => {
+				await doc.restore({ session: mongoOptions.session, actor: options.actor, tenant: options.tenant });
+				numRestored++;
+			}).intoPromise();
+			return numRestored;
+		}));
+	}
+
+	/**
+	 * Removes the documents matching a query, for `remove()` and `purge()` .
+	 *
+	 * @method _removeMulti
+	 * @private
+	 * @param {commonQuery.Query} query
+	 * @param {Object} options
+	 * @param {Boolean} softDelete - Whether to set `deletedAt` instead of deleting the documents
+	 * @return {Promise}
+	 */
+	_removeMulti(query, options, softDelete) {
+		let prof = this.profiler.begin('#remove');
+
+		let context = { options };
+		return this._runOperation(options, () => {
+			return Promise.resolve()
+				.then(() => {
+					// Transform the query according to the schema, and let hooks change it
+					context.query = this.normalizeQuery(query);
+					return this.trigger('pre-remove-multi', context);
 				})
-				.then((collection) => collection.deleteMany(
-					query.getData(),
-					mongoOptions
-				))
-				.then(prof.wrappedEnd(), prof.wrappedEndError());
-		} else {
-			// Remove each matched document by calling #remove.
-			let numRemoved = 0;
-			return this.findStream(query, mongoOptions)
-				.each((doc) => {
-					return doc.remove()
-						.then(() => {
-							numRemoved += 1;
-						});
+				.then(() => {
+					query = this._scopeQuery(this._normalizeHookQuery(context.query), context.options);
+					options = context.options;
+
+					// Transform the mongo options
+					let mongoOptions = MongoModel._transformMongoOptions(options, this.db);
+					this._addSessionOption(mongoOptions, options);
+
+					if (!options.forceResave && !this._isTrackingChanges()) {
+						// Perform removal normally.
+						return this.collectionPromise
+							.then((collection) => {
+								this._checkQueryIndexed(query, options);
+								return this._retry(options, true, () => {
+									if (softDelete) {
+										let update = this._getSoftDeleteUpdate();
+										return collection.updateMany(query.getData(), update, mongoOptions);
+									}
+									return collection.deleteMany(query.getData(), mongoOptions);
+								});
+							});
+					} else {
+						// Remove each matched document by calling #remove, or #purge to delete soft-deleted documents.
+						let numRemoved = 0;
+						let findOptions = _.assign({
+							allowUnindexedQuery: options.allowUnindexedQuery,
+							includeDeleted: true,
+							tenant: options.tenant
+						}, mongoOptions);
+						return this.findStream(query, findOptions)
+							.each((doc) => {
+								let removeOptions = {
+									session: mongoOptions.session,
+									actor: options.actor,
+									tenant: options.tenant
+								};
+								return (softDelete ? doc.remove(removeOptions) : doc.purge(removeOptions))
+									.then(() => {
+										numRemoved += 1;
+									});
+							})
+							.intoPromise()
+							.then(() => numRemoved);
+					}
 				})
-				.intoPromise()
-				.then(() => numRemoved)
 				.then(prof.wrappedEnd(), prof.wrappedEndError());
-		}
+		});
 	}
 
 	/**
@@ -1523,60 +3366,84 @@ class MongoModel extends SchemaModel {
 	 *   @param {Boolean} [options.forceAtomic=false] - Force atomic updates even if updating indexed map fields.
 	 *     This will result in inconsistent map index data.
 	 *   @param {Boolean} [options.forceResave=false] - Force update through document saves, even if not
-	 *     updating indexed map fields.
+	 *     updating indexed map fields.  This is always done if the model has the `audit` or `versioned`
+	 *     option.
+	 *   @param {Mixed} [options.actor] - Metadata about who is making the change, for the audit trail.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - Run the query even if no index can serve it and the
+	 *     model has the `requireIndexedQueries` option.
+	 *   @param {Boolean} [options.includeDeleted=false] - With the `softDelete` option, also match documents that
+	 *     were removed.
+	 *   @param {Mixed} [options.tenant] - Tenant to restrict the operation to.  Required with the `tenantField`
+	 *     option.
+	 *   @param {Object} [options.retryPolicy] - Retry policy for transient errors, overriding fields of the
+	 *     policies of the model and the database.  Atomic writes are only retried if it has `writes` set.
 	 * @return {Promise} - Resolves with the number of documents updated, or rejects with XError
 	 * @since v0.0.1
 	 */
 	async update(query, update, options = {}) {
-		return await this.profiler.run('#update', async() => {
+		return await this._runOperation(options, () => this.profiler.run('#update', async() => {
+
+			// Transform the query and update according to the schema, and let hooks change them
+			let context = {
+				query: this.normalizeQuery(query),
+				update: this.normalizeUpdate(update, _.assign({ serialize: true, schema: this.schema }, options)),
+				options
+			};
+			await this.trigger('pre-update', context);
+			query = this._scopeQuery(this._normalizeHookQuery(context.query), context.options);
+			options = context.options;
+			update = context.update;
+			if (_.isPlainObject(update)) {
+				update = this.normalizeUpdate(update, _.assign({ serialize: true, schema: this.schema }, options));
+			}
+
+			this._checkTenantUpdate(update, this._getTenant(options));
 
 			// Transform the mongo options
 			let returnDocument = options.returnDocument;
 			delete options.returnDocument;
 			let mongoOptions = MongoModel._transformMongoOptions(options, this.db);
+			this._addSessionOption(mongoOptions, options);
 			let updateOptions = _.pick(options, [ 'skipFields' ]);
 
-			// Transform the query and update according to the schema
-			update = this.normalizeUpdate(update, _.assign({ serialize: true, schema: this.schema }, options));
-
 			// Set multi option if and only if this is not a full replace.
 			if (update.hasOperators()) {
 				mongoOptions.multi = true;
 			}
 
-			// Check if this is accessing a field inside a map
-			let updateFields = update.getUpdatedFields();
-			let isUpdatingMap = false, isUpdatingGeoHashed = false;
-			for (let field of updateFields) {
-				if (this.getSchema().hasParentType(field, 'map')) {
-					isUpdatingMap = true;
-					break;
-				}
-				for (let geoHashedField in this._geoHashedIndexMapping) {
-					if (geoHashedField.startsWith(field)) {
-						isUpdatingGeoHashed = true;
-						break;
-					}
-				}
-				if (isUpdatingGeoHashed) break;
-			}
-
 			// Determine whether or not this update should be performed atomically.
-			let isAtomic = (!isUpdatingMap && !isUpdatingGeoHashed);
+			let isAtomic = !this._isUpdatingDerivedIndexFields(update);
 			isAtomic = options.forceAtomic || isAtomic;
 			isAtomic = !options.forceResave && isAtomic;
+			// Audit entries and previous versions are recorded by document saves
+			if (this._isTrackingChanges()) isAtomic = false;
 
 			let updateFn = update.isFullReplace() ? 'replaceOne' : 'updateOne';
 
+			let result;
 			if (isAtomic) {
 				// We can run a normal update on this, since it's not touching map or geoHashed data
 				let collection = await this.collectionPromise;
-				query = this.normalizeQuery(query);
-				let result;
+				this._checkQueryIndexed(query, options);
+				let queryData = query.getData();
+				let updateData;
+				if (update.isFullReplace()) {
+					({ queryData, replacement: updateData } = await this._addReplacementTimestamps(
+						collection,
+						queryData,
+						update.getData(),
+						mongoOptions
+					));
+				} else {
+					updateData = this._addUpdateTimestamps(update.getData());
+				}
+				let writeUpdate = () => collection[updateFn](queryData, updateData, mongoOptions);
+				let writeResult;
 				let numRetries = 3;
 				while (numRetries > 0) {
 					try {
-						result = await collection[updateFn](query.getData(), update.getData(), mongoOptions);
+						writeResult = await this._retry(options, true, writeUpdate);
 						break;
 					} catch (err) {
 						err = MongoError.fromMongoError(err, this);
@@ -1593,32 +3460,33 @@ class MongoModel extends SchemaModel {
 				}
 
 				if (returnDocument) {
-					let upsertedId = objtools.getPath(result, 'result.upserted.0._id');
+					let upsertedId = objtools.getPath(writeResult, 'result.upserted.0._id');
 					if (upsertedId) {
 						try {
-							return this.findOne({ _id: upsertedId }, mongoOptions);
+							let findOptions = _.assign({ tenant: options.tenant }, mongoOptions);
+							result = await this.findOne({ _id: upsertedId }, findOptions);
 						} catch (err) {
-							if (err.code === XError.NOT_FOUND) {
-								// This should never happen
-								return undefined;
-							} else {
-								throw MongoError.fromMongoError(err, this);
-							}
+							if (err.code !== XError.NOT_FOUND) throw MongoError.fromMongoError(err, this);
+							// This should never happen
 						}
-					} else {
-						return undefined;
 					}
 				} else {
-					return result.result.nModified;
+					result = writeResult.result.nModified;
 				}
 			} else {
 				// We need to rebuild map data, so run this as a streaming, in memory save
 				let numUpdated = 0;
 				let firstSavedDoc;
-				await this.findStream(query, mongoOptions).each(async(doc) => {
+				let findOptions = _.assign({
+					allowUnindexedQuery: options.allowUnindexedQuery,
+					includeDeleted: true,
+					tenant: options.tenant
+				}, mongoOptions);
+				let saveOptions = { session: mongoOptions.session, actor: options.actor, tenant: options.tenant };
+				await this.findStream(query, findOptions).each(async(doc) => {
 					if (!firstSavedDoc) firstSavedDoc = doc;
 					update.apply(doc.getData(), updateOptions);
-					await doc.save();
+					await doc.save(saveOptions);
 					numUpdated++;
 				}).intoPromise();
 
@@ -1628,16 +3496,48 @@ class MongoModel extends SchemaModel {
 					update.apply(newDocData, updateOptions);
 					let newDoc = this.create(newDocData);
 					firstSavedDoc = newDoc;
-					await newDoc.save();
+					await newDoc.save(saveOptions);
 					numUpdated++;
 				}
-				if (returnDocument) {
-					return firstSavedDoc;
-				} else {
-					return numUpdated;
-				}
+				result = returnDocument ? firstSavedDoc : numUpdated;
 			}
-		});
+
+			await this.trigger('post-update', { query, update, options, result });
+			return result;
+		}));
+	}
+
+	/**
+	 * Normalizes a query that a model hook replaced with a plain object.  Queries that are already `Query`
+	 * objects were normalized before the hook was triggered.
+	 *
+	 * @method _normalizeHookQuery
+	 * @private
+	 * @param {commonQuery.Query|Object} query - Query from the hook context
+	 * @return {commonQuery.Query}
+	 */
+	_normalizeHookQuery(query) {
+		return _.isPlainObject(query) ? this.normalizeQuery(query) : query;
+	}
+
+	/**
+	 * Returns whether an update changes fields inside a map or geoHashed fields.  The indexed values derived from
+	 * these fields can't be updated atomically, so the documents must be resaved instead.
+	 *
+	 * @method _isUpdatingDerivedIndexFields
+	 * @private
+	 * @param {Update} update - Normalized update
+	 * @return {Boolean}
+	 */
+	_isUpdatingDerivedIndexFields(update) {
+		for (let field of update.getUpdatedFields()) {
+			// Check if this is accessing a field inside a map
+			if (this.getSchema().hasParentType(field, 'map')) return true;
+			for (let geoHashedField in this._geoHashedIndexMapping) {
+				if (geoHashedField.startsWith(field)) return true;
+			}
+		}
+		return false;
 	}
 
 	/**
@@ -1656,6 +3556,148 @@ class MongoModel extends SchemaModel {
 		return this.update(query, update, options);
 	}
 
+	/**
+	 * Atomically updates the first document matching a query, and returns it.  Unlike `update()` , this returns
+	 * the matched document even when nothing is upserted, without a racy second query.
+	 *
+	 * @method findOneAndUpdate
+	 * @param {commonQuery.Query} query - Query for the record to update
+	 * @param {commonQuery.Update} update - Update query.  This must use update operators.
+	 * @param {Object} [options={}] - Mongo options
+	 *   @param {Boolean} [options.returnOriginal=true] - If true, the document is returned as it was before the
+	 *     update.  If false, it is returned as updated.
+	 *   @param {String[]} [options.sort] - Fields to sort by, prefixed with `-` for descending order.  The first
+	 *     matching document in this order is updated.
+	 *   @param {String[]} [options.fields] - Fields to return.  The document is returned as a partial document.
+	 *   @param {Boolean} [options.upsert=false] - Insert a document if none matches.  If `returnOriginal` is
+	 *     true, null is returned when this happens.
+	 *   @param {Boolean} [options.forceAtomic=false] - Allow updating fields inside indexed maps or geoHashed
+	 *     fields.  This will result in inconsistent index data.
+	 *   @param {String} [options.operationId] - If set, this operation can be
+	 *     cancelled later using MongoDb#cancelOperation and the same operation id.
+	 *   @param {Number} [options.timeout] - Maximum time for the operation, in seconds.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - Run the query even if no index can serve it and the
+	 *     model has the `requireIndexedQueries` option.
+	 * @return {Promise{MongoDocument|null}} - Resolves with the document, or null if no document matched
+	 */
+	async findOneAndUpdate(query, update, options = {}) {
+		return await this._runOperation(options, () => this.profiler.run('#findOneAndUpdate', async() => {
+			this._checkAtomicWritesAllowed('findOneAndUpdate');
+			let mongoOptions = this._getFindAndModifyOptions(options);
+			mongoOptions.returnOriginal = options.returnOriginal !== false;
+
+			update = this.normalizeUpdate(update, _.assign({ serialize: true, schema: this.schema }, options));
+			if (update.isFullReplace()) {
+				throw new XError(XError.INVALID_ARGUMENT, 'findOneAndUpdate requires an update with update operators');
+			}
+			if (!options.forceAtomic && this._isUpdatingDerivedIndexFields(update)) {
+				throw new XError(
+					XError.UNSUPPORTED_OPERATION,
+					'findOneAndUpdate cannot update fields inside indexed maps or geoHashed fields'
+				);
+			}
+			this._checkTenantUpdate(update, this._getTenant(options));
+
+			let collection = await this.collectionPromise;
+			query = this._scopeQuery(this.normalizeQuery(query), options);
+			this._checkQueryIndexed(query, options);
+			let queryData = opUtils.addComment(query.getData(), options.operationId);
+			let updateData = this._addUpdateTimestamps(update.getData());
+			let result;
+			let numRetries = 3;
+			while (numRetries > 0) {
+				try {
+					result = await collection.findOneAndUpdate(queryData, updateData, mongoOptions);
+					break;
+				} catch (err) {
+					let mongoError = MongoError.fromMongoError(err, this);
+					if (mongoError.code === XError.ALREADY_EXISTS && options.upsert && numRetries > 1) {
+						// Parallel upserts can conflict; see update()
+						numRetries--;
+						continue;
+					} else {
+						throw mongoError;
+					}
+				}
+			}
+			return this._createFindAndModifyResult(result, options);
+		}));
+	}
+
+	/**
+	 * Atomically removes the first document matching a query, and returns it.
+	 *
+	 * @method findOneAndRemove
+	 * @param {commonQuery.Query} query - Query for the record to remove
+	 * @param {Object} [options={}] - Mongo options
+	 *   @param {String[]} [options.sort] - Fields to sort by, prefixed with `-` for descending order.  The first
+	 *     matching document in this order is removed.
+	 *   @param {String[]} [options.fields] - Fields to return.  The document is returned as a partial document.
+	 *   @param {String} [options.operationId] - If set, this operation can be
+	 *     cancelled later using MongoDb#cancelOperation and the same operation id.
+	 *   @param {Number} [options.timeout] - Maximum time for the operation, in seconds.
+	 *   @param {mongodb.ClientSession} [options.session] - Driver session to run in.
+	 *   @param {Boolean} [options.allowUnindexedQuery=false] - Run the query even if no index can serve it and the
+	 *     model has the `requireIndexedQueries` option.
+	 * @return {Promise{MongoDocument|null}} - Resolves with the removed document, or null if no document matched.
+	 *   With the `softDelete` option, the document is returned with its `deletedAt` date.
+	 */
+	async findOneAndRemove(query, options = {}) {
+		return await this._runOperation(options, () => this.profiler.run('#findOneAndRemove', async() => {
+			this._checkAtomicWritesAllowed('findOneAndRemove');
+			let mongoOptions = this._getFindAndModifyOptions(options);
+			let collection = await this.collectionPromise;
+			query = this._scopeQuery(this.normalizeQuery(query), options);
+			this._checkQueryIndexed(query, options);
+			let queryData = opUtils.addComment(query.getData(), options.operationId);
+			let result;
+			try {
+				if (this._softDeleteField) {
+					mongoOptions.returnOriginal = false;
+					result = await collection.findOneAndUpdate(queryData, this._getSoftDeleteUpdate(), mongoOptions);
+				} else {
+					result = await collection.findOneAndDelete(queryData, mongoOptions);
+				}
+			} catch (err) {
+				throw MongoError.fromMongoError(err, this);
+			}
+			return this._createFindAndModifyResult(result, options);
+		}));
+	}
+
+	/**
+	 * Builds the driver options shared by `findOneAndUpdate()` and `findOneAndRemove()` .
+	 *
+	 * @method _getFindAndModifyOptions
+	 * @private
+	 * @param {Object} options - Options passed to the model method
+	 * @return {Object} - Mongo options
+	 */
+	_getFindAndModifyOptions(options) {
+		let mongoOptions = MongoModel._transformMongoOptions(options, this.db);
+		this._addSessionOption(mongoOptions, options);
+		let includeTextScore = _.includes(options.sort, '$textScore');
+		mongoOptions.projection = MongoModel._getProjection(this, options, includeTextScore);
+		if (_.isArray(options.sort)) mongoOptions.sort = MongoModel._getSortSpec(options.sort);
+		if (_.isNumber(options.timeout)) mongoOptions.maxTimeMS = MongoModel._convertTimeout(options.timeout);
+		return mongoOptions;
+	}
+
+	/**
+	 * Creates the document returned by `findOneAndUpdate()` or `findOneAndRemove()` .
+	 *
+	 * @method _createFindAndModifyResult
+	 * @private
+	 * @param {Object} result - Result of the driver operation
+	 * @param {Object} options - Options passed to the model method
+	 * @return {MongoDocument|null}
+	 */
+	_createFindAndModifyResult(result, options) {
+		if (!result || !result.value) return null;
+		return this._createExisting(result.value, { isPartial: !!options.fields, fields: options.fields });
+	}
+
 	/**
 	 * Normalizes and validates the query that is passed in.
 	 *
@@ -2059,6 +4101,84 @@ class MongoModel extends SchemaModel {
 	}
 }
 
+// Returns the key spec of a Mongo index in the form used by the schema.  Mongo describes text indexes with
+// `_fts` and `_ftsx` keys in place of the text fields, which are listed in the index weights instead.
+function getIndexSpec(index) {
+	if (index.key._fts !== 'text') return index.key;
+	let spec = {};
+	for (let field in index.key) {
+		if (field === '_fts') {
+			for (let textField of _.keys(index.weights).sort()) spec[textField] = 'text';
+		} else if (field !== '_ftsx') {
+			spec[field] = index.key[field];
+		}
+	}
+	return spec;
+}
+
+// Returns whether two index specs are the same, including key order except between text fields
+function isSameIndexSpec(spec1, spec2) {
+	let getEntries = (spec) => {
+		let entries = _.toPairs(spec);
+		let textStart = _.findIndex(entries, ([ , value ]) => value === 'text');
+		if (textStart < 0) return entries;
+		let textEntries = _.sortBy(entries.filter(([ , value ]) => value === 'text'), 0);
+		let otherEntries = entries.filter(([ , value ]) => value !== 'text');
+		otherEntries.splice(textStart, 0, ...textEntries);
+		return otherEntries;
+	};
+	return _.isEqual(getEntries(spec1), getEntries(spec2));
+}
+
+// Operators that only exclude values, which an index can't narrow the scanned documents down with
+const negationOperators = [ '$ne', '$nin', '$not' ];
+
+// Returns [ field, value ] pairs that every document matching query data must satisfy, descending into $and
+function getConjunctionExprs(data) {
+	let exprs = [];
+	for (let key in data) {
+		if (key === '$and') {
+			for (let subdata of data.$and) exprs.push(...getConjunctionExprs(subdata));
+		} else if (key[0] !== '$') {
+			let value = data[key];
+			let isNegation = _.isPlainObject(value) && !_.isEmpty(value) &&
+				_.every(_.keys(value), (operator) => _.includes(negationOperators, operator));
+			if (!isNegation) exprs.push([ key, value ]);
+		}
+	}
+	return exprs;
+}
+
+// Returns the clause arrays of $or's that every document matching query data must satisfy, descending into $and
+function getConjunctionDisjunctions(data) {
+	let disjunctions = data.$or ? [ data.$or ] : [];
+	for (let subdata of data.$and || []) disjunctions.push(...getConjunctionDisjunctions(subdata));
+	return disjunctions;
+}
+
+// Returns all fields in query data
+function getQueryFields(data) {
+	let fields = [];
+	for (let key in data) {
+		if (key === '$and' || key === '$or' || key === '$nor') {
+			for (let subdata of data[key]) fields.push(...getQueryFields(subdata));
+		} else if (key[0] !== '$') {
+			fields.push(key);
+		}
+	}
+	return _.uniq(fields);
+}
+
+// Calls a function on each 'error' event of a zstream.  zstreams only turns an error into a chain error if the stream
+// has no 'error' listeners besides its own, so this wraps emit() instead of adding a listener that would change that.
+function onStreamError(stream, fn) {
+	let emit = stream.emit;
+	stream.emit = function(event, error) {
+		if (event === 'error') fn(error);
+		return emit.apply(this, arguments);
+	};
+}
+
 // helper function for #_removeRedundantIndexes
 function isPrefix(map, subMap) {
 	let keys = _.keys(map);
@@ -0,0 +1,107 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const commonQuery = require('common-query');
+
+/**
+ * Utility functions for audit trail entries.  Entries store the diff between two versions of a document as a
+ * list of changes, since the dotted paths in an update expression can't be used as field names in mongo.
+ *
+ * @class audit
+ * @private
+ * @static
+ */
+
+/**
+ * Returns the document data that is recorded in the audit trail, leaving out the revision number, internal id
+ * and index data.
+ *
+ * @method getAuditedData
+ * @param {Object} [data] - Document data, as stored in mongo
+ * @return {Object}
+ */
+exports.getAuditedData = function(data) {
+	return _.omitBy(data || {}, (value, field) => {
+		return field === '__rev' || field === '_id' || field === '__textScore' ||
+			_.startsWith(field, '_mapidx_') || _.startsWith(field, '_geoidx_');
+	});
+};
+
+/**
+ * Converts an update expression into a list of changes that can be stored in mongo.
+ *
+ * @method createChanges
+ * @param {Object} diff - Update expression from `commonQuery.Update.createFromDiff()`
+ * @return {Object[]} - Array of `{ operator, field, value }`
+ */
+exports.createChanges = function(diff) {
+	let changes = [];
+	for (let operator in diff) {
+		for (let field in diff[operator]) {
+			changes.push({ operator, field, value: diff[operator][field] });
+		}
+	}
+	return changes;
+};
+
+/**
+ * Converts a list of changes from `createChanges()` back into an update expression.
+ *
+ * @method createDiff
+ * @param {Object[]} changes
+ * @return {Object}
+ */
+exports.createDiff = function(changes) {
+	let diff = {};
+	for (let { operator, field, value } of changes) {
+		if (!diff[operator]) diff[operator] = {};
+		diff[operator][field] = value;
+	}
+	return diff;
+};
+
+/**
+ * Creates an entry to store in an audit collection.
+ *
+ * @method createEntry
+ * @param {Object} params
+ *   @param {String} params.model - Model name
+ *   @param {Mixed} params.id - Unique id of the document
+ *   @param {String} params.operation - 'insert', 'update' or 'remove'
+ *   @param {Number} [params.revBefore] - Revision number before the change
+ *   @param {Number} [params.revAfter] - Revision number after the change
+ *   @param {Object} [params.before] - Document data before the change, as stored in mongo
+ *   @param {Object} [params.after] - Document data after the change, as stored in mongo
+ *   @param {Mixed} [params.actor] - Metadata about who made the change
+ *   @param {Date} [params.timestamp=new Date()]
+ * @return {Object}
+ */
+exports.createEntry = function(params) {
+	let diff = commonQuery.Update.createFromDiff(
+		exports.getAuditedData(params.before),
+		exports.getAuditedData(params.after)
+	);
+	return {
+		model: params.model,
+		id: params.id,
+		operation: params.operation,
+		revBefore: _.isNumber(params.revBefore) ? params.revBefore : null,
+		revAfter: _.isNumber(params.revAfter) ? params.revAfter : null,
+		changes: exports.createChanges(diff),
+		timestamp: params.timestamp || new Date(),
+		actor: (params.actor === undefined) ? null : params.actor
+	};
+};
+
+/**
+ * Converts an entry from an audit collection into the format returned by `MongoModel#getHistory()` .
+ *
+ * @method parseEntry
+ * @param {Object} entry - Stored entry
+ * @return {Object}
+ */
+exports.parseEntry = function(entry) {
+	return _.assign(_.omit(entry, [ '_id', 'changes' ]), { diff: exports.createDiff(entry.changes || []) });
+};
@@ -0,0 +1,83 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+
+/**
+ * Utility functions for working with results of the mongo explain command.
+ *
+ * @class explain
+ * @private
+ * @static
+ */
+
+/**
+ * Returns the query planner and execution stats sections of an explain result.  Depending on the server version,
+ * aggregate explain results contain these in the `$cursor` stage instead of at the top level.
+ *
+ * @method getExplainSections
+ * @private
+ * @param {Object} explanation - Result of the explain command
+ * @return {Object} - `{ queryPlanner, executionStats }`
+ */
+function getExplainSections(explanation) {
+	if (explanation.queryPlanner) return explanation;
+	let cursorStage = _.find(explanation.stages, (stage) => !!stage.$cursor);
+	if (cursorStage) return cursorStage.$cursor;
+	// Sharded aggregates are explained per shard
+	let shardExplanation = _.find(_.values(explanation.shards), (shard) => !!shard.stages || !!shard.queryPlanner);
+	if (shardExplanation) return getExplainSections(shardExplanation);
+	return {};
+}
+
+/**
+ * Returns the names of the indexes scanned by a query plan stage and its input stages.
+ *
+ * @method getPlanIndexNames
+ * @param {Object} plan - A query plan stage, such as the winning plan
+ * @return {String[]}
+ */
+exports.getPlanIndexNames = function(plan) {
+	if (!plan) return [];
+	let indexNames = [];
+	if (plan.indexName) indexNames.push(plan.indexName);
+	let inputStages = [].concat(
+		plan.inputStage || [],
+		plan.inputStages || [],
+		plan.queryPlan || [],
+		_.map(plan.shards, 'winningPlan')
+	);
+	for (let inputStage of inputStages) {
+		indexNames.push(...exports.getPlanIndexNames(inputStage));
+	}
+	return _.uniq(indexNames);
+};
+
+/**
+ * Summarizes the result of an explain command.
+ *
+ * @method summarize
+ * @param {Object} explanation - Result of the explain command on a find or aggregate
+ * @return {Object} - Object containing:
+ *   - `winningPlan`: The plan chosen by the query planner
+ *   - `indexName`: Name of the index scanned by the winning plan, or null if it is a collection scan
+ *   - `indexNames`: Names of all indexes scanned by the winning plan, such as for each clause of an `$or`
+ *   - `docsExamined`: Number of documents examined, or null if the server did not report execution stats
+ *   - `keysExamined`: Number of index keys examined, or null if the server did not report execution stats
+ *   - `nReturned`: Number of documents matched by the query, or null if the server did not report execution stats
+ */
+exports.summarize = function(explanation) {
+	let { queryPlanner, executionStats } = getExplainSections(explanation);
+	let winningPlan = (queryPlanner && queryPlanner.winningPlan) || null;
+	let indexNames = exports.getPlanIndexNames(winningPlan);
+	let getStat = (name) => (executionStats && _.isNumber(executionStats[name])) ? executionStats[name] : null;
+	return {
+		winningPlan,
+		indexName: indexNames[0] || null,
+		indexNames,
+		docsExamined: getStat('totalDocsExamined'),
+		keysExamined: getStat('totalKeysExamined'),
+		nReturned: getStat('nReturned')
+	};
+};
@@ -0,0 +1,164 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+const objtools = require('objtools');
+const { ObjectID } = require('mongodb');
+
+/**
+ * Utility functions for keyset pagination, which pages through query results with range queries on the sort
+ * fields instead of skipping results.  A keyset sort is an array of `{ field, direction }` entries ending with
+ * the unique id field, so every result has a distinct position.
+ *
+ * @class keyset
+ * @private
+ * @static
+ */
+
+/**
+ * Creates the keyset sort for a sort option.
+ *
+ * @method getSort
+ * @param {String[]} [sort=[]] - Fields to sort by, prefixed with `-` for descending order
+ * @param {String} uniqueIdField - Field to break ties between results with the same sort values
+ * @return {Object[]}
+ */
+exports.getSort = function(sort = [], uniqueIdField) {
+	let keysetSort = sort.map((field) => {
+		if (field === '$textScore') {
+			throw new XError(XError.INVALID_ARGUMENT, 'Cannot page through results sorted by $textScore');
+		}
+		if (field[0] === '-') return { field: field.slice(1), direction: -1 };
+		return { field, direction: 1 };
+	});
+	if (!_.some(keysetSort, { field: uniqueIdField })) keysetSort.push({ field: uniqueIdField, direction: 1 });
+	return keysetSort;
+};
+
+/**
+ * Reverses the direction of a keyset sort, which is used to page backwards.
+ *
+ * @method reverseSort
+ * @param {Object[]} keysetSort
+ * @return {Object[]}
+ */
+exports.reverseSort = function(keysetSort) {
+	return keysetSort.map(({ field, direction }) => ({ field, direction: -direction }));
+};
+
+/**
+ * Returns the sort values of a result.
+ *
+ * @method getValues
+ * @param {Object} data - Result data
+ * @param {Object[]} keysetSort
+ * @return {Mixed[]} - Value of each keyset sort field, with missing values as null
+ */
+exports.getValues = function(data, keysetSort) {
+	return keysetSort.map(({ field }) => {
+		let value = objtools.getPath(data, field);
+		return (value === undefined) ? null : value;
+	});
+};
+
+// Sort fields are stored in tokens in the same format as the sort option, so they can be checked against it
+function getSortFields(keysetSort) {
+	return keysetSort.map(({ field, direction }) => (direction < 0) ? `-${field}` : field);
+}
+
+/**
+ * Creates an opaque continuation token for the position of a result.
+ *
+ * @method createToken
+ * @param {Object} data - Result data
+ * @param {Object[]} keysetSort
+ * @return {String}
+ */
+exports.createToken = function(data, keysetSort) {
+	let values = exports.getValues(data, keysetSort).map((value) => {
+		if (value instanceof Date) return { $date: value.getTime() };
+		if (value && value._bsontype === 'ObjectID') return { $oid: value.toHexString() };
+		return value;
+	});
+	let json = JSON.stringify({ sort: getSortFields(keysetSort), values });
+	return Buffer.from(json).toString('base64');
+};
+
+/**
+ * Parses a continuation token created by `createToken()` .
+ *
+ * @method parseToken
+ * @param {String} token
+ * @param {Object[]} keysetSort - The keyset sort of the query being paged, which must be the same as the one
+ *   the token was created with
+ * @return {Mixed[]} - The sort values in the token
+ */
+exports.parseToken = function(token, keysetSort) {
+	let parsed;
+	try {
+		parsed = JSON.parse(Buffer.from(token, 'base64').toString());
+	} catch (err) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Invalid continuation token', { token }, err);
+	}
+	if (!parsed || !_.isEqual(parsed.sort, getSortFields(keysetSort)) || !Array.isArray(parsed.values)) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Continuation token does not match the query sort', { token });
+	}
+	return parsed.values.map((value) => {
+		if (_.isPlainObject(value) && _.isNumber(value.$date)) return new Date(value.$date);
+		if (_.isPlainObject(value) && _.isString(value.$oid)) return new ObjectID(value.$oid);
+		return value;
+	});
+};
+
+/**
+ * Creates a mongo query matching the results after the given sort values.  Missing and null values sort
+ * before all others, as in mongo.
+ *
+ * @method createRangeQuery
+ * @param {Object[]} keysetSort
+ * @param {Mixed[]} values - Sort values, as returned by `getValues()`
+ * @return {Object} - Mongo query data
+ */
+exports.createRangeQuery = function(keysetSort, values) {
+	let clauses = [];
+	keysetSort.forEach(({ field, direction }, i) => {
+		let value = values[i];
+		let equalities = keysetSort.slice(0, i).map((entry, j) => ({ [entry.field]: values[j] }));
+		let after;
+		if (direction > 0) {
+			after = { [field]: (value === null) ? { $ne: null } : { $gt: value } };
+		} else if (value !== null) {
+			after = { $or: [ { [field]: { $lt: value } }, { [field]: null } ] };
+		}
+		if (after) clauses.push({ $and: equalities.concat([ after ]) });
+	});
+	return clauses.length ? { $or: clauses } : { _id: { $in: [] } };
+};
+
+/**
+ * Compares sort values in the order of a keyset sort.  Missing and null values sort before all others.
+ *
+ * @method compareValues
+ * @param {Mixed[]} values1
+ * @param {Mixed[]} values2
+ * @param {Object[]} keysetSort
+ * @return {Number} - Negative, zero or positive
+ */
+exports.compareValues = function(values1, values2, keysetSort) {
+	for (let i = 0; i < keysetSort.length; i++) {
+		let a = values1[i];
+		let b = values2[i];
+		let result = 0;
+		if (a === null || b === null) {
+			result = (a === null ? 0 : 1) - (b === null ? 0 : 1);
+		} else if (a > b) {
+			result = 1;
+		} else if (b > a) {
+			result = -1;
+		}
+		if (result) return result * keysetSort[i].direction;
+	}
+	return 0;
+};
@@ -0,0 +1,87 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const MongoError = require('../mongo-error');
+
+/**
+ * Utility functions for retrying database calls that fail with transient errors, like network errors and errors
+ * from replica set elections.  A retry policy is an object with the fields of `DEFAULT_POLICY` .
+ *
+ * @class retry
+ * @private
+ * @static
+ */
+
+/**
+ * The retry policy used for fields that aren't set on the database, the model or the call.
+ *
+ * - attempts - Number of times to try a call, including the first one
+ * - backoff - Milliseconds to wait before the first retry
+ * - backoffFactor - Factor the wait grows by for each further retry
+ * - maxBackoff - Maximum milliseconds to wait between retries
+ * - errorClasses - Classes of errors from `MongoError.getErrorClass()` to retry.  Defaults to the classes that
+ *   `MongoError.isRetryable()` considers transient.
+ * - writes - Whether to also retry writes.  Retried writes may be applied twice if the error came after the
+ *   server applied them, so they are only retried if this is set.
+ *
+ * @property DEFAULT_POLICY
+ * @type Object
+ */
+exports.DEFAULT_POLICY = {
+	attempts: 3,
+	backoff: 100,
+	backoffFactor: 2,
+	maxBackoff: 2000,
+	errorClasses: undefined,
+	writes: false
+};
+
+/**
+ * Merges retry policies over the default policy.  Later policies take precedence.
+ *
+ * @method getPolicy
+ * @param {Object} [...policies] - Retry policies, which may be partial or undefined
+ * @return {Object}
+ */
+exports.getPolicy = function(...policies) {
+	return _.assign({}, exports.DEFAULT_POLICY, ...policies);
+};
+
+/**
+ * Returns the milliseconds to wait before a retry.
+ *
+ * @method getDelay
+ * @param {Object} policy
+ * @param {Number} attempt - Number of the attempt that failed, starting at 1
+ * @return {Number}
+ */
+exports.getDelay = function(policy, attempt) {
+	return Math.min(policy.backoff * Math.pow(policy.backoffFactor, attempt - 1), policy.maxBackoff);
+};
+
+/**
+ * Calls a function, and calls it again after a delay while it rejects with an error that the policy retries.
+ *
+ * @method run
+ * @param {Object} policy - Retry policy from `getPolicy()`
+ * @param {Function} fn - Function making the database call.  Should return a promise.
+ * @return {Promise} - Resolves with the result of the first successful call, or rejects with the error of the last
+ *   attempt.
+ */
+exports.run = function(policy, fn) {
+	let attempt = 1;
+	let tryOnce = () => {
+		return Promise.resolve()
+			.then(fn)
+			.catch((err) => {
+				if (attempt >= policy.attempts || !MongoError.isRetryable(err, policy.errorClasses)) throw err;
+				let delay = exports.getDelay(policy, attempt);
+				attempt++;
+				return new Promise((resolve) => setTimeout(resolve, delay))
+					.then(tryOnce);
+			});
+	};
+	return tryOnce();
+};
@@ -8,7 +8,8 @@
 const mongo = require('../../lib');
 
 const config = {
-	uri: 'mongodb://localhost/mongotest',
+	// Set MONGO_TEST_URI=memory://localhost/mongotest to run the tests against the in-memory backend
+	uri: process.env.MONGO_TEST_URI || 'mongodb://localhost/mongotest',
 	nonexistantUri: 'mongodb://localhost:44332/nonexistant'
 };
 
@@ -0,0 +1,161 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const chai = require('chai');
+const XError = require('xerror');
+const { expect } = chai;
+const { MongoDb, MongoDocument } = require('../lib');
+
+chai.use(require('chai-as-promised'));
+
+describe('In-memory backend', function() {
+	let db;
+
+	beforeEach(function() {
+		db = new MongoDb();
+		return db.connect('memory://localhost/memorytest')
+			.then(() => db.dropDatabase());
+	});
+
+	afterEach(function() {
+		return db.close();
+	});
+
+	it('should insert, find and count documents', function() {
+		let model = db.createModel('Animal', { name: String, age: Number });
+		return model.insertMulti([ { name: 'Charles', age: '3' }, { name: 'Rex', age: 5 }, { name: 'Fido', age: 7 } ])
+			.then(() => model.find({ age: { $gte: 4 } }, { sort: [ '-age' ], fields: [ 'name' ] }))
+			.then((docs) => {
+				expect(docs.length).to.equal(2);
+				expect(docs[0]).to.be.an.instanceof(MongoDocument);
+				expect(docs[0].data).to.deep.equal({ name: 'Fido' });
+				expect(docs[1].data).to.deep.equal({ name: 'Rex' });
+				return model.findStream({ name: 'Charles' }).intoArray();
+			})
+			.then((streamed) => {
+				expect(streamed.length).to.equal(1);
+				expect(streamed[0].data.age).to.equal(3);
+				return model.count({ age: { $lt: 7 } });
+			})
+			.then((count) => {
+				expect(count).to.equal(2);
+			});
+	});
+
+	it('should keep data across connections with the same database name', function() {
+		let model = db.createModel('Animal', { name: String });
+		let otherDb = new MongoDb();
+		return model.insert({ name: 'Charles' })
+			.then(() => otherDb.connect('memory://localhost/memorytest'))
+			.then(() => otherDb.createModel('Animal', { name: String }).find({}))
+			.then((docs) => {
+				expect(docs.length).to.equal(1);
+				return otherDb.close();
+			});
+	});
+
+	it('should update, upsert and remove documents', function() {
+		let model = db.createModel('Animal', { name: String, age: Number, tags: [ String ] });
+		return model.insertMulti([ { name: 'Charles', age: 3 }, { name: 'Rex', age: 5 } ])
+			.then(() => model.update({ name: 'Charles' }, { $inc: { age: 1 }, $push: { tags: 'old' } }))
+			.then(() => model.findOne({ name: 'Charles' }))
+			.then((doc) => {
+				expect(doc.data.age).to.equal(4);
+				expect(doc.data.tags).to.deep.equal([ 'old' ]);
+				return model.upsert({ name: 'Fido' }, { $set: { age: 1 } });
+			})
+			.then((upserted) => {
+				expect(upserted.data).to.deep.equal({ name: 'Fido', age: 1 });
+				return model.remove({ age: { $lt: 5 } });
+			})
+			.then(() => model.find({}))
+			.then((docs) => {
+				expect(docs.map((doc) => doc.data.name)).to.deep.equal([ 'Rex' ]);
+			});
+	});
+
+	it('should enforce unique indexes', function() {
+		let model = db.createModel('Animal', { name: { type: String, unique: true } });
+		return model.insert({ name: 'Charles' })
+			.then(() => model.insert({ name: 'Charles' }))
+			.then(() => {
+				throw new XError(XError.INTERNAL_ERROR, 'Expected rejection');
+			}, (err) => {
+				expect(err.code).to.equal(11000);
+			});
+	});
+
+	it('should detect __rev conflicts when saving documents', function() {
+		let model = db.createModel('Animal', { name: String });
+		let doc, otherCopy;
+		return model.insert({ name: 'Charles' })
+			.then((_doc) => {
+				doc = _doc;
+				return model.findOne({ name: 'Charles' });
+			})
+			.then((_otherCopy) => {
+				otherCopy = _otherCopy;
+				doc.data.name = 'Rex';
+				return doc.save();
+			})
+			.then(() => {
+				otherCopy.data.name = 'Fido';
+				return otherCopy.save();
+			})
+			.then(() => {
+				throw new XError(XError.INTERNAL_ERROR, 'Expected rejection');
+			}, (err) => {
+				expect(err.code).to.equal(XError.CONFLICT);
+			});
+	});
+
+	it('should run aggregates', function() {
+		let model = db.createModel('Animal', { name: String, age: Number, born: Date });
+		return model.insertMulti([
+			{ name: 'Charles', age: 3, born: new Date('2015-03-01T00:00:00Z') },
+			{ name: 'Rex', age: 5, born: new Date('2015-07-01T00:00:00Z') },
+			{ name: 'Fido', age: 12, born: new Date('2016-01-01T00:00:00Z') }
+		])
+			.then(() => model.aggregateMulti({}, {
+				stats: { stats: { age: { avg: true, max: true, count: true } }, total: true },
+				byYear: { groupBy: { field: 'born', timeComponent: 'year' }, total: true },
+				byAge: { groupBy: { field: 'age', ranges: [ { end: 5 }, { start: 5 } ] }, total: true }
+			}))
+			.then((results) => {
+				expect(results.stats).to.deep.equal({ stats: { age: { avg: 20 / 3, max: 12, count: 3 } }, total: 3 });
+				expect(results.byYear).to.deep.equal([
+					{ key: [ '2015-01-01T00:00:00Z' ], total: 2 },
+					{ key: [ '2016-01-01T00:00:00Z' ], total: 1 }
+				]);
+				expect(results.byAge).to.deep.equal([
+					{ key: [ 0 ], total: 1 },
+					{ key: [ 1 ], total: 2 }
+				]);
+			});
+	});
+
+	it('should roll back transactions that fail', function() {
+		let model = db.createModel('Animal', { name: String });
+		return model.insert({ name: 'Charles' })
+			.then(() => {
+				return expect(db.withTransaction(() => {
+					return model.insert({ name: 'Rex' })
+						.then(() => model.remove({ name: 'Charles' }))
+						.then(() => {
+							throw new XError(XError.INTERNAL_ERROR, 'Oops');
+						});
+				})).to.be.rejectedWith(XError);
+			})
+			.then(() => model.find({}))
+			.then((docs) => {
+				expect(docs.map((doc) => doc.data.name)).to.deep.equal([ 'Charles' ]);
+				return db.withTransaction(() => model.insert({ name: 'Rex' }));
+			})
+			.then(() => model.count({}))
+			.then((count) => {
+				expect(count).to.equal(2);
+			});
+	});
+
+});
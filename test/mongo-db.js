@@ -2,15 +2,19 @@
 // Licensed under the Apache License, Version 2.0
 // http://www.apache.org/licenses/LICENSE-2.0
 
-const { MongoDb, MongoError } = require('../lib');
+const { MongoDb, MongoError, MongoModel } = require('../lib');
+const MemoryClient = require('../lib/memory/memory-client');
 const chai = require('chai');
 const sinon = require('sinon');
 const sinonChai = require('sinon-chai');
 const { expect } = chai;
+const { EventEmitter } = require('events');
 const pasync = require('pasync');
+const XError = require('xerror');
 const testScaffold = require('./lib/mongo-scaffold');
 const opUtils = require('../lib/utils/ops');
 chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
 
 describe('MongoDb', function() {
 	let sandbox;
@@ -51,6 +55,384 @@ describe('MongoDb', function() {
 		testdb.connect(testScaffold.config.nonexistantUri);
 	});
 
+	describe('#withTransaction', function() {
+		let session;
+
+		beforeEach(function() {
+			testdb = new MongoDb();
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => {
+					session = {
+						withTransaction: sinon.spy((fn) => fn()),
+						endSession: sinon.spy()
+					};
+					sinon.stub(testdb.client, 'startSession').returns(session);
+				});
+		});
+
+		it('runs the callback in a session and resolves with its result', function() {
+			let model = testdb.createModel('Foo', { foo: String }, { initialize: false });
+			return testdb.withTransaction((txSession) => {
+				expect(txSession).to.equal(session);
+				return Promise.resolve()
+					.then(() => {
+						expect(testdb.getCurrentSession()).to.equal(session);
+						expect(model._addSessionOption({}, {})).to.deep.equal({ session });
+						return 'result';
+					});
+			})
+				.then((result) => {
+					expect(result).to.equal('result');
+					expect(session.withTransaction).to.be.calledOnce;
+					expect(session.endSession).to.be.calledOnce;
+					expect(testdb.getCurrentSession()).to.be.undefined;
+					expect(model._addSessionOption({}, {})).to.deep.equal({});
+				});
+		});
+
+		it('ends the session and rejects when the callback rejects', function() {
+			return testdb.withTransaction(() => Promise.reject(new Error('Oops')))
+				.then(() => {
+					throw new Error('Expected rejection');
+				}, (err) => {
+					expect(err.message).to.equal('Oops');
+					expect(session.endSession).to.be.calledOnce;
+				});
+		});
+	});
+
+	describe('#useDb', function() {
+		beforeEach(function() {
+			testdb = new MongoDb();
+		});
+
+		it('returns the same child database for the same name', function() {
+			let child = testdb.useDb('mongotest_child');
+			expect(child).to.be.an.instanceof(MongoDb);
+			expect(child.parent).to.equal(testdb);
+			expect(child.databaseName).to.equal('mongotest_child');
+			expect(testdb.useDb('mongotest_child')).to.equal(child);
+			expect(child.useDb('mongotest_child')).to.equal(child);
+			expect(() => testdb.useDb('')).to.throw(XError);
+		});
+
+		it('connects child databases using the connection of the parent', function() {
+			let child = testdb.useDb('mongotest_child');
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => child.dbPromise)
+				.then((db) => {
+					expect(db).to.equal(child.db);
+					expect(child.client).to.equal(testdb.client);
+					expect(child.db.databaseName).to.equal('mongotest_child');
+					expect(testdb.useDb('mongotest_other').db.databaseName).to.equal('mongotest_other');
+					expect(() => child.connect(testScaffold.config.uri)).to.throw(XError);
+				});
+		});
+
+		it('copies models registered to the parent into the child database', function() {
+			let Animal = testdb.createModel('Animal', { name: { type: String, index: true } });
+			testdb.model(Animal);
+			let child = testdb.useDb('mongotest_child');
+			let ChildAnimal = child.model('Animal');
+			expect(ChildAnimal).to.not.equal(Animal);
+			expect(child.model('Animal')).to.equal(ChildAnimal);
+			expect(ChildAnimal.db).to.equal(child);
+			expect(ChildAnimal.getIndexes()).to.deep.equal(Animal.getIndexes());
+			expect(() => child.model('Plant')).to.throw(XError);
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => ChildAnimal.insert({ name: 'Rex' }))
+				.then(() => ChildAnimal.count({}))
+				.then((count) => expect(count).to.equal(1))
+				.then(() => Animal.count({}))
+				.then((count) => expect(count).to.equal(0))
+				.then(() => child.dropDatabase());
+		});
+
+		it('copies only the schema indexes of models into the child database', function() {
+			let Animal;
+			return testdb.connect(testScaffold.config.uri, { autoCreateIndex: false })
+				.then(() => testdb.db.collection('animal').createIndex({ legs: 1 }))
+				.then(() => {
+					Animal = testdb.createModel('Animal', { name: { type: String, index: true }, legs: Number });
+					testdb.model(Animal);
+					return Animal.collectionPromise;
+				})
+				.then(() => {
+					expect(Animal.getIndexes().map((index) => index.name)).to.include('legs_1');
+					let ChildAnimal = testdb.useDb('mongotest_child').model('Animal');
+					expect(ChildAnimal.getIndexes()).to.deep.equal([
+						{ spec: { name: 1 }, options: {} }
+					]);
+				})
+				.then(() => testdb.dropDatabase());
+		});
+
+		it('disconnects child databases when the parent is closed', function() {
+			let child = testdb.useDb('mongotest_child');
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => testdb.close())
+				.then(() => {
+					testdb = undefined;
+					expect(child.db).to.equal(null);
+					expect(child.client).to.equal(null);
+				});
+		});
+	});
+
+	describe('connection state', function() {
+		let client;
+		let topologyEvents;
+
+		function createDescription(serverTypes) {
+			let servers = new Map();
+			serverTypes.forEach((type, i) => servers.set(`host${i}:27017`, { type }));
+			return { servers };
+		}
+
+		function changeTopology(serverTypes) {
+			topologyEvents.emit('topologyDescriptionChanged', { newDescription: createDescription(serverTypes) });
+		}
+
+		beforeEach(function() {
+			// Give an in-memory client the topology monitoring of the driver's unified topology
+			client = new MemoryClient('mongotest');
+			topologyEvents = new EventEmitter();
+			client.on = topologyEvents.on.bind(topologyEvents);
+			client.removeListener = topologyEvents.removeListener.bind(topologyEvents);
+			client.topology = { description: createDescription([ 'RSPrimary', 'RSSecondary', 'RSSecondary' ]) };
+			sandbox.stub(MemoryClient, 'connect').resolves(client);
+			testdb = new MongoDb();
+		});
+
+		it('is disconnected before connecting', function() {
+			expect(testdb.getState()).to.deep.equal({ state: 'disconnected', primary: false, secondaries: 0 });
+			return expect(testdb.ping()).to.be.rejectedWith(MongoError);
+		});
+
+		it('reports the state of the topology', function() {
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => {
+					expect(testdb.getState()).to.deep.equal({ state: 'connected', primary: true, secondaries: 2 });
+					expect(testdb.numReplicas).to.equal(2);
+					changeTopology([ 'Unknown', 'RSSecondary', 'RSSecondary' ]);
+					expect(testdb.getState()).to.deep.equal({ state: 'degraded', primary: false, secondaries: 2 });
+					changeTopology([ 'Unknown', 'Unknown', 'Unknown' ]);
+					expect(testdb.getState()).to.deep.equal({ state: 'disconnected', primary: false, secondaries: 0 });
+					changeTopology([ 'Standalone' ]);
+					expect(testdb.getState()).to.deep.equal({ state: 'connected', primary: true, secondaries: 0 });
+				});
+		});
+
+		it('emits topologyChange, connect and disconnect events', function() {
+			let events = [];
+			let child = testdb.useDb('mongotest_child');
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => {
+					testdb.on('topologyChange', (state, previousState) => {
+						events.push([ 'topologyChange', state.state, previousState.state ]);
+					});
+					testdb.on('connect', () => events.push([ 'connect' ]));
+					testdb.on('disconnect', (reason) => events.push([ 'disconnect', reason ]));
+					child.on('disconnect', (reason) => events.push([ 'child disconnect', reason ]));
+					changeTopology([ 'RSPrimary', 'RSSecondary', 'RSSecondary' ]);
+					changeTopology([ 'RSPrimary', 'RSSecondary', 'Unknown' ]);
+					changeTopology([ 'Unknown', 'Unknown', 'Unknown' ]);
+					changeTopology([ 'RSSecondary', 'RSPrimary', 'Unknown' ]);
+					expect(child.getState()).to.deep.equal(testdb.getState());
+					expect(events).to.deep.equal([
+						[ 'topologyChange', 'connected', 'connected' ],
+						[ 'topologyChange', 'disconnected', 'connected' ],
+						[ 'disconnect', 'No reachable servers' ],
+						[ 'child disconnect', 'No reachable servers' ],
+						[ 'topologyChange', 'connected', 'disconnected' ],
+						[ 'connect' ]
+					]);
+					events = [];
+					return testdb.close();
+				})
+				.then(() => {
+					testdb = undefined;
+					expect(events).to.deep.equal([
+						[ 'child disconnect', 'Connection closed' ],
+						[ 'topologyChange', 'disconnected', 'connected' ],
+						[ 'disconnect', 'Connection closed' ]
+					]);
+				});
+		});
+
+		it('allows overriding the number of replicas until reconnecting', function() {
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => {
+					testdb.numReplicas = 0;
+					expect(testdb.numReplicas).to.equal(0);
+					changeTopology([ 'RSPrimary', 'RSSecondary', 'RSSecondary' ]);
+					expect(testdb.numReplicas).to.equal(0);
+					expect(testdb.getState().secondaries).to.equal(2);
+					return testdb.close();
+				})
+				.then(() => testdb.connect(testScaffold.config.uri))
+				.then(() => {
+					expect(testdb.numReplicas).to.equal(2);
+				});
+		});
+
+		it('ignores topology changes after closing', function() {
+			let db = testdb;
+			return db.connect(testScaffold.config.uri)
+				.then(() => db.close())
+				.then(() => {
+					testdb = undefined;
+					expect(topologyEvents.listenerCount('topologyDescriptionChanged')).to.equal(0);
+					changeTopology([ 'RSPrimary', 'RSSecondary' ]);
+					expect(db.getState()).to.deep.equal({ state: 'disconnected', primary: false, secondaries: 0 });
+				});
+		});
+
+		it('uses the live secondary count for the roundRobin read preference', function() {
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => {
+					changeTopology([ 'RSPrimary', 'Unknown', 'Unknown' ]);
+					for (let i = 0; i < 10; i++) {
+						let options = MongoModel._transformMongoOptions({ readPreference: 'roundRobin' }, testdb);
+						expect(options.readPreference).to.equal('primaryPreferred');
+					}
+				});
+		});
+
+		it('pings the server', function() {
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => testdb.ping({ timeout: 1000 }))
+				.then((result) => {
+					expect(result).to.include({ state: 'connected', primary: true, secondaries: 2 });
+					expect(result.latency).to.be.a('number');
+				});
+		});
+
+		it('rejects a ping that times out', function() {
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => {
+					sandbox.stub(testdb.db, 'admin').returns({ command: () => new Promise(() => {}) });
+					return expect(testdb.ping({ timeout: 10 })).to.be.rejectedWith(MongoError, 'timed out');
+				});
+		});
+	});
+
+	describe('#close with drain', function() {
+		let Animal;
+		let release;
+		let blocker;
+
+		beforeEach(function() {
+			testdb = new MongoDb();
+			Animal = testdb.createModel('DrainAnimal', { name: String, age: Number });
+			blocker = new Promise((resolve) => {
+				release = resolve;
+			});
+			return testdb.connect(testScaffold.config.uri)
+				.then(() => Animal.remove({}))
+				.then(() => Animal.insertMulti([ { name: 'Rex', age: 1 }, { name: 'Fido', age: 2 } ]));
+		});
+
+		it('waits for operations in progress and rejects new ones', function() {
+			let closed = false;
+			Animal.hook('pre-update', () => {
+				// Operations that are part of the one in progress still run
+				return blocker.then(() => Animal.count({}));
+			});
+			let updatePromise = Animal.update({ name: 'Rex' }, { $set: { age: 5 } });
+			let closePromise;
+			return new Promise((resolve) => setImmediate(resolve))
+				.then(() => {
+					closePromise = testdb.close({ drain: true }).then(() => {
+						closed = true;
+					});
+					return expect(Animal.find({})).to.be.rejectedWith(MongoError, 'closing');
+				})
+				.then(() => {
+					expect(closed).to.equal(false);
+					release();
+					return updatePromise;
+				})
+				.then(() => closePromise)
+				.then(() => {
+					testdb = undefined;
+					expect(closed).to.equal(true);
+				});
+		});
+
+		it('waits for result streams to be read', function() {
+			let closed = false;
+			let stream = Animal.findStream({});
+			let closePromise;
+			return new Promise((resolve) => setImmediate(resolve))
+				.then(() => {
+					closePromise = testdb.close({ drain: true }).then(() => {
+						closed = true;
+					});
+					return new Promise((resolve) => setTimeout(resolve, 10));
+				})
+				.then(() => {
+					expect(closed).to.equal(false);
+					return stream.intoArray();
+				})
+				.then((docs) => {
+					expect(docs).to.have.length(2);
+					return closePromise;
+				})
+				.then(() => {
+					testdb = undefined;
+					expect(closed).to.equal(true);
+				});
+		});
+
+		it('stops waiting for result streams that fail', function() {
+			sandbox.stub(Animal, '_createExisting').throws(new XError(XError.INTERNAL_ERROR, 'Oops'));
+			let failedStream = Animal.findStream({});
+			let erroredStream = Animal.findStream({});
+			erroredStream.on('error', () => {});
+			return new Promise((resolve) => {
+				// Ignoring the chain error keeps the stream from ending or being aborted
+				failedStream.on('chainerror', function(err) {
+					expect(err.message).to.equal('Oops');
+					this.ignoreError();
+					resolve();
+				});
+				failedStream.resume();
+			})
+				.then(() => erroredStream.emit('error', new XError(XError.INTERNAL_ERROR, 'Oops')))
+				.then(() => Promise.race([
+					testdb.close({ drain: true }),
+					new Promise((resolve, reject) => {
+						setTimeout(() => reject(new Error('close() is still waiting for the streams')), 1000).unref();
+					})
+				]))
+				.then(() => {
+					testdb = undefined;
+				});
+		});
+
+		it('kills operations still running after the timeout', function() {
+			sandbox.stub(testdb, 'killOperation').resolves();
+			Animal.hook('pre-update', () => blocker);
+			Animal.update({ name: 'Rex' }, { $set: { age: 5 } }, { operationId: 'slow-update' });
+			Animal.update({ name: 'Fido' }, { $set: { age: 5 } });
+			return new Promise((resolve) => setImmediate(resolve))
+				.then(() => testdb.close({ drain: true, timeout: 10 }))
+				.then(() => {
+					expect(testdb.killOperation).to.be.calledOnce;
+					expect(testdb.killOperation).to.be.calledWith('slow-update');
+					release();
+				});
+		});
+
+		it('accepts operations again after reconnecting', function() {
+			return testdb.close({ drain: true })
+				.then(() => testdb.connect(testScaffold.config.uri))
+				.then(() => Animal.count({}))
+				.then((count) => expect(count).to.equal(2));
+		});
+	});
+
 	describe('#killOperation', function() {
 		it('gets ids of ops with matching commments and kills them', function() {
 			testdb = new MongoDb();
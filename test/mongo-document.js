@@ -336,4 +336,159 @@ describe('MongoDocument', function() {
 		expect(d.data._id).to.equal('xxx');
 	});
 
+	describe('reload', function() {
+
+		it('should refresh the document after a conflict', async function() {
+			let model = createModel('testings', { id: String, foo: String, bar: String });
+			await model.insert({ id: 'a', foo: 'foo', bar: 'bar' });
+			let doc1 = await model.findOne({ id: 'a' });
+			let doc2 = await model.findOne({ id: 'a' });
+			doc1.data.foo = 'foo1';
+			await doc1.save();
+
+			doc2.data.bar = 'bar2';
+			await expect(doc2.save()).to.be.rejectedWith(XError, /updated elsewhere/);
+			expect(await doc2.reload()).to.equal(doc2);
+			expect(doc2.data).to.deep.equal({ id: 'a', foo: 'foo1', bar: 'bar' });
+			expect(doc2._revisionNumber).to.equal(doc1._revisionNumber);
+
+			doc2.data.bar = 'bar2';
+			await doc2.save();
+			expect((await model.findOne({ id: 'a' })).data).to.deep.equal({ id: 'a', foo: 'foo1', bar: 'bar2' });
+		});
+
+		it('should widen and narrow the fields of partial documents', async function() {
+			let model = createModel('testings', { id: String, foo: String, bar: String });
+			await model.insert({ id: 'a', foo: 'foo', bar: 'bar' });
+			let doc = await model.findOne({ id: 'a' }, { fields: [ 'id', 'foo' ] });
+			expect(doc.isPartial()).to.be.true;
+
+			await doc.reload();
+			expect(doc.data).to.deep.equal({ id: 'a', foo: 'foo' });
+			expect(doc.isPartial()).to.be.true;
+
+			await doc.reload({ fields: null });
+			expect(doc.data).to.deep.equal({ id: 'a', foo: 'foo', bar: 'bar' });
+			expect(doc.isPartial()).to.be.false;
+			expect(doc.fields).to.not.exist;
+
+			await doc.reload({ fields: [ 'id', 'bar' ] });
+			expect(doc.data).to.deep.equal({ id: 'a', bar: 'bar' });
+			expect(doc.isPartial()).to.be.true;
+		});
+
+		it('should reject if the document no longer exists or was never saved', async function() {
+			let model = createModel('testings', { id: String, foo: String });
+			await model.insert({ id: 'a', foo: 'foo' });
+			let doc = await model.findOne({ id: 'a' });
+			await model.remove({ id: 'a' });
+			await expect(doc.reload()).to.be.rejectedWith(XError, /No matching document/);
+			await expect(model.create({ id: 'b' }).reload()).to.be.rejectedWith(XError, /not been saved/);
+		});
+
+	});
+
+	describe('retryOnConflict', function() {
+
+		it('should reject with a conflict without retries', async function() {
+			let model = createModel('testings', { id: String, foo: String, bar: String });
+			await model.insert({ id: 'a', foo: 'foo', bar: 'bar' });
+			let doc1 = await model.findOne({ id: 'a' });
+			let doc2 = await model.findOne({ id: 'a' });
+			doc1.data.foo = 'foo1';
+			await doc1.save();
+			doc2.data.bar = 'bar2';
+			await expect(doc2.save()).to.be.rejectedWith(XError, /updated elsewhere/);
+		});
+
+		it('should merge changed fields into the latest version and retry', async function() {
+			let model = createModel('testings', {
+				id: String,
+				foo: String,
+				bar: String,
+				baz: { x: Number, y: Number },
+				tags: [ String ]
+			});
+			await model.insert({ id: 'a', foo: 'foo', bar: 'bar', baz: { x: 1, y: 1 }, tags: [ 'a' ] });
+			let doc1 = await model.findOne({ id: 'a' });
+			let doc2 = await model.findOne({ id: 'a' });
+			doc1.data.foo = 'foo1';
+			doc1.data.baz.x = 2;
+			doc1.data.tags.push('b');
+			await doc1.save();
+
+			doc2.data.bar = 'bar2';
+			doc2.data.baz.y = 3;
+			await doc2.save({ retryOnConflict: 2, retryDelay: 1 });
+			expect(doc2.data).to.deep.equal({
+				id: 'a',
+				foo: 'foo1',
+				bar: 'bar2',
+				baz: { x: 2, y: 3 },
+				tags: [ 'a', 'b' ]
+			});
+			expect(doc2._revisionNumber).to.equal(2);
+
+			let latest = await model.findOne({ id: 'a' });
+			expect(latest.data).to.deep.equal(doc2.data);
+		});
+
+		it('should use a custom merge function', async function() {
+			let model = createModel('testings', { id: String, count: Number });
+			await model.insert({ id: 'a', count: 1 });
+			let doc1 = await model.findOne({ id: 'a' });
+			let doc2 = await model.findOne({ id: 'a' });
+			doc1.data.count += 1;
+			await doc1.save();
+
+			doc2.data.count += 1;
+			await doc2.save({
+				retryOnConflict: 1,
+				retryDelay: 1,
+				merge: (latestDoc, myDoc) => {
+					latestDoc.data.count += myDoc.data.count - myDoc._originalData.count;
+				}
+			});
+			expect((await model.findOne({ id: 'a' })).data.count).to.equal(3);
+		});
+
+		it('should reject with the first conflict once retries run out', async function() {
+			let model = createModel('testings', { id: String, count: Number });
+			await model.insert({ id: 'a', count: 1 });
+			let doc = await model.findOne({ id: 'a' });
+			doc.data.count = 5;
+			let updateElsewhere = async() => {
+				let other = await model.findOne({ id: 'a' });
+				other.data.count += 1;
+				await other.save();
+			};
+			let merges = 0;
+			let merge = async(latestDoc) => {
+				merges++;
+				// Another writer updates the document again before each retry
+				await updateElsewhere();
+				latestDoc.data.count = 5;
+			};
+			await updateElsewhere();
+
+			let err = await doc.save({ retryOnConflict: 2, retryDelay: 1, merge }).then(() => null, (err) => err);
+			expect(err).to.be.an.instanceof(XError);
+			expect(err.code).to.equal(XError.CONFLICT);
+			expect(merges).to.equal(2);
+			expect((await model.findOne({ id: 'a' })).data.count).to.equal(4);
+		});
+
+		it('should not retry if the document was removed', async function() {
+			let model = createModel('testings', { id: String, count: Number });
+			await model.insert({ id: 'a', count: 1 });
+			let doc1 = await model.findOne({ id: 'a' });
+			let doc2 = await model.findOne({ id: 'a' });
+			await doc1.remove();
+			doc2.data.count = 2;
+			await expect(doc2.save({ retryOnConflict: 3, retryDelay: 1 }))
+				.to.be.rejectedWith(XError, /updated elsewhere/);
+		});
+
+	});
+
 });
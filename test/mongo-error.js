@@ -7,6 +7,7 @@ const expect = chai.expect;
 const { MongoError, createModel } = require('../lib');
 const testScaffold = require('./lib/mongo-scaffold');
 const XError = require('xerror');
+const mongodb = require('mongodb');
 
 chai.use(require('chai-as-promised'));
 
@@ -80,4 +81,30 @@ describe('MongoError', function() {
 		throw new XError(XError.INTERNAL_ERROR, 'Expected rejection');
 	});
 
+	it('should classify transient errors', function() {
+		let createDriverError = (message, code) => {
+			let err = new mongodb.MongoError(message);
+			if (code) err.code = code;
+			return err;
+		};
+		let networkError = new mongodb.MongoNetworkError('connection reset');
+		let notPrimaryError = createDriverError('not master', 10107);
+		let timeoutError = createDriverError('operation exceeded time limit', 50);
+		let otherError = createDriverError('bad value', 2);
+
+		expect(MongoError.getErrorClass(networkError)).to.equal('network');
+		expect(MongoError.getErrorClass(MongoError.fromMongoError(networkError))).to.equal('network');
+		expect(MongoError.getErrorClass(MongoError.fromMongoError(notPrimaryError))).to.equal('notPrimary');
+		expect(MongoError.getErrorClass(MongoError.fromMongoError(timeoutError))).to.equal('timeout');
+		expect(MongoError.getErrorClass(MongoError.fromMongoError(otherError))).to.equal(null);
+		expect(MongoError.getErrorClass(new XError(XError.INTERNAL_ERROR))).to.equal(null);
+
+		expect(MongoError.isRetryable(MongoError.fromMongoError(networkError))).to.equal(true);
+		expect(MongoError.isRetryable(notPrimaryError)).to.equal(true);
+		expect(MongoError.isRetryable(timeoutError)).to.equal(false);
+		expect(MongoError.isRetryable(timeoutError, [ 'timeout' ])).to.equal(true);
+		expect(MongoError.isRetryable(networkError, [ 'timeout' ])).to.equal(false);
+		expect(MongoError.isRetryable(otherError)).to.equal(false);
+	});
+
 });
@@ -285,6 +285,31 @@ describe('MongoModel (Map Support)', function() {
 			});
 		});
 
+		it('should explain which indexed map fields a query uses', function() {
+			let Model = createModel('Testings', {
+				aggrs: map({}, {
+					orderTotal: map({}, {
+						count: Number,
+						total: { type: Number, index: true }
+					})
+				})
+			});
+			return Model.collectionPromise
+				.then(() => Model.explain({
+					'aggrs.zs.orderTotal.2014.total': 4,
+					$or: [ { 'aggrs.zs.orderTotal.2014.count': 3 }, { 'aggrs.zs.orderTotal.2014.total': 5 } ]
+				}))
+				.then((explanation) => {
+					expect(explanation.query[hash('aggrs|orderTotal^total')])
+						.to.equal(bson.serialize([ 'zs', '2014', 4 ]).toString());
+					expect(explanation.mapIndexFields).to.deep.equal([ hash('aggrs|orderTotal^total') ]);
+					return Model.explain({ 'aggrs.zs.orderTotal.2014.count': 3 });
+				})
+				.then((explanation) => {
+					expect(explanation.mapIndexFields).to.deep.equal([]);
+				});
+		});
+
 	});
 
 	describe('schema', function() {
@@ -6,11 +6,14 @@ const _ = require('lodash');
 const chai = require('chai');
 const XError = require('xerror');
 const { expect } = chai;
-const { MongoDocument, MongoModel, createModel } = require('../lib');
+const { MongoDocument, MongoModel, MongoError, createModel } = require('../lib');
+const { MongoNetworkError } = require('mongodb');
 const testScaffold = require('./lib/mongo-scaffold');
 const { map } = require('common-schema');
-const { createQuery, createUpdate } = require('common-query');
+const { createQuery, createUpdate, Query, Aggregate } = require('common-query');
 const sinon = require('sinon');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('zstreams');
 
 chai.use(require('chai-as-promised'));
 
@@ -81,6 +84,78 @@ describe('MongoModel', function() {
 		]);
 	});
 
+	it('should recognize TTL, partial filter and collation index options', function() {
+		let model = createModel('Testings', {
+			expires: { type: Date, expireAfterSeconds: 3600 },
+			username: {
+				type: String,
+				unique: true,
+				collation: { locale: 'en', strength: 2 },
+				partialFilterExpression: { active: true, age: { $gte: '18' } }
+			},
+			active: Boolean,
+			age: Number
+		}, {
+			initialize: false
+		});
+		expect(model.getIndexes()).to.deep.equal([
+			{ spec: { expires: 1 }, options: { expireAfterSeconds: 3600 } },
+			{
+				spec: { username: 1 },
+				options: {
+					unique: true,
+					collation: { locale: 'en', strength: 2 },
+					partialFilterExpression: { active: true, age: { $gte: 18 } }
+				}
+			}
+		]);
+
+		expect(() => createModel('Testings', { foo: { type: String, expireAfterSeconds: 60 } }, { initialize: false }))
+			.to.throw(XError);
+		expect(() => model.index({ expires: 1, age: 1 }, { expireAfterSeconds: 60 })).to.throw(XError);
+	});
+
+	it('should combine text indexed fields into a single weighted text index', function() {
+		let model = createModel('Testings', {
+			title: { type: String, index: 'text' },
+			body: { type: String, index: { indexType: 'text', weight: 5 } },
+			tags: [ { type: String, index: 'text' } ],
+			category: { type: String, index: true }
+		}, { initialize: false });
+
+		expect(model.getIndexes()).to.deep.equal([
+			{ spec: { category: 1 }, options: {} },
+			{
+				spec: { title: 'text', body: 'text', tags: 'text' },
+				options: { weights: { title: 1, body: 5, tags: 1 } }
+			}
+		]);
+	});
+
+	it('should create indexes with TTL, partial filter and collation options', function() {
+		let model = createModel('Testings', {
+			expires: { type: Date, expireAfterSeconds: 3600 },
+			username: {
+				type: String,
+				index: true,
+				collation: { locale: 'en', strength: 2 },
+				partialFilterExpression: { age: { $gte: '18' } }
+			},
+			age: Number
+		});
+
+		return model.collectionPromise
+			.then((collection) => collection.indexes())
+			.then((indexes) => {
+				indexes = _.keyBy(indexes, 'name');
+				expect(indexes.expires_1.expireAfterSeconds).to.equal(3600);
+				expect(indexes.username_1.partialFilterExpression).to.deep.equal({ age: { $gte: 18 } });
+				expect(indexes.username_1.collation).to.include({ locale: 'en', strength: 2 });
+				expect(model.hasIndex(indexes.expires_1)).to.be.true;
+				expect(model.hasIndex(indexes.username_1)).to.be.true;
+			});
+	});
+
 	it('should convert nested geopoint indexes to 2dsphere', function() {
 		let model = createModel('Testings', {
 			foo: { type: 'geopoint', index: true },
@@ -395,6 +470,202 @@ describe('MongoModel', function() {
 			});
 	});
 
+	it('should compare index options in hasIndex', function() {
+		let model = createModel('Testings', {
+			foo: { type: String, unique: true },
+			bar: Date,
+			baz: String
+		}, { initialize: false });
+		model.index({ bar: 1 }, { expireAfterSeconds: 60, partialFilterExpression: { baz: 'a' } });
+		model.index({ baz: 1 }, { collation: { locale: 'en', strength: 2 } });
+
+		expect(model.hasIndex({ key: { foo: 1 }, unique: true })).to.be.true;
+		expect(model.hasIndex({ key: { foo: 1 } })).to.be.false;
+		expect(model.hasIndex({ key: { foo: 1 }, unique: true, sparse: true })).to.be.false;
+		expect(model.hasIndex({
+			key: { bar: 1 },
+			expireAfterSeconds: 60,
+			partialFilterExpression: { baz: 'a' }
+		})).to.be.true;
+		expect(model.hasIndex({ key: { bar: 1 }, expireAfterSeconds: 120, partialFilterExpression: { baz: 'a' } }))
+			.to.be.false;
+		expect(model.hasIndex({ key: { bar: 1 }, expireAfterSeconds: 60 })).to.be.false;
+		expect(model.hasIndex({
+			key: { baz: 1 },
+			collation: { locale: 'en', caseLevel: false, strength: 2, numericOrdering: false }
+		})).to.be.true;
+		expect(model.hasIndex({ key: { baz: 1 }, collation: { locale: 'en', strength: 3 } })).to.be.false;
+		expect(model.hasIndex({ key: { baz: 1 } })).to.be.false;
+	});
+
+	it('should not modify the options given to index', function() {
+		let model = createModel('Testings', { foo: String, age: Number }, { initialize: false });
+		let options = { partialFilterExpression: { age: { $gte: '18' } } };
+		model.index({ foo: 1 }, options);
+		expect(options).to.deep.equal({ partialFilterExpression: { age: { $gte: '18' } } });
+		expect(model.getIndexes()[0].options).to.deep.equal({ partialFilterExpression: { age: { $gte: 18 } } });
+	});
+
+	it('should rebuild indexes whose options changed when calling synchronizeIndexes', function() {
+		return testScaffold.close()
+			.then(() => testScaffold.connect({ autoCreateIndex: false }))
+			.then(() => {
+				let model1 = createModel('Testings', {
+					foo: { type: String, index: true },
+					bar: { type: String, index: true },
+					baz: { type: String, index: true }
+				});
+
+				let model2 = createModel('Testings', {
+					foo: { type: String, unique: true },
+					bar: { type: String, index: true, sparse: true },
+					baz: { type: String, index: true }
+				});
+				let indexRebuildSpy = sinon.spy();
+
+				return Promise.all([ model1.collectionPromise, model2.collectionPromise ])
+					.then(() => model1.ensureIndexes())
+					.then(() => model2.db.on('indexRebuild', indexRebuildSpy))
+					.then(() => model2.synchronizeIndexes())
+					.then(() => {
+						model2.db.removeListener('indexRebuild', indexRebuildSpy);
+						expect(indexRebuildSpy.callCount).to.equal(2);
+						let rebuilds = _.sortBy(_.map(indexRebuildSpy.args, 0), 'name');
+						expect(rebuilds).to.deep.equal([
+							{
+								name: 'bar_1',
+								spec: { bar: 1 },
+								options: { sparse: true },
+								reason: 'optionMismatch',
+								mismatchedOptions: [ 'sparse' ]
+							},
+							{
+								name: 'foo_1',
+								spec: { foo: 1 },
+								options: { unique: true },
+								reason: 'optionMismatch',
+								mismatchedOptions: [ 'unique' ]
+							}
+						]);
+						expect(indexRebuildSpy.firstCall.args[1]).to.equal(model2);
+						return checkIndexes(model2);
+					})
+					.then(() => {
+						let indexes = _.keyBy(model2.indexes, 'name');
+						expect(indexes.foo_1.unique).to.be.true;
+						expect(indexes.bar_1.sparse).to.be.true;
+						expect(indexes.baz_1.unique).to.not.exist;
+					});
+			});
+	});
+
+	it('should plan index changes without applying them when calling planIndexChanges', function() {
+		return testScaffold.close()
+			.then(() => testScaffold.connect({ autoCreateIndex: false }))
+			.then(() => {
+				let model1 = createModel('Testings', {
+					foo: { type: String, index: true },
+					baz: { type: String, index: true },
+					qux: { type: String, index: true }
+				});
+
+				let model2 = createModel('Testings', {
+					foo: { type: String, index: true },
+					bar: String,
+					qux: { type: String, unique: true },
+					zap: { type: String, index: true }
+				});
+				model2.index({ foo: 1, bar: 1 });
+
+				return model2.collectionPromise
+					.then(() => model1.ensureIndexes())
+					.then(() => model2.planIndexChanges())
+					.then((plan) => {
+						expect(plan.create).to.deep.equal([
+							{ spec: { zap: 1 }, options: {}, reason: 'missing' },
+							{ spec: { foo: 1, bar: 1 }, options: {}, reason: 'missing' }
+						]);
+						expect(_.sortBy(plan.drop, 'name')).to.deep.equal([
+							{ name: 'baz_1', spec: { baz: 1 }, reason: 'notInSchema' },
+							{ name: 'foo_1', spec: { foo: 1 }, reason: 'redundantPrefix', prefixOf: { foo: 1, bar: 1 } }
+						]);
+						expect(plan.rebuild).to.deep.equal([ {
+							name: 'qux_1',
+							spec: { qux: 1 },
+							options: { unique: true },
+							reason: 'optionMismatch',
+							mismatchedOptions: [ 'unique' ]
+						} ]);
+					})
+					.then(() => model1.db.model(model2))
+					.then(() => model1.db.planIndexChanges())
+					.then((plans) => {
+						expect(plans).to.have.property('Testings');
+						expect(plans.Testings.create).to.have.length(2);
+					})
+					.then(() => model2.collectionPromise)
+					.then((collection) => collection.indexes())
+					.then((indexes) => {
+						expect(_.map(indexes, 'name').sort()).to.deep.equal([ '_id_', 'baz_1', 'foo_1', 'qux_1' ]);
+					});
+			});
+	});
+
+	it('should plan dropping indexes not in the schema after loading them from the collection', function() {
+		return testScaffold.close()
+			.then(() => testScaffold.connect({ autoCreateIndex: false }))
+			.then(() => {
+				let model1 = createModel('Testings', {
+					foo: { type: String, index: true },
+					baz: { type: String, index: true }
+				});
+				return model1.ensureIndexes();
+			})
+			.then(() => {
+				let model2 = createModel('Testings', {
+					foo: { type: String, index: true }
+				});
+				return model2.collectionPromise
+					.then(() => {
+						expect(_.map(model2.getIndexes(), 'name')).to.include('baz_1');
+						return model2.planIndexChanges();
+					})
+					.then((plan) => {
+						expect(plan.drop).to.deep.equal([ { name: 'baz_1', spec: { baz: 1 }, reason: 'notInSchema' } ]);
+						expect(plan.create).to.deep.equal([]);
+					});
+			});
+	});
+
+	it('should only emit the index plan on initialization if options.autoCreateIndex is dryRun', function() {
+		return testScaffold.close()
+			.then(() => testScaffold.connect({ autoCreateIndex: 'dryRun' }))
+			.then(() => {
+				let model = createModel('Testings', {
+					foo: { type: String, unique: true }
+				});
+				let indexPlanSpy = sinon.spy();
+				model.db.on('indexPlan', indexPlanSpy);
+
+				return model.collectionPromise
+					.then((collection) => {
+						model.db.removeListener('indexPlan', indexPlanSpy);
+						expect(indexPlanSpy.calledOnce).to.be.true;
+						let [ plan, planModel ] = indexPlanSpy.firstCall.args;
+						expect(planModel).to.equal(model);
+						expect(plan).to.deep.equal({
+							create: [ { spec: { foo: 1 }, options: { unique: true }, reason: 'missing' } ],
+							drop: [],
+							rebuild: []
+						});
+						return collection.indexes();
+					})
+					.then((indexes) => {
+						expect(indexes.length).to.equal(1);
+					});
+			});
+	});
+
 	it('should create indices in background', function() {
 		return testScaffold.close()
 			.then(() => testScaffold.connect({
@@ -474,6 +745,36 @@ describe('MongoModel', function() {
 			});
 	});
 
+	it('should insert all non-conflicting documents with ordered: false', function() {
+		let model = createModel('Testings', { foo: { type: Number, unique: true }, bar: String });
+		return model.collectionPromise
+			.then(() => model.insert({ foo: 1 }))
+			.then(() => model.insertMulti([
+				{ foo: 2, bar: 'a' },
+				{ foo: 1, bar: 'b' },
+				{ foo: 3, bar: 'c' },
+				{ foo: 2, bar: 'd' }
+			], { ordered: false }))
+			.then((results) => {
+				expect(results.map((doc) => doc.data.bar)).to.deep.equal([ 'a', 'c' ]);
+				expect(results[0].getInternalId()).to.exist;
+				expect(results.errors.map(({ index }) => index)).to.deep.equal([ 1, 3 ]);
+				for (let { error } of results.errors) {
+					expect(error.code).to.equal(XError.ALREADY_EXISTS);
+					expect(error.data.keys).to.deep.equal([ 'foo' ]);
+				}
+				return model.count({ foo: { $gte: 0 } });
+			})
+			.then((count) => {
+				expect(count).to.equal(3);
+				return model.insertMulti([ { foo: 4 } ], { ordered: false });
+			})
+			.then((results) => {
+				expect(results).to.have.length(1);
+				expect(results.errors).to.deep.equal([]);
+			});
+	});
+
 	it('MongoModel#update should update documents', function() {
 		let model = createModel('Testings', { foo: String });
 
@@ -723,6 +1024,75 @@ describe('MongoModel', function() {
 			});
 	});
 
+	it('should support $text queries sorted by text score in MongoModel#find', function() {
+		let schema = {
+			title: { type: String, index: { indexType: 'text', weight: 10 } },
+			body: { type: String, index: 'text' },
+			rank: Number
+		};
+		let model = createModel('Testings', schema);
+		return model.insertMulti([
+			{ title: 'Cat', body: 'A dog chased the cat', rank: 1 },
+			{ title: 'Dog', body: 'The dog and another dog', rank: 2 },
+			{ title: 'Bird', body: 'Nothing to see here', rank: 3 },
+			{ title: 'Dog', body: 'The cat and the dog', rank: 4 }
+		])
+			.then(() => model.find({ $text: { $search: 'dog' }, rank: { $gte: '1' } }, { sort: [ '$textScore' ] }))
+			.then((docs) => {
+				expect(docs.map((doc) => doc.data.rank)).to.deep.equal([ 2, 4, 1 ]);
+				expect(docs[0].getTextScore()).to.be.above(docs[2].getTextScore());
+				expect(docs[0].data).to.not.have.property('__textScore');
+				return model.find({ $text: { $search: 'dog -cat' } }, { textScore: true });
+			})
+			.then((docs) => {
+				expect(docs.map((doc) => doc.data.rank)).to.deep.equal([ 2 ]);
+				expect(docs[0].getTextScore()).to.be.a('number');
+				return model.find({ $text: { $search: 'dog' } }, { sort: [ 'rank' ] });
+			})
+			.then((docs) => {
+				expect(docs.map((doc) => doc.data.rank)).to.deep.equal([ 1, 2, 4 ]);
+				expect(docs[0].getTextScore()).to.be.undefined;
+				return model.findStream({ $text: { $search: '"the cat"' } }, { textScore: true }).intoArray();
+			})
+			.then((streamed) => {
+				expect(streamed.map((doc) => doc.data.rank).sort()).to.deep.equal([ 1, 4 ]);
+				expect(streamed[0].getTextScore()).to.be.above(0);
+				return model.count({ $text: { $search: 'cat' } });
+			})
+			.then((count) => {
+				expect(count).to.equal(2);
+				return model.find({ $text: { $search: 'bird' } }, { textScore: true });
+			})
+			.then(([ doc ]) => {
+				// Saving a document retrieved with its text score must not store the score
+				doc.data.rank = 5;
+				return doc.save();
+			})
+			.then(() => model.collectionPromise)
+			.then((collection) => collection.findOne({ title: 'Bird' }))
+			.then((raw) => {
+				expect(raw.rank).to.equal(5);
+				expect(raw).to.not.have.property('__textScore');
+				// The text index reported by mongo should be recognized as the schema's index
+				return createModel('Testings', schema).planIndexChanges();
+			})
+			.then((plan) => {
+				expect(plan).to.deep.equal({ create: [], drop: [], rebuild: [] });
+			});
+	});
+
+	it('should fail $text queries without a text index', function() {
+		let model = createModel('Testings', { foo: String });
+		return model.insert({ foo: 'dog' })
+			.then(() => model.find({ $text: { $search: 'dog' } }))
+			.then(() => {
+				throw new XError(XError.INTERNAL_ERROR, 'Expected rejection');
+			}, (err) => {
+				expect(err.code).to.equal(XError.DB_ERROR);
+				expect(err.message).to.equal('No text index found for text query');
+			});
+	});
+
 	it('should return number of matched records in MongoModel#count', function() {
 		let model = createModel('Testings', { foo: Number });
 
@@ -733,6 +1103,39 @@ describe('MongoModel', function() {
 			});
 	});
 
+	it('should explain queries with MongoModel#explain', function() {
+		let model = createModel('Testings', { foo: Number, bar: String });
+
+		return model.insertMulti([ { foo: 1 }, { foo: 1 }, { foo: 2 } ])
+			.then(() => model.explain({ foo: '1' }, { fields: [ 'foo' ] }))
+			.then((explanation) => {
+				expect(explanation.query).to.deep.equal({ foo: 1 });
+				expect(explanation.mapIndexFields).to.deep.equal([]);
+				expect(explanation.geoHashed).to.equal(null);
+				expect(explanation.winningPlan).to.be.an('object');
+				expect(explanation.nReturned).to.equal(2);
+				expect(explanation.docsExamined).to.be.a('number');
+			});
+	});
+
+	it('should explain aggregate pipelines with MongoModel#explainAggregateMulti', function() {
+		let model = createModel('Testings', { foo: Number, bar: String });
+
+		return model.insertMulti([ { foo: 1, bar: 'a' }, { foo: 2, bar: 'b' } ])
+			.then(() => model.explainAggregateMulti({ foo: '1' }, {
+				a: { groupBy: [ { field: 'bar' } ], total: true },
+				b: { stats: { foo: { max: true } } }
+			}))
+			.then((explanation) => {
+				expect(explanation.query).to.deep.equal({ foo: 1 });
+				expect(explanation.pipelines).to.not.be.empty;
+				for (let pipeline of explanation.pipelines) {
+					expect(pipeline.pipeline[0].$match).to.deep.equal({ foo: 1 });
+					expect(pipeline.winningPlan).to.be.an('object');
+				}
+			});
+	});
+
 	it('should remove records with MongoModel#remove', function() {
 		let model = createModel('Testings', { foo: Number });
 
@@ -756,6 +1159,1522 @@ describe('MongoModel', function() {
 			});
 	});
 
+	it('should emit change events from MongoModel#watch', function() {
+		let model = createModel('Testings', { foo: String, bar: Number });
+		let collection;
+		return model.collectionPromise
+			.then((_collection) => {
+				collection = _collection;
+				let rawChanges = new PassThrough({ objectMode: true });
+				let changeStream = new EventEmitter();
+				changeStream.pipe = (dest) => rawChanges.pipe(dest);
+				sinon.stub(collection, 'watch').returns(changeStream);
+
+				let stream = model.watch({ bar: '5' }, { resumeAfter: { _data: 'token0' } });
+				rawChanges.write({
+					_id: { _data: 'token1' },
+					operationType: 'update',
+					documentKey: { _id: 'abc' },
+					fullDocument: { _id: 'abc', foo: 'x', bar: 5, __rev: 2 },
+					updateDescription: { updatedFields: { bar: 5, '_mapidx_abc': [] }, removedFields: [ 'baz' ] }
+				});
+				rawChanges.write({
+					_id: { _data: 'token2' },
+					operationType: 'delete',
+					documentKey: { _id: 'abc' }
+				});
+				rawChanges.end();
+				return stream.intoArray()
+					.then((events) => {
+						expect(collection.watch.firstCall.args).to.deep.equal([
+							[ { $match: {
+								operationType: { $in: [ 'insert', 'update', 'replace', 'delete' ] },
+								$or: [ { operationType: 'delete' }, { 'fullDocument.bar': 5 } ]
+							} } ],
+							{ resumeAfter: { _data: 'token0' }, fullDocument: 'updateLookup' }
+						]);
+						expect(events.length).to.equal(2);
+						expect(events[0].operationType).to.equal('update');
+						expect(events[0].document).to.be.an.instanceof(MongoDocument);
+						expect(events[0].document.data).to.deep.equal({ foo: 'x', bar: 5 });
+						expect(events[0].updateDescription).to.deep.equal({
+							updatedFields: { bar: 5 },
+							removedFields: [ 'baz' ]
+						});
+						expect(events[1].operationType).to.equal('delete');
+						expect(events[1].document).to.be.undefined;
+						expect(events[1].documentKey).to.deep.equal({ _id: 'abc' });
+						expect(stream.getResumeToken()).to.deep.equal({ _data: 'token2' });
+					});
+			});
+	});
+
+
+	describe('bulkWrite', function() {
+
+		it('should run a mix of operations and report counts', function() {
+			let model = createModel('Testings', {
+				foo: Number,
+				bar: String,
+				baz: map({}, { v: { type: Number, index: true } })
+			});
+			return model.insertMulti([ { foo: 1, bar: 'a' }, { foo: 2, bar: 'a' }, { foo: 3, bar: 'b' } ])
+				.then(() => model.bulkWrite([
+					{ insert: { foo: '4', bar: 'c', baz: { x: { v: 1 } } } },
+					{ update: { query: { bar: 'a' }, update: { $inc: { foo: 10 } } } },
+					{ update: { query: { foo: 5 }, update: { $set: { bar: 'd' } }, upsert: true } },
+					{ replace: { query: { bar: 'b' }, data: { foo: 30, bar: 'b', baz: { y: { v: 2 } } } } },
+					{ remove: { query: { bar: 'c' } } }
+				]))
+				.then((result) => {
+					expect(result.errors).to.deep.equal([]);
+					expect(_.omit(result, [ 'insertedIds', 'upsertedIds', 'errors' ])).to.deep.equal({
+						insertedCount: 1,
+						matchedCount: 3,
+						modifiedCount: 3,
+						deletedCount: 1,
+						upsertedCount: 1
+					});
+					expect(_.keys(result.insertedIds)).to.deep.equal([ '0' ]);
+					expect(_.keys(result.upsertedIds)).to.deep.equal([ '2' ]);
+					return model.find({}, { sort: [ 'foo' ] });
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.foo)).to.deep.equal([ 5, 11, 12, 30 ]);
+					expect(docs[3].data.baz).to.deep.equal({ y: { v: 2 } });
+					return model.collectionPromise;
+				})
+				.then((collection) => collection.findOne({ foo: 30 }))
+				.then((rawDoc) => {
+					expect(_.keys(rawDoc).some((key) => /^_mapidx_/.test(key))).to.equal(true);
+				});
+		});
+
+		it('should report per-operation errors', function() {
+			let model = createModel('Testings', {
+				foo: { type: Number, unique: true },
+				baz: map({}, { v: { type: Number, index: true } })
+			});
+			let operations = [
+				{ insert: { foo: 2 } },
+				{ insert: { foo: 1 } },
+				{ update: { query: { foo: 2 }, update: { $set: { 'baz.x.v': 1 } } } },
+				{ insert: { foo: 'abc' } },
+				{ insert: { foo: 3 } }
+			];
+			return model.collectionPromise
+				.then(() => model.insert({ foo: 1 }))
+				.then(() => model.bulkWrite(_.cloneDeep(operations), { ordered: false }))
+				.then((result) => {
+					expect(result.insertedCount).to.equal(2);
+					expect(result.errors.map(({ index, error }) => [ index, error.code ])).to.deep.equal([
+						[ 1, XError.ALREADY_EXISTS ],
+						[ 2, XError.UNSUPPORTED_OPERATION ],
+						[ 3, 'validation_error' ]
+					]);
+					expect(_.keys(result.insertedIds)).to.deep.equal([ '0', '4' ]);
+					return model.remove({ foo: { $in: [ 2, 3 ] } });
+				})
+				.then(() => model.bulkWrite(_.cloneDeep(operations)))
+				.then((result) => {
+					expect(result.insertedCount).to.equal(1);
+					expect(result.errors.map(({ index }) => index)).to.deep.equal([ 1, 2 ]);
+					expect(_.keys(result.insertedIds)).to.deep.equal([ '0' ]);
+				});
+		});
+
+		it('should only pass driver options to bulkWrite', function() {
+			let model = createModel('Testings', { foo: Number }, { timestamps: true });
+			return model.collectionPromise
+				.then((collection) => {
+					sinon.spy(collection, 'bulkWrite');
+					return model.bulkWrite([ { insert: { foo: 1 } } ], {
+						ordered: false,
+						writeConcern: 1,
+						includeDeleted: true,
+						retryPolicy: { attempts: 1 }
+					})
+						.then(() => {
+							expect(collection.bulkWrite.firstCall.args[1]).to.deep.equal({ w: 1, ordered: false });
+						})
+						.then(() => collection.bulkWrite.restore(), (err) => {
+							collection.bulkWrite.restore();
+							throw err;
+						});
+				});
+		});
+
+	});
+
+	describe('findOneAndUpdate / findOneAndRemove', function() {
+
+		it('should atomically update and return one document', function() {
+			let model = createModel('Testings', { foo: Number, bar: String, claimed: Boolean });
+			return model.insertMulti([ { foo: 1, bar: 'a' }, { foo: 2, bar: 'b' }, { foo: 3, bar: 'c' } ])
+				.then(() => model.findOneAndUpdate(
+					{ claimed: { $ne: true } },
+					{ $set: { claimed: true } },
+					{ sort: [ '-foo' ] }
+				))
+				.then((doc) => {
+					expect(doc.data).to.deep.include({ foo: 3, bar: 'c' });
+					expect(doc.data.claimed).to.not.exist;
+					expect(doc.getInternalId()).to.exist;
+					return model.findOneAndUpdate(
+						{ claimed: { $ne: true } },
+						{ $set: { claimed: true }, $inc: { foo: '10' } },
+						{ sort: [ 'foo' ], returnOriginal: false, fields: [ 'foo', 'claimed' ] }
+					);
+				})
+				.then((doc) => {
+					expect(doc.data.foo).to.equal(11);
+					expect(doc.data.claimed).to.equal(true);
+					expect(doc.data.bar).to.not.exist;
+					expect(doc.options.isPartial).to.be.true;
+					return model.find({ claimed: true }, { sort: [ 'foo' ] });
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.bar)).to.deep.equal([ 'c', 'a' ]);
+				});
+		});
+
+		it('should return null when nothing matches or an upsert returns the original', function() {
+			let model = createModel('Testings', { foo: Number, bar: String });
+			return model.collectionPromise
+				.then(() => model.findOneAndUpdate({ foo: 1 }, { $set: { bar: 'a' } }))
+				.then((doc) => {
+					expect(doc).to.equal(null);
+					return model.findOneAndUpdate({ foo: 1 }, { $set: { bar: 'a' } }, { upsert: true });
+				})
+				.then((doc) => {
+					expect(doc).to.equal(null);
+					return model.findOneAndUpdate(
+						{ foo: 2 },
+						{ $set: { bar: 'b' } },
+						{ upsert: true, returnOriginal: false }
+					);
+				})
+				.then((doc) => {
+					expect(doc.data).to.deep.include({ foo: 2, bar: 'b' });
+					return model.count({ foo: { $gte: 0 } });
+				})
+				.then((count) => {
+					expect(count).to.equal(2);
+				});
+		});
+
+		it('should reject updates of indexed map fields', function() {
+			let model = createModel('Testings', {
+				foo: Number,
+				baz: map({}, { v: { type: Number, index: true } })
+			});
+			return model.insert({ foo: 1 })
+				.then(() => expect(model.findOneAndUpdate({ foo: 1 }, { $set: { 'baz.x.v': 1 } }))
+					.to.be.rejectedWith(XError, /indexed maps/));
+		});
+
+		it('should atomically remove and return one document', function() {
+			let model = createModel('Testings', { foo: Number, bar: String });
+			return model.insertMulti([ { foo: 1, bar: 'a' }, { foo: 2, bar: 'b' } ])
+				.then(() => model.findOneAndRemove({ foo: { $gte: 0 } }, { sort: [ '-foo' ] }))
+				.then((doc) => {
+					expect(doc.data).to.deep.include({ foo: 2, bar: 'b' });
+					return model.findOneAndRemove({ foo: 2 });
+				})
+				.then((doc) => {
+					expect(doc).to.equal(null);
+					return model.find({});
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.foo)).to.deep.equal([ 1 ]);
+				});
+		});
+
+	});
+
+	describe('audit', function() {
+
+		it('should record document inserts, saves and removes', function() {
+			let model = createModel('Testings', { id: String, foo: String, bar: Number }, {
+				uniqueIdField: 'id',
+				audit: true
+			});
+			let doc = model.create({ id: 'a', foo: 'foo' });
+			return doc.save({ actor: { user: 'alice' } })
+				.then(() => {
+					doc.data.foo = 'foo2';
+					doc.data.bar = 2;
+					return doc.save({ actor: { user: 'bob' } });
+				})
+				.then(() => doc.remove({ actor: { user: 'carol' } }))
+				.then(() => model.getHistory('a'))
+				.then((history) => {
+					expect(history.map((entry) => _.omit(entry, 'timestamp'))).to.deep.equal([
+						{
+							model: 'Testings',
+							id: 'a',
+							operation: 'insert',
+							revBefore: null,
+							revAfter: 1,
+							diff: { $set: { id: 'a', foo: 'foo' } },
+							actor: { user: 'alice' }
+						},
+						{
+							model: 'Testings',
+							id: 'a',
+							operation: 'update',
+							revBefore: 1,
+							revAfter: 2,
+							diff: { $set: { foo: 'foo2', bar: 2 } },
+							actor: { user: 'bob' }
+						},
+						{
+							model: 'Testings',
+							id: 'a',
+							operation: 'remove',
+							revBefore: 2,
+							revAfter: null,
+							diff: { $unset: { id: true, foo: true, bar: true } },
+							actor: { user: 'carol' }
+						}
+					]);
+					expect(history[0].timestamp).to.be.an.instanceof(Date);
+					return model.getHistory('b');
+				})
+				.then((history) => {
+					expect(history).to.deep.equal([]);
+				});
+		});
+
+		it('should record model-level inserts, updates and removes for each document', function() {
+			let model = createModel('Testings', { foo: Number, bar: String }, { audit: true });
+			let ids;
+			return model.insertMulti([ { foo: 1, bar: 'a' }, { foo: 2, bar: 'a' } ], { actor: 'import' })
+				.then((docs) => {
+					ids = docs.map((doc) => doc.getUniqueId());
+					return model.update({ bar: 'a' }, { $inc: { foo: 10 } }, { actor: 'job' });
+				})
+				.then((count) => {
+					expect(count).to.equal(2);
+					return model.remove({ foo: 12 }, { actor: 'cleanup' });
+				})
+				.then((count) => {
+					expect(count).to.equal(1);
+					return model.getHistory(ids[0]);
+				})
+				.then((history) => {
+					expect(history.map((entry) => [ entry.operation, entry.diff, entry.actor ])).to.deep.equal([
+						[ 'insert', { $set: { foo: 1, bar: 'a' } }, 'import' ],
+						[ 'update', { $set: { foo: 11 } }, 'job' ]
+					]);
+					return model.getHistory(ids[1]);
+				})
+				.then((history) => {
+					expect(history.map((entry) => [ entry.operation, entry.actor ])).to.deep.equal([
+						[ 'insert', 'import' ],
+						[ 'update', 'job' ],
+						[ 'remove', 'cleanup' ]
+					]);
+					expect(model.getAuditCollectionName()).to.equal('testings_audit');
+					return model.dbPromise;
+				})
+				.then((db) => db.collection(model.getAuditCollectionName()).countDocuments({}))
+				.then((count) => {
+					expect(count).to.equal(5);
+				});
+		});
+
+		it('should reject operations that cannot be audited', function() {
+			let model = createModel('Testings', { foo: Number }, { audit: true });
+			let unaudited = createModel('Testings2', { foo: Number });
+			return model.insert({ foo: 1 })
+				.then(() => expect(model.bulkWrite([ { insert: { foo: 2 } } ]))
+					.to.be.rejectedWith(XError, /audit trail/))
+				.then(() => expect(model.findOneAndUpdate({ foo: 1 }, { $set: { foo: 2 } }))
+					.to.be.rejectedWith(XError, /audit trail/))
+				.then(() => expect(model.findOneAndRemove({ foo: 1 })).to.be.rejectedWith(XError, /audit trail/))
+				.then(() => expect(unaudited.getHistory('x')).to.be.rejectedWith(XError, /audit trail/));
+		});
+
+	});
+
+	describe('revision history', function() {
+
+		let delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+		it('should copy previous versions on save and remove', function() {
+			let model = createModel('Testings', { id: String, foo: String }, { uniqueIdField: 'id', versioned: true });
+			let doc = model.create({ id: 'a', foo: 'v1' });
+			let times = [];
+			return doc.save()
+				.then(() => {
+					times.push(new Date());
+					return delay(5);
+				})
+				.then(() => {
+					doc.data.foo = 'v2';
+					return doc.save();
+				})
+				.then(() => {
+					times.push(new Date());
+					return delay(5);
+				})
+				.then(() => {
+					doc.data.foo = 'v3';
+					return doc.save();
+				})
+				.then(() => {
+					times.push(new Date());
+					expect(model.getHistoryCollectionName()).to.equal('testingsHistory');
+					return Promise.all([ 1, 2, 3 ].map((rev) => model.findRevision('a', rev)));
+				})
+				.then((versions) => {
+					versions.forEach((version, i) => {
+						expect(version.data).to.deep.equal({ id: 'a', foo: `v${i + 1}` });
+						expect(version._revisionNumber).to.equal(i + 1);
+					});
+					return expect(model.findRevision('a', 4)).to.be.rejectedWith(XError, /No matching revision/);
+				})
+				.then(() => Promise.all(times.map((time) => model.findAsOf('a', time))))
+				.then((versions) => {
+					expect(versions.map((version) => version.data.foo)).to.deep.equal([ 'v1', 'v2', 'v3' ]);
+					return delay(5);
+				})
+				.then(() => doc.remove())
+				.then(() => model.findRevision('a', 3))
+				.then((version) => {
+					expect(version.data.foo).to.equal('v3');
+					return model.findAsOf('a', times[2]);
+				})
+				.then((version) => {
+					expect(version.data.foo).to.equal('v3');
+					return expect(model.findAsOf('a', new Date())).to.be.rejectedWith(XError, /No matching document/);
+				});
+		});
+
+		it('should resolve with null for times before documents were created', function() {
+			let model = createModel('Testings', { id: String, foo: String, tenant: String }, {
+				uniqueIdField: 'id',
+				versioned: true,
+				tenantField: 'tenant'
+			});
+			let before = new Date();
+			let options = { tenant: 'a' };
+			return delay(5)
+				.then(() => model.insertMulti([ { id: 'a', foo: 'v1' } ], options))
+				.then(() => model.create({ id: 'b', foo: 'v1' }).save(options))
+				.then(() => Promise.all([ 'a', 'b' ].map((id) => model.findAsOf(id, before, options))))
+				.then((versions) => {
+					expect(versions).to.deep.equal([ null, null ]);
+					return Promise.all([ 'a', 'b' ].map((id) => model.findAsOf(id, new Date(), options)));
+				})
+				.then((versions) => {
+					expect(versions.map((version) => version.data.foo)).to.deep.equal([ 'v1', 'v1' ]);
+					return expect(model.findRevision('b', null, options))
+						.to.be.rejectedWith(XError, /No matching revision/);
+				});
+		});
+
+		it('should revert documents to previous revisions', function() {
+			let model = createModel('Testings', { foo: String, bar: String }, { versioned: true });
+			let doc, rev;
+			return model.insert({ foo: 'v1' })
+				.then((inserted) => {
+					doc = inserted;
+					doc.data.foo = 'v2';
+					doc.data.bar = 'bar';
+					return doc.save();
+				})
+				.then(() => {
+					rev = doc._revisionNumber;
+					doc.data.foo = 'v3';
+					return doc.save();
+				})
+				.then(() => doc.revertTo(rev))
+				.then(() => {
+					expect(doc.data).to.deep.equal({ foo: 'v2', bar: 'bar' });
+					expect(doc._revisionNumber).to.equal(rev + 2);
+					return model.findOne({ foo: 'v2' });
+				})
+				.then((current) => {
+					expect(current.getInternalId().toString()).to.equal(doc.getInternalId().toString());
+					// Documents inserted by the model have no revision number until their first save
+					return doc.revertTo(null);
+				})
+				.then(() => {
+					expect(doc.data).to.deep.equal({ foo: 'v1' });
+					return model.findRevision(doc.getUniqueId(), rev + 2);
+				})
+				.then((version) => {
+					expect(version.data.foo).to.equal('v2');
+				});
+		});
+
+		it('should reject saving partial documents', function() {
+			let model = createModel('Testings', { foo: String, bar: String }, { versioned: true });
+			let doc;
+			return model.insert({ foo: 'v1', bar: 'bar' })
+				.then(() => model.findOne({ foo: 'v1' }, { fields: [ 'foo' ] }))
+				.then((partial) => {
+					partial.data.foo = 'v2';
+					return expect(partial.save()).to.be.rejectedWith(XError, /partial document of a versioned model/)
+						.then(() => expect(partial.remove())
+							.to.be.rejectedWith(XError, /partial document of a versioned model/));
+				})
+				.then(() => model.findOne({ foo: 'v1' }))
+				.then((found) => {
+					doc = found;
+					doc.data.foo = 'v2';
+					return doc.save();
+				})
+				.then(() => doc.revertTo(null))
+				.then(() => {
+					expect(doc.data).to.deep.equal({ foo: 'v1', bar: 'bar' });
+				});
+		});
+
+		it('should save each document for model-level updates', function() {
+			let model = createModel('Testings', { id: String, foo: Number }, { uniqueIdField: 'id', versioned: true });
+			return model.insertMulti([ { id: 'a', foo: 1 }, { id: 'b', foo: 2 } ])
+				.then(() => model.update({ foo: { $gte: 0 } }, { $inc: { foo: 10 } }))
+				.then(() => model.findRevision('a', null))
+				.then((version) => {
+					expect(version.data.foo).to.equal(1);
+					return model.findRevision('b', 1);
+				})
+				.then((version) => {
+					expect(version.data.foo).to.equal(12);
+					return expect(model.findOneAndRemove({ id: 'a' })).to.be.rejectedWith(XError, /revision history/);
+				})
+				.then(() => expect(createModel('Testings2', { foo: Number }).findRevision('a', 1))
+					.to.be.rejectedWith(XError, /revision history/));
+		});
+
+	});
+
+	describe('timestamps', function() {
+
+		let delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+		it('should add the timestamp fields to the schema', function() {
+			let model = createModel('Testings', { foo: String }, { timestamps: true });
+			let properties = model.getSchema().getData().properties;
+			expect(properties.createdAt).to.deep.equal({ type: 'date' });
+			expect(properties.updatedAt).to.deep.equal({ type: 'date' });
+
+			let timestamps = { createdAt: 'created', updatedAt: false };
+			model = createModel('Testings2', { foo: String }, { timestamps });
+			properties = model.getSchema().getData().properties;
+			expect(properties.created).to.deep.equal({ type: 'date' });
+			expect(properties.updatedAt).to.not.exist;
+		});
+
+		it('should set timestamps on document saves', function() {
+			let model = createModel('Testings', { foo: String }, { timestamps: true });
+			let doc = model.create({ foo: 'a' });
+			let createdAt, updatedAt;
+			return doc.save()
+				.then(() => {
+					({ createdAt, updatedAt } = doc.data);
+					expect(createdAt).to.be.an.instanceof(Date);
+					expect(updatedAt.getTime()).to.equal(createdAt.getTime());
+					return delay(5);
+				})
+				.then(() => {
+					doc.data.foo = 'b';
+					return doc.save();
+				})
+				.then(() => {
+					expect(doc.data.createdAt.getTime()).to.equal(createdAt.getTime());
+					expect(doc.data.updatedAt.getTime()).to.be.above(updatedAt.getTime());
+					return model.findOne({ foo: 'b' });
+				})
+				.then((found) => {
+					expect(found.data.updatedAt.getTime()).to.equal(doc.data.updatedAt.getTime());
+				});
+		});
+
+		it('should not set timestamps on document saves that change nothing', function() {
+			let model = createModel('Testings', { foo: String }, { timestamps: true });
+			let doc = model.create({ foo: 'a' });
+			let updatedAt, rev;
+			return doc.save()
+				.then(() => {
+					updatedAt = doc.data.updatedAt;
+					rev = doc._revisionNumber;
+					return delay(5);
+				})
+				.then(() => doc.save())
+				.then(() => {
+					expect(doc.data.updatedAt.getTime()).to.equal(updatedAt.getTime());
+					expect(doc._revisionNumber).to.equal(rev);
+					return model.findOne({ foo: 'a' });
+				})
+				.then((found) => {
+					expect(found.data.updatedAt.getTime()).to.equal(updatedAt.getTime());
+					expect(found._revisionNumber).to.equal(rev);
+					return doc.save({ force: true });
+				})
+				.then(() => {
+					expect(doc.data.updatedAt.getTime()).to.be.above(updatedAt.getTime());
+					expect(doc._revisionNumber).to.equal(rev + 1);
+				});
+		});
+
+		it('should keep createdAt on full replacements', function() {
+			let model = createModel('Testings', { foo: Number, bar: String }, { timestamps: true });
+			let createdAt;
+			return model.insertMulti([ { foo: 1, bar: 'a' }, { foo: 2, bar: 'a' } ])
+				.then(() => model.findOne({ foo: 2 }))
+				.then((original) => {
+					createdAt = original.data.createdAt;
+					return delay(5);
+				})
+				.then(() => model.update({ foo: 2 }, { foo: 2, bar: 'b' }))
+				.then(() => model.findOne({ foo: 2 }))
+				.then((found) => {
+					expect(found.data.bar).to.equal('b');
+					expect(found.data.createdAt.getTime()).to.equal(createdAt.getTime());
+					expect(found.data.updatedAt.getTime()).to.be.above(createdAt.getTime());
+					return model.findOne({ foo: 1 });
+				})
+				.then((found) => {
+					expect(found.data.bar).to.equal('a');
+					return model.update({ foo: 3 }, { foo: 3 }, { upsert: true });
+				})
+				.then(() => model.findOne({ foo: 3 }))
+				.then((found) => {
+					expect(found.data.createdAt).to.be.an.instanceof(Date);
+					expect(found.data.updatedAt.getTime()).to.equal(found.data.createdAt.getTime());
+				});
+		});
+
+		it('should keep createdAt on bulk write replacements', function() {
+			let model = createModel('Testings', { foo: Number, bar: String }, { timestamps: true });
+			let createdAt;
+			return model.insert({ foo: 1, bar: 'a' })
+				.then((doc) => {
+					createdAt = doc.data.createdAt;
+					return delay(5);
+				})
+				.then(() => model.bulkWrite([
+					{ replace: { query: { foo: 1 }, data: { foo: 1, bar: 'b' } } },
+					{ replace: { query: { foo: 2 }, data: { foo: 2, bar: 'c' }, upsert: true } }
+				]))
+				.then((result) => {
+					expect(result.upsertedCount).to.equal(1);
+					return model.find({}, { sort: [ 'foo' ] });
+				})
+				.then((docs) => {
+					expect(docs.map((doc) => doc.data.bar)).to.deep.equal([ 'b', 'c' ]);
+					expect(docs[0].data.createdAt.getTime()).to.equal(createdAt.getTime());
+					expect(docs[0].data.updatedAt.getTime()).to.be.above(createdAt.getTime());
+					expect(docs[1].data.createdAt).to.be.an.instanceof(Date);
+					expect(docs[1].data.updatedAt.getTime()).to.equal(docs[1].data.createdAt.getTime());
+				});
+		});
+
+		it('should set timestamps on inserts, atomic updates and upserts', function() {
+			let model = createModel('Testings', { foo: Number, bar: String }, { timestamps: true });
+			let start = new Date();
+			let explicit = new Date('2020-01-01T00:00:00Z');
+			let createdAt;
+			return model.insertMulti([ { foo: 1 } ])
+				.then(([ doc ]) => {
+					createdAt = doc.data.createdAt;
+					expect(createdAt.getTime()).to.be.at.least(start.getTime());
+					expect(doc.data.updatedAt.getTime()).to.equal(createdAt.getTime());
+					return delay(5);
+				})
+				.then(() => model.update({ foo: 1 }, { $set: { bar: 'a' } }))
+				.then(() => model.findOne({ foo: 1 }))
+				.then((found) => {
+					expect(found.data.createdAt.getTime()).to.equal(createdAt.getTime());
+					expect(found.data.updatedAt.getTime()).to.be.above(createdAt.getTime());
+					return model.update({ foo: 2 }, { $set: { bar: 'b' } }, { upsert: true });
+				})
+				.then(() => model.findOne({ foo: 2 }))
+				.then((found) => {
+					expect(found.data.createdAt).to.be.an.instanceof(Date);
+					expect(found.data.updatedAt.getTime()).to.equal(found.data.createdAt.getTime());
+					return model.findOneAndUpdate(
+						{ foo: 1 },
+						{ $set: { updatedAt: explicit } },
+						{ returnOriginal: false }
+					);
+				})
+				.then((found) => {
+					expect(found.data.updatedAt.getTime()).to.equal(explicit.getTime());
+				});
+		});
+
+		it('should set timestamps when updating through document saves', function() {
+			let model = createModel('Testings', {
+				foo: Number,
+				baz: map({}, { v: { type: Number, index: true } })
+			}, { timestamps: { updatedAt: 'modified' } });
+			let modified;
+			return model.insert({ foo: 1 })
+				.then((doc) => {
+					modified = doc.data.modified;
+					return delay(5);
+				})
+				.then(() => model.update({ foo: 1 }, { $set: { 'baz.x.v': 1 } }))
+				.then(() => model.findOne({ foo: 1 }))
+				.then((found) => {
+					expect(found.data.baz).to.deep.equal({ x: { v: 1 } });
+					expect(found.data.modified.getTime()).to.be.above(modified.getTime());
+					expect(found.data.createdAt.getTime()).to.equal(modified.getTime());
+				});
+		});
+
+	});
+
+	describe('model hooks', function() {
+
+		it('should trigger pre-update and post-update hooks with the normalized query and update', function() {
+			let model = createModel('Testings', { foo: Number, bar: String, tenant: String });
+			let postContext;
+			model.hook('pre-update', function(context) {
+				expect(this).to.equal(model);
+				expect(context.query).to.be.an.instanceof(Query);
+				expect(context.query.getData()).to.deep.equal({ foo: 1 });
+				expect(context.update.getData()).to.deep.equal({ $set: { bar: 'x' } });
+				context.query = { foo: '1', tenant: 'a' };
+			});
+			model.hook('post-update', function(context) {
+				postContext = context;
+			});
+
+			return model.insertMulti([ { foo: 1, tenant: 'a' }, { foo: 1, tenant: 'b' } ])
+				.then(() => model.update({ foo: '1' }, { bar: 'x' }))
+				.then((numUpdated) => {
+					expect(numUpdated).to.equal(1);
+					expect(postContext.result).to.equal(1);
+					expect(postContext.query.getData()).to.deep.equal({ foo: 1, tenant: 'a' });
+					return model.find({ bar: 'x' });
+				})
+				.then((docs) => {
+					expect(docs).to.have.length(1);
+					expect(docs[0].data.tenant).to.equal('a');
+				});
+		});
+
+		it('should trigger pre-update hooks when updating through document saves', function() {
+			let model = createModel('Testings', { foo: Number, bar: String });
+			return model.insertMulti([ { foo: 1 }, { foo: 2 } ])
+				.then(() => {
+					model.hook('pre-update', function(context) {
+						context.update.getData().$set.bar = 'y';
+						context.query.getData().foo = 2;
+					});
+					return model.update({ foo: 1 }, { bar: 'x' }, { forceResave: true });
+				})
+				.then((numUpdated) => {
+					expect(numUpdated).to.equal(1);
+					return model.findOne({ foo: 2 });
+				})
+				.then((doc) => {
+					expect(doc.data.bar).to.equal('y');
+					return model.count({ bar: { $exists: true } });
+				})
+				.then((count) => {
+					expect(count).to.equal(1);
+				});
+		});
+
+		it('should trigger pre-remove-multi hooks', function() {
+			let model = createModel('Testings', { foo: Number, tenant: String });
+			return model.insertMulti([ { foo: 1, tenant: 'a' }, { foo: 1, tenant: 'b' } ])
+				.then(() => {
+					model.hook('pre-remove-multi', function(context) {
+						expect(context.query.getData()).to.deep.equal({ foo: 1 });
+						context.query.getData().tenant = 'b';
+					});
+					return model.remove({ foo: '1' });
+				})
+				.then(() => model.find({}))
+				.then((docs) => {
+					expect(docs).to.have.length(1);
+					expect(docs[0].data.tenant).to.equal('a');
+				});
+		});
+
+		it('should trigger pre-insert and post-insert hooks', function() {
+			let model = createModel('Testings', { foo: Number, tenant: String });
+			let inserted;
+			let normalized = [];
+			model.hook('pre-insert', function(context) {
+				normalized.push(_.cloneDeep(context.datas));
+				for (let data of context.datas) data.tenant = 'a';
+			});
+			model.hook('post-insert', function(context) {
+				inserted = context.documents;
+			});
+			return model.insertMulti([ { foo: '1' } ])
+				.then((docs) => {
+					expect(normalized).to.deep.equal([ [ { foo: 1 } ] ]);
+					expect(inserted).to.equal(docs);
+					expect(docs[0].data.tenant).to.equal('a');
+					return model.insert({ foo: 2 });
+				})
+				.then((doc) => {
+					expect(doc.data.tenant).to.equal('a');
+					return model.count({ tenant: 'a' });
+				})
+				.then((count) => {
+					expect(count).to.equal(2);
+				});
+		});
+
+		it('should reject when a pre hook rejects', function() {
+			let model = createModel('Testings', { foo: Number });
+			model.hook('pre-insert', function() {
+				throw new XError(XError.ACCESS_DENIED, 'Denied');
+			});
+			return expect(model.insert({ foo: 1 })).to.be.rejectedWith(XError)
+				.then(() => model.count({}))
+				.then((count) => {
+					expect(count).to.equal(0);
+				});
+		});
+
+		it('should trigger pre-aggregate hooks', function() {
+			let model = createModel('Testings', { foo: Number, tenant: String });
+			return model.insertMulti([ { foo: 1, tenant: 'a' }, { foo: 2, tenant: 'b' }, { foo: 3, tenant: 'a' } ])
+				.then(() => {
+					model.hook('pre-aggregate', function(context) {
+						expect(context.aggregates.stats).to.be.an.instanceof(Aggregate);
+						context.query = { tenant: 'a' };
+					});
+					return model.aggregateMulti({}, { stats: { stats: { foo: { sum: true } }, total: true } });
+				})
+				.then((result) => {
+					expect(result).to.deep.equal({ stats: { stats: { foo: { sum: 4 } }, total: 2 } });
+				});
+		});
+
+	});
+
+	describe('softDelete', function() {
+
+		it('should set deletedAt instead of deleting documents', function() {
+			let model = createModel('Testings', { foo: Number }, { softDelete: true });
+			expect(model.getSchema().getData().properties.deletedAt).to.deep.equal({ type: 'date' });
+			let doc1;
+			return model.insertMulti([ { foo: 1 }, { foo: 2 }, { foo: 3 } ])
+				.then((docs) => {
+					doc1 = docs[0];
+					return doc1.remove();
+				})
+				.then(() => {
+					expect(doc1.data.deletedAt).to.be.an.instanceof(Date);
+					return model.remove({ foo: 2 });
+				})
+				.then(() => model.find({}))
+				.then((docs) => {
+					expect(_.map(docs, 'data.foo')).to.deep.equal([ 3 ]);
+					return Promise.all([ model.count({}), model.count({}, { includeDeleted: true }) ]);
+				})
+				.then((counts) => {
+					expect(counts).to.deep.equal([ 1, 3 ]);
+					return model.find({ deletedAt: { $exists: true } }, { includeDeleted: true });
+				})
+				.then((deleted) => {
+					expect(_.map(deleted, 'data.foo').sort()).to.deep.equal([ 1, 2 ]);
+					return expect(model.findOne({ foo: 1 })).to.be.rejectedWith(XError);
+				})
+				.then(() => model.findOne({ foo: 1 }, { includeDeleted: true }))
+				.then((found) => {
+					expect(found.data.deletedAt.getTime()).to.equal(doc1.data.deletedAt.getTime());
+				});
+		});
+
+		it('should exclude soft-deleted documents from streams, updates and aggregates', function() {
+			let model = createModel('Testings', { foo: Number, bar: String }, { softDelete: true });
+			return model.insertMulti([ { foo: 1 }, { foo: 2 }, { foo: 3 } ])
+				.then(() => model.remove({ foo: 3 }))
+				.then(() => model.findStream({}).intoArray())
+				.then((streamed) => {
+					expect(_.map(streamed, 'data.foo').sort()).to.deep.equal([ 1, 2 ]);
+					return model.update({ foo: 3 }, { bar: 'x' });
+				})
+				.then((numUpdated) => {
+					expect(numUpdated).to.equal(0);
+					return model.update({}, { bar: 'x' }, { forceResave: true });
+				})
+				.then((numUpdated) => {
+					expect(numUpdated).to.equal(2);
+					return model.findOne({ foo: 3 }, { includeDeleted: true });
+				})
+				.then((deleted) => {
+					expect(deleted.data.bar).to.not.exist;
+					return model.aggregate({}, { stats: { foo: { sum: true } } });
+				})
+				.then((result) => {
+					expect(result).to.deep.equal({ stats: { foo: { sum: 3 } } });
+					return model.aggregate({}, { stats: { foo: { sum: true } } }, { includeDeleted: true });
+				})
+				.then((result) => {
+					expect(result).to.deep.equal({ stats: { foo: { sum: 6 } } });
+				});
+		});
+
+		it('should keep the query conditions on deletedAt', function() {
+			let model = createModel('Testings', { foo: Number }, { softDelete: true });
+			return model.insertMulti([ { foo: 1 }, { foo: 2 } ])
+				.then(() => model.remove({ foo: 2 }))
+				.then(() => model.count({ deletedAt: { $exists: true } }))
+				.then((count) => {
+					expect(count).to.equal(0);
+					return model.count({ deletedAt: { $exists: false } });
+				})
+				.then((count) => {
+					expect(count).to.equal(1);
+				});
+		});
+
+		it('should soft delete in findOneAndRemove and bulkWrite', function() {
+			let model = createModel('Testings', { foo: Number }, { softDelete: true });
+			return model.insertMulti([ { foo: 1 }, { foo: 2 }, { foo: 3 } ])
+				.then(() => model.findOneAndRemove({ foo: 1 }))
+				.then((removed) => {
+					expect(removed.data.deletedAt).to.be.an.instanceof(Date);
+					return model.findOneAndRemove({ foo: 1 });
+				})
+				.then((removed) => {
+					expect(removed).to.equal(null);
+					return model.bulkWrite([ { remove: { query: { foo: 2 } } } ]);
+				})
+				.then(() => Promise.all([ model.count({}), model.count({}, { includeDeleted: true }) ]))
+				.then((counts) => {
+					expect(counts).to.deep.equal([ 1, 3 ]);
+				});
+		});
+
+		it('should restore soft-deleted documents', function() {
+			let model = createModel('Testings', { foo: Number }, { softDelete: true });
+			let doc1;
+			return model.insertMulti([ { foo: 1 }, { foo: 2 }, { foo: 3 } ])
+				.then(() => model.remove({}))
+				.then(() => model.restore({ foo: { $in: [ 2, 3 ] } }))
+				.then((numRestored) => {
+					expect(numRestored).to.equal(2);
+					return model.count({});
+				})
+				.then((count) => {
+					expect(count).to.equal(2);
+					return model.restore({ foo: 2 });
+				})
+				.then((numRestored) => {
+					expect(numRestored).to.equal(0);
+					return model.findOne({ foo: 1 }, { includeDeleted: true });
+				})
+				.then((doc) => {
+					doc1 = doc;
+					return doc1.restore();
+				})
+				.then(() => {
+					expect(doc1.data.deletedAt).to.not.exist;
+					return model.findOne({ foo: 1 });
+				})
+				.then((found) => {
+					expect(found.data.deletedAt).to.not.exist;
+				});
+		});
+
+		it('should purge soft-deleted documents', function() {
+			let model = createModel('Testings', { foo: Number }, { softDelete: true });
+			let doc1, doc2;
+			return model.insertMulti([ { foo: 1 }, { foo: 2 }, { foo: 3 }, { foo: 4 } ])
+				.then((docs) => {
+					[ doc1, doc2 ] = docs;
+					return model.remove({ foo: { $in: [ 2, 3 ] } });
+				})
+				.then(() => model.purge({ foo: { $in: [ 2, 4 ] } }))
+				.then(() => Promise.all([ model.count({}, { includeDeleted: true }), model.count({ foo: 4 }) ]))
+				.then((counts) => {
+					expect(counts).to.deep.equal([ 3, 1 ]);
+					return doc1.purge();
+				})
+				.then(() => model.count({ foo: 1 }, { includeDeleted: true }))
+				.then((count) => {
+					expect(count).to.equal(0);
+					return model.purge({}, { forceResave: true });
+				})
+				.then(() => model.count({}, { includeDeleted: true }))
+				.then((count) => {
+					expect(count).to.equal(1);
+					return expect(doc2.reload()).to.be.rejectedWith(XError);
+				});
+		});
+
+		it('should record soft deletes in the audit trail', function() {
+			let model = createModel('Testings', { foo: Number }, { softDelete: true, audit: true });
+			let doc;
+			return model.insert({ foo: 1 })
+				.then((inserted) => {
+					doc = inserted;
+					return model.remove({ foo: 1 });
+				})
+				.then(() => doc.reload())
+				.then(() => {
+					expect(doc.data.deletedAt).to.be.an.instanceof(Date);
+					return model.getHistory(doc.getUniqueId());
+				})
+				.then((history) => {
+					expect(_.map(history, 'operation')).to.deep.equal([ 'insert', 'update' ]);
+					expect(_.keys(history[1].diff.$set)).to.deep.equal([ 'deletedAt' ]);
+				});
+		});
+
+		it('should reject restore and purge without the softDelete option', function() {
+			let model = createModel('Testings', { foo: Number });
+			let doc;
+			return model.insert({ foo: 1 })
+				.then((inserted) => {
+					doc = inserted;
+					return expect(model.restore({})).to.be.rejectedWith(XError, /softDelete/);
+				})
+				.then(() => expect(model.purge({})).to.be.rejectedWith(XError, /softDelete/))
+				.then(() => expect(doc.restore()).to.be.rejectedWith(XError, /softDelete/))
+				.then(() => model.remove({}))
+				.then(() => model.count({}))
+				.then((count) => {
+					expect(count).to.equal(0);
+				});
+		});
+
+	});
+
+	describe('tenantField', function() {
+
+		let createTenantModel = (options = {}) => {
+			return createModel('Testings', { foo: Number, bar: String, tenant: String }, _.assign({
+				tenantField: 'tenant'
+			}, options));
+		};
+
+		it('should require a tenant for every operation', function() {
+			let model = createTenantModel();
+			return expect(model.insert({ foo: 1 })).to.be.rejectedWith(XError, /tenant is required/)
+				.then(() => expect(model.find({})).to.be.rejectedWith(XError, /tenant is required/))
+				.then(() => expect(model.count({})).to.be.rejectedWith(XError, /tenant is required/))
+				.then(() => expect(model.findStream({}).intoArray()).to.be.rejectedWith(XError, /tenant is required/))
+				.then(() => expect(model.update({}, { bar: 'x' })).to.be.rejectedWith(XError, /tenant is required/))
+				.then(() => expect(model.upsert({ foo: 1 }, { bar: 'x' }))
+					.to.be.rejectedWith(XError, /tenant is required/))
+				.then(() => expect(model.remove({})).to.be.rejectedWith(XError, /tenant is required/))
+				.then(() => expect(model.aggregate({}, { stats: { foo: { sum: true } } }))
+					.to.be.rejectedWith(XError, /tenant is required/))
+				.then(() => expect(model.create({ foo: 1 }).save()).to.be.rejectedWith(XError, /tenant is required/))
+				.then(() => model.count({}, { tenant: 'a' }))
+				.then((count) => {
+					expect(count).to.equal(0);
+				});
+		});
+
+		it('should stamp the tenant on inserts and scope queries to it', function() {
+			let model = createTenantModel();
+			let doc = model.create({ foo: 3 });
+			return model.insertMulti([ { foo: 1 }, { foo: 2 } ], { tenant: 'a' })
+				.then(() => doc.save({ tenant: 'b' }))
+				.then(() => {
+					expect(doc.data.tenant).to.equal('b');
+					return expect(model.insert({ foo: 4, tenant: 'b' }, { tenant: 'a' }))
+						.to.be.rejectedWith(XError, /another tenant/);
+				})
+				.then(() => model.find({}, { tenant: 'a' }))
+				.then((docs) => {
+					expect(_.map(docs, 'data.foo').sort()).to.deep.equal([ 1, 2 ]);
+					return Promise.all([
+						model.count({ foo: 3 }, { tenant: 'a' }),
+						model.count({ tenant: 'b' }, { tenant: 'a' })
+					]);
+				})
+				.then((counts) => {
+					expect(counts).to.deep.equal([ 0, 0 ]);
+					return model.findStream({}, { tenant: 'b' }).intoArray();
+				})
+				.then((streamed) => {
+					expect(_.map(streamed, 'data.foo')).to.deep.equal([ 3 ]);
+					return model.aggregate({}, { stats: { foo: { sum: true } }, total: true }, { tenant: 'a' });
+				})
+				.then((result) => {
+					expect(result).to.deep.equal({ stats: { foo: { sum: 3 } }, total: 2 });
+				});
+		});
+
+		it('should scope updates, upserts and removes to the tenant', function() {
+			let model = createTenantModel();
+			return model.insertMulti([ { foo: 1 } ], { tenant: 'a' })
+				.then(() => model.insertMulti([ { foo: 1 } ], { tenant: 'b' }))
+				.then(() => model.update({ foo: 1 }, { bar: 'x' }, { tenant: 'a' }))
+				.then((numUpdated) => {
+					expect(numUpdated).to.equal(1);
+					return model.update({}, { bar: 'y' }, { tenant: 'b', forceResave: true });
+				})
+				.then((numUpdated) => {
+					expect(numUpdated).to.equal(1);
+					return model.upsert({ foo: 2 }, { bar: 'z' }, { tenant: 'b' });
+				})
+				.then((doc) => {
+					expect(doc.data.tenant).to.equal('b');
+					return model.upsert({ foo: 3 }, { bar: 'z' }, { tenant: 'b', forceResave: true });
+				})
+				.then(() => model.find({}, { tenant: 'a' }))
+				.then((docs) => {
+					expect(_.map(docs, 'data.bar')).to.deep.equal([ 'x' ]);
+					return model.count({}, { tenant: 'b' });
+				})
+				.then((count) => {
+					expect(count).to.equal(3);
+					return model.remove({ foo: 1 }, { tenant: 'a' });
+				})
+				.then(() => Promise.all([ model.count({}, { tenant: 'a' }), model.count({ foo: 1 }, { tenant: 'b' }) ]))
+				.then((counts) => {
+					expect(counts).to.deep.equal([ 0, 1 ]);
+				});
+		});
+
+		it('should reject changing the tenant of documents', function() {
+			let model = createTenantModel();
+			let doc;
+			return model.insert({ foo: 1 }, { tenant: 'a' })
+				.then((inserted) => {
+					doc = inserted;
+					return expect(model.update({ foo: 1 }, { tenant: 'b' }, { tenant: 'a' }))
+						.to.be.rejectedWith(XError, /Cannot change the tenant/);
+				})
+				.then(() => expect(model.findOneAndUpdate({ foo: 1 }, { $set: { tenant: 'b' } }, { tenant: 'a' }))
+					.to.be.rejectedWith(XError, /Cannot change the tenant/))
+				.then(() => expect(model.update({ foo: 1 }, { $rename: { bar: 'tenant' } }, { tenant: 'a' }))
+					.to.be.rejectedWith(XError, /Cannot change the tenant/))
+				.then(() => expect(model.update({ foo: 1 }, { $rename: { tenant: 'bar' } }, { tenant: 'a' }))
+					.to.be.rejectedWith(XError, /Cannot change the tenant/))
+				.then(() => {
+					doc.data.tenant = 'b';
+					return expect(doc.save({ tenant: 'a' })).to.be.rejectedWith(XError, /Cannot change the tenant/);
+				})
+				.then(() => expect(doc.save({ tenant: 'b' })).to.be.rejectedWith(XError, /belongs to another tenant/))
+				.then(() => {
+					delete doc.data.tenant;
+					return expect(doc.save({ tenant: 'a' })).to.be.rejectedWith(XError, /Cannot change the tenant/);
+				})
+				.then(() => {
+					doc.data.tenant = 'a';
+					doc.data.bar = 'x';
+					return doc.save({ tenant: 'a' });
+				})
+				.then(() => model.findOne({ foo: 1 }, { tenant: 'a' }))
+				.then((found) => {
+					expect(found.data).to.include({ bar: 'x', tenant: 'a' });
+				});
+		});
+
+		it('should scope document removes and reloads to the tenant', function() {
+			let model = createTenantModel({ softDelete: true });
+			let countAll = () => model.count({}, { tenant: 'a', includeDeleted: true });
+			let doc;
+			return model.insert({ foo: 1 }, { tenant: 'a' })
+				.then((inserted) => {
+					doc = inserted;
+					return expect(doc.reload()).to.be.rejectedWith(XError, /tenant is required/);
+				})
+				.then(() => expect(doc.reload({ tenant: 'b' })).to.be.rejectedWith(XError))
+				.then(() => doc.reload({ tenant: 'a' }))
+				.then(() => doc.remove({ tenant: 'a' }))
+				.then(() => countAll())
+				.then((count) => {
+					expect(count).to.equal(1);
+					return expect(doc.purge({ tenant: 'b' })).to.be.rejectedWith(XError, /belongs to another tenant/);
+				})
+				.then(() => countAll())
+				.then((count) => {
+					expect(count).to.equal(1);
+					return doc.purge({ tenant: 'a' });
+				})
+				.then(() => countAll())
+				.then((count) => {
+					expect(count).to.equal(0);
+				});
+		});
+
+		it('should scope bulk writes to the tenant', function() {
+			let model = createTenantModel();
+			return model.insertMulti([ { foo: 1 } ], { tenant: 'b' })
+				.then(() => expect(model.bulkWrite([ { insert: { foo: 1 } } ]))
+					.to.be.rejectedWith(XError, /tenant is required/))
+				.then(() => model.bulkWrite([
+					{ insert: { foo: 1 } },
+					{ update: { query: { foo: 1 }, update: { $set: { bar: 'x' } } } },
+					{ update: { query: { foo: 1 }, update: { $set: { tenant: 'b' } } } }
+				], { tenant: 'a', ordered: false }))
+				.then((result) => {
+					expect(result.errors).to.have.length(1);
+					expect(result.errors[0].index).to.equal(2);
+					return model.find({ foo: 1 }, { tenant: 'a' });
+				})
+				.then((docs) => {
+					expect(docs[0].data).to.include({ bar: 'x', tenant: 'a' });
+					return model.find({ foo: 1 }, { tenant: 'b' });
+				})
+				.then((docs) => {
+					expect(docs[0].data.bar).to.not.exist;
+				});
+		});
+
+		it('should scope change streams to the tenant', function() {
+			let model = createTenantModel({ softDelete: true });
+			let rawChanges = [
+				{ operationType: 'insert', fullDocument: { _id: 'a1', foo: 1, tenant: 'a', deletedAt: null } },
+				{ operationType: 'insert', fullDocument: { _id: 'b1', foo: 1, tenant: 'b', deletedAt: null } },
+				{ operationType: 'update', fullDocument: { _id: 'b1', foo: 2, tenant: 'b', deletedAt: null } },
+				{ operationType: 'update', fullDocument: { _id: 'a1', foo: 2, tenant: 'a', deletedAt: new Date() } },
+				{ operationType: 'delete', documentKey: { _id: 'b1' } }
+			].map((change, i) => _.assign({ _id: { _data: `token${i}` } }, change));
+			// Runs the $match of the pipeline like the server would
+			let watchTenant = (collection, tenant) => {
+				let changeStream = new EventEmitter();
+				changeStream.pipe = (dest) => {
+					let pipeline = collection.watch.lastCall.args[0];
+					let matching = new PassThrough({ objectMode: true });
+					for (let change of rawChanges) {
+						if (createQuery(pipeline[0].$match).matches(change)) matching.write(change);
+					}
+					matching.end();
+					return matching.pipe(dest);
+				};
+				collection.watch.returns(changeStream);
+				return model.watch({}, { tenant }).intoArray();
+			};
+
+			let collection;
+			return model.collectionPromise
+				.then((_collection) => {
+					collection = _collection;
+					sinon.stub(collection, 'watch');
+					return watchTenant(collection, 'a');
+				})
+				.then((events) => {
+					expect(events.map((event) => event.document.getInternalId())).to.deep.equal([ 'a1' ]);
+					return watchTenant(collection, 'b');
+				})
+				.then((events) => {
+					expect(events.map((event) => event.operationType)).to.deep.equal([ 'insert', 'update' ]);
+					expect(events.map((event) => event.document.data.tenant)).to.deep.equal([ 'b', 'b' ]);
+					return expect(model.watch({}).intoArray()).to.be.rejectedWith(XError, /tenant is required/);
+				})
+				.then(() => {
+					let stream = model.watch({}, { tenant: 'a', operationTypes: [ 'delete' ] });
+					return expect(stream.intoArray()).to.be.rejectedWith(XError, /cannot be scoped to a tenant/);
+				})
+				.then(() => collection.watch.restore());
+		});
+
+	});
+
+	describe('retry policy', function() {
+		let sandbox;
+
+		beforeEach(function() {
+			sandbox = sinon.createSandbox();
+		});
+
+		afterEach(function() {
+			sandbox.restore();
+		});
+
+		// Makes the first calls of a collection method fail with a network error
+		let failFirstCalls = (collection, method, numFailures) => {
+			let original = collection[method];
+			return sandbox.stub(collection, method).callsFake(function(...args) {
+				if (collection[method].callCount <= numFailures) throw new MongoNetworkError('connection reset');
+				return original.apply(this, args);
+			});
+		};
+
+		it('should retry reads that fail with transient errors', function() {
+			let model = createModel('Testings', { foo: Number }, { retryPolicy: { backoff: 1 } });
+			let collection;
+			return model.insertMulti([ { foo: 1 }, { foo: 2 } ])
+				.then(() => model.collectionPromise)
+				.then((_collection) => {
+					collection = _collection;
+					failFirstCalls(collection, 'find', 2);
+					return model.find({});
+				})
+				.then((docs) => {
+					expect(docs).to.have.length(2);
+					expect(collection.find).to.have.property('callCount', 3);
+					collection.find.resetHistory();
+					return model.count({});
+				})
+				.then((count) => {
+					expect(count).to.equal(2);
+					failFirstCalls(collection, 'aggregate', 1);
+					return model.aggregate({}, { stats: { foo: { sum: true } } });
+				})
+				.then((result) => {
+					expect(result.stats.foo.sum).to.equal(3);
+					expect(collection.aggregate).to.have.property('callCount', 2);
+				});
+		});
+
+		it('should give up after the configured attempts', function() {
+			let model = createModel('Testings', { foo: Number }, { retryPolicy: { backoff: 1, attempts: 2 } });
+			let collection;
+			return model.collectionPromise
+				.then((_collection) => {
+					collection = _collection;
+					failFirstCalls(collection, 'find', 2);
+					return expect(model.find({})).to.be.rejectedWith(MongoError);
+				})
+				.then(() => {
+					expect(collection.find).to.have.property('callCount', 2);
+					collection.find.resetHistory();
+					return expect(model.count({}, { retryPolicy: { attempts: 1 } })).to.be.rejectedWith(MongoError);
+				})
+				.then(() => {
+					expect(collection.find).to.have.property('callCount', 1);
+				});
+		});
+
+		it('should not retry errors that are not transient', function() {
+			let model = createModel('Testings', { foo: Number }, { retryPolicy: { backoff: 1 } });
+			let collection;
+			return model.collectionPromise
+				.then((_collection) => {
+					collection = _collection;
+					sandbox.stub(collection, 'find').throws(new XError(XError.INTERNAL_ERROR, 'Broken'));
+					return expect(model.find({})).to.be.rejectedWith(XError, 'Broken');
+				})
+				.then(() => {
+					expect(collection.find).to.have.property('callCount', 1);
+				});
+		});
+
+		it('should only retry writes with the writes option', function() {
+			let model = createModel('Testings', { foo: Number }, { retryPolicy: { backoff: 1 } });
+			let collection;
+			return model.collectionPromise
+				.then((_collection) => {
+					collection = _collection;
+					failFirstCalls(collection, 'insertMany', 1);
+					return expect(model.insert({ foo: 1 })).to.be.rejectedWith(MongoError);
+				})
+				.then(() => {
+					expect(collection.insertMany).to.have.property('callCount', 1);
+					collection.insertMany.resetHistory();
+					return model.insert({ foo: 2 }, { retryPolicy: { writes: true } });
+				})
+				.then(() => {
+					expect(collection.insertMany).to.have.property('callCount', 2);
+					failFirstCalls(collection, 'updateOne', 1);
+					return model.update({ foo: 2 }, { $set: { foo: 3 } }, { retryPolicy: { writes: true } });
+				})
+				.then(() => {
+					expect(collection.updateOne).to.have.property('callCount', 2);
+					return model.find({});
+				})
+				.then((docs) => {
+					expect(_.map(docs, 'data.foo')).to.deep.equal([ 3 ]);
+				});
+		});
+	});
+
+	describe('keyset pagination', function() {
+
+		let model;
+		beforeEach(function() {
+			model = createModel('Testings', { name: String, rank: Number, born: Date });
+			return model.insertMulti([
+				{ name: 'a', rank: 2, born: new Date('2015-01-01T00:00:00Z') },
+				{ name: 'b', rank: 1, born: new Date('2015-01-02T00:00:00Z') },
+				{ name: 'c', rank: 2, born: new Date('2015-01-03T00:00:00Z') },
+				{ name: 'd', born: new Date('2015-01-04T00:00:00Z') },
+				{ name: 'e', rank: 3, born: new Date('2015-01-05T00:00:00Z') }
+			]);
+		});
+
+		let getNames = (docs) => docs.map((doc) => doc.data.name);
+
+		it('should page forwards and backwards with continuation tokens', function() {
+			let options = { sort: [ '-rank' ], limit: 2 };
+			let firstPage, secondPage, thirdPage;
+			return model.find({}, _.assign({ paginate: true }, options))
+				.then((page) => {
+					firstPage = page;
+					expect(firstPage.length).to.equal(2);
+					expect(firstPage[0].data.rank).to.equal(3);
+					expect(firstPage.nextToken).to.be.a('string');
+					return model.find({}, _.assign({ after: firstPage.nextToken }, options));
+				})
+				.then((page) => {
+					secondPage = page;
+					return model.find({}, _.assign({ after: secondPage.nextToken }, options));
+				})
+				.then((page) => {
+					thirdPage = page;
+					return model.find({}, _.assign({ after: thirdPage.nextToken }, options));
+				})
+				.then((lastPage) => {
+					let allNames = getNames(firstPage).concat(getNames(secondPage), getNames(thirdPage));
+					expect(allNames.sort()).to.deep.equal([ 'a', 'b', 'c', 'd', 'e' ]);
+					expect(getNames(thirdPage)).to.deep.equal([ 'd' ]);
+					expect(lastPage.length).to.equal(0);
+					expect(lastPage.nextToken).to.equal(null);
+					return model.find({}, _.assign({ before: thirdPage.previousToken }, options));
+				})
+				.then((previousPage) => {
+					expect(getNames(previousPage)).to.deep.equal(getNames(secondPage));
+					expect(previousPage.previousToken).to.equal(secondPage.previousToken);
+				});
+		});
+
+		it('should page with a query, dates and partial fields', function() {
+			let options = { sort: [ 'born' ], limit: 2, fields: [ 'name' ] };
+			return model.find({ rank: { $gte: 2 } }, _.assign({ paginate: true }, options))
+				.then((firstPage) => {
+					expect(getNames(firstPage)).to.deep.equal([ 'a', 'c' ]);
+					return model.find({ rank: { $gte: 2 } }, _.assign({ after: firstPage.nextToken }, options));
+				})
+				.then((secondPage) => {
+					expect(getNames(secondPage)).to.deep.equal([ 'e' ]);
+				});
+		});
+
+		it('should count the whole query for the total of a page', function() {
+			let query = { rank: { $gte: 2 } };
+			let options = { sort: [ 'born' ], limit: 2, total: true };
+			return model.find(query, _.assign({ paginate: true }, options))
+				.then((firstPage) => {
+					expect(firstPage.total).to.equal(3);
+					return model.find(query, _.assign({ after: firstPage.nextToken }, options));
+				})
+				.then((secondPage) => {
+					expect(getNames(secondPage)).to.deep.equal([ 'e' ]);
+					expect(secondPage.total).to.equal(3);
+					return model.find(query, _.assign({ before: secondPage.previousToken }, options));
+				})
+				.then((previousPage) => {
+					expect(getNames(previousPage)).to.deep.equal([ 'a', 'c' ]);
+					expect(previousPage.total).to.equal(3);
+				});
+		});
+
+		it('should reject tokens for a different sort', function() {
+			return model.find({}, { sort: [ 'rank' ], limit: 2, paginate: true })
+				.then((firstPage) => expect(model.find({}, { sort: [ 'name' ], after: firstPage.nextToken }))
+					.to.be.rejectedWith(XError, 'Continuation token does not match the query sort'))
+				.then(() => expect(model.find({}, { after: 'garbage' }))
+					.to.be.rejectedWith(XError, 'Invalid continuation token'));
+		});
+
+	});
+
+	describe('requireIndexedQueries', function() {
+
+		let model;
+		beforeEach(function() {
+			model = createModel('Testings', {
+				foo: { type: Number, index: true },
+				bar: Number,
+				baz: Number,
+				qux: { type: Number, index: true, partialFilterExpression: { bar: { $exists: true } } }
+			}, { requireIndexedQueries: true });
+			return model.collectionPromise
+				.then(() => model.insertMulti([ { foo: 1, bar: 1 }, { foo: 2, bar: 2 } ]));
+		});
+
+		it('should allow queries that an index can serve', function() {
+			let countFound = (query) => model.find(query).then((docs) => docs.length);
+			return countFound({ foo: 1, bar: 1 })
+				.then((count) => {
+					expect(count).to.equal(1);
+					return model.count({ $and: [ { foo: { $gt: 0 } }, { bar: 2 } ] });
+				})
+				.then((count) => {
+					expect(count).to.equal(1);
+					return countFound({ $or: [ { foo: 1 }, { foo: 3, baz: 1 } ] });
+				})
+				.then((count) => {
+					expect(count).to.equal(1);
+					return countFound({ qux: 1, bar: { $exists: true } });
+				})
+				.then((count) => {
+					expect(count).to.equal(0);
+					return model.findOne({ foo: 1 });
+				})
+				.then((doc) => countFound({ _id: doc.getInternalId() }))
+				.then((count) => {
+					expect(count).to.equal(1);
+					return model.update({ foo: 1 }, { $set: { bar: 3 } });
+				})
+				.then((numUpdated) => {
+					expect(numUpdated).to.equal(1);
+					return model.remove({ foo: 2 });
+				})
+				.then(() => model.count({ foo: { $exists: true } }))
+				.then((count) => {
+					expect(count).to.equal(1);
+				});
+		});
+
+		it('should reject queries that no index can serve', function() {
+			let checks = [
+				[ () => model.find({ bar: 1 }), [ 'bar' ] ],
+				[ () => model.find({}), [] ],
+				[ () => model.find({ foo: { $ne: 1 }, bar: 1 }), [ 'foo', 'bar' ] ],
+				[ () => model.find({ $or: [ { foo: 1 }, { bar: 1 } ] }), [ 'foo', 'bar' ] ],
+				[ () => model.find({ qux: 1 }), [ 'qux' ] ],
+				[ () => model.count({ baz: 1 }), [ 'baz' ] ],
+				[ () => model.findStream({ baz: 1 }).intoArray(), [ 'baz' ] ],
+				[ () => model.update({ bar: 1 }, { $set: { baz: 1 } }), [ 'bar' ] ],
+				[ () => model.update({ bar: 1 }, { $set: { baz: 1 } }, { forceResave: true }), [ 'bar' ] ],
+				[ () => model.remove({ bar: 1 }), [ 'bar' ] ]
+			];
+			let checkRejected = ([ run, fields ]) => {
+				return run().then(() => {
+					throw new XError(XError.INTERNAL_ERROR, 'Expected rejection');
+				}, (err) => {
+					expect(err.code).to.equal(XError.INVALID_ARGUMENT);
+					expect(err.data.fields).to.deep.equal(fields);
+				});
+			};
+			return checks.reduce((promise, check) => promise.then(() => checkRejected(check)), Promise.resolve())
+				.then(() => model.count({ foo: { $exists: true } }))
+				.then((count) => {
+					expect(count).to.equal(2);
+				});
+		});
+
+		it('should allow unindexed queries with allowUnindexedQuery', function() {
+			let options = { allowUnindexedQuery: true };
+			let resaveOptions = { allowUnindexedQuery: true, forceResave: true };
+			return model.find({ bar: 1 }, options)
+				.then((docs) => {
+					expect(docs.length).to.equal(1);
+					return model.count({}, options);
+				})
+				.then((count) => {
+					expect(count).to.equal(2);
+					return model.update({ bar: 1 }, { $set: { baz: 1 } }, options);
+				})
+				.then((numUpdated) => {
+					expect(numUpdated).to.equal(1);
+					return model.update({ bar: 1 }, { $set: { baz: 2 } }, resaveOptions);
+				})
+				.then((numUpdated) => {
+					expect(numUpdated).to.equal(1);
+					return model.remove({ baz: 2 }, resaveOptions);
+				})
+				.then((numRemoved) => {
+					expect(numRemoved).to.equal(1);
+				});
+		});
+
+	});
 
 	describe('aggregates', function() {
 		let hasFacetSupport;
@@ -784,6 +2703,32 @@ describe('MongoModel', function() {
 			testAggregates();
 		});
 
+		it('should only pass driver options to aggregate', function() {
+			hasFacetSupport.returns(true);
+			let model = createModel('Testings', { foo: Number }, { softDelete: true });
+			let aggregates = { stats: { stats: { foo: { sum: true } } } };
+			return model.collectionPromise
+				.then((collection) => {
+					sinon.spy(collection, 'aggregate');
+					return model.aggregateMulti({}, aggregates, {
+						timeout: 10,
+						allowDiskUse: true,
+						includeDeleted: true,
+						retryPolicy: { attempts: 1 }
+					})
+						.then(() => {
+							expect(collection.aggregate.firstCall.args[1]).to.deep.equal({
+								maxTimeMS: 10000,
+								allowDiskUse: true
+							});
+						})
+						.then(() => collection.aggregate.restore(), (err) => {
+							collection.aggregate.restore();
+							throw err;
+						});
+				});
+		});
+
 		function testAggregates() {
 			it('should run aggregates on nested fields', function() {
 				let model = createModel('Testings', {
@@ -2131,6 +4076,66 @@ describe('MongoModel', function() {
 				});
 		});
 
+		it('should page through results with continuation tokens', function() {
+			let query = {
+				point: {
+					$near: {
+						$geometry: { type: 'Point', coordinates: [ 84.1, 39.1 ] },
+						$maxDistance: 100000
+					}
+				}
+			};
+			let getBrandIds = (docs) => docs.map((doc) => doc.data.brandId);
+			return model.collectionPromise
+				.then(() => model.insertMulti([
+					{ point: [ 84, 39 ], brandId: 'a' },
+					{ point: [ 84.11, 39.11 ], brandId: 'b' },
+					{ point: [ 84.3, 39.3 ], brandId: 'c' },
+					{ point: [ 20, 88 ], brandId: 'd' }
+				]))
+				.then(() => model.find(query, { limit: 2, paginate: true }))
+				.then((firstPage) => {
+					expect(getBrandIds(firstPage)).to.deep.equal([ 'b', 'a' ]);
+					return model.find(query, { limit: 2, after: firstPage.nextToken });
+				})
+				.then((secondPage) => {
+					expect(getBrandIds(secondPage)).to.deep.equal([ 'c' ]);
+					return model.find(query, { limit: 2, before: secondPage.previousToken });
+				})
+				.then((previousPage) => {
+					expect(getBrandIds(previousPage)).to.deep.equal([ 'b', 'a' ]);
+					return model.find(query, { sort: [ '-brandId' ], limit: 1, paginate: true });
+				})
+				.then((sortedPage) => {
+					return model.find(query, { sort: [ '-brandId' ], limit: 2, after: sortedPage.nextToken });
+				})
+				.then((sortedPage) => {
+					expect(getBrandIds(sortedPage)).to.deep.equal([ 'b', 'a' ]);
+				});
+		});
+
+		it('should explain the translated query', function() {
+			return model.collectionPromise
+				.then(() => model.explain({
+					brandId: 'billy-bobs-burger-bayou',
+					point: {
+						$near: {
+							$geometry: { type: 'Point', coordinates: [ 84.1, 39.1 ] },
+							$maxDistance: 100000
+						}
+					}
+				}))
+				.then((explanation) => {
+					expect(explanation.query.point.$near).to.exist;
+					expect(explanation.geoHashed.field).to.equal('point');
+					expect(explanation.geoHashed.indexField).to.equal(model._geoHashedIndexMapping.point.field);
+					let geoQuery = explanation.geoHashed.query;
+					expect(geoQuery.brandId).to.equal('billy-bobs-burger-bayou');
+					expect(geoQuery.point).to.deep.equal({ $exists: true });
+					expect(geoQuery[explanation.geoHashed.indexField].$in).to.be.an('array').that.is.not.empty;
+				});
+		});
+
 		it('should work with update() and upsert option', function() {
 			return model.collectionPromise
 				.then(() => {